@@ -0,0 +1,259 @@
+/**
+ * Goal Agent - Works towards a stated goal by repeatedly observing the page,
+ * asking the model for the next action and executing it, until the model
+ * reports it is done or a budget runs out
+ */
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const { progressEvents } = require('../utils/progressEvents');
+const { cancellationError } = require('../utils/cancellation');
+const { validateAction } = require('../commands/actionSchema');
+const config = require('../config/config');
+
+// Budget fields; cost and tokens may be 0 for no limit, like their config.agent settings
+const BUDGET_FIELDS = ['maxSteps', 'maxDurationMs', 'maxCost', 'maxTokens'];
+const UNLIMITED_FIELDS = ['maxCost', 'maxTokens'];
+
+class GoalAgent {
+  /**
+   * @param {CommandParser} commandParser - Parser whose session, browser and AI provider the agent uses
+   * @param {object} budget - Limits for the run, at most those in config.agent (see resolveBudget)
+   * @param {number} budget.maxSteps - Maximum number of actions
+   * @param {number} budget.maxDurationMs - Maximum wall-clock time
+   * @param {number} budget.maxCost - Maximum model spend at the configured prices
+   * @param {number} budget.maxTokens - Maximum model tokens (input plus output)
+   * @param {object} options - Run options
+   * @param {boolean} options.screenshots - Capture before/after screenshots of each step
+   * @param {string} options.runId - ID for the run's progress events (generated if not given)
+   */
+  constructor(commandParser, budget = {}, options = {}) {
+    this.commandParser = commandParser;
+    this.llmService = commandParser.llmService;
+    this.screenshots = options.screenshots !== undefined ? Boolean(options.screenshots) : config.agent.stepScreenshots;
+    this.runId = options.runId;
+    this.budget = GoalAgent.resolveBudget(budget);
+  }
+
+  /**
+   * Check a run's budget and fill in the rest from config.agent. The configured limits are also
+   * the most a run may ask for, so a request can tighten them but not lift them.
+   * @param {object} budget - Optional { maxSteps, maxDurationMs, maxCost, maxTokens }, each a positive
+   *   number (0 disables the cost and token limits, as far as config.agent allows)
+   * @returns {object} Budget with every limit set
+   */
+  static resolveBudget(budget) {
+    if (budget === undefined || budget === null) {
+      budget = {};
+    }
+    if (typeof budget !== 'object' || Array.isArray(budget)) {
+      throw new BrowseByMeError('The agent budget must be an object, e.g. { "maxSteps": 10 }', 400);
+    }
+
+    const resolved = {};
+    for (const field of BUDGET_FIELDS) {
+      const limit = config.agent[field];
+      const value = budget[field];
+      if (value === undefined) {
+        resolved[field] = limit;
+        continue;
+      }
+
+      const unlimited = UNLIMITED_FIELDS.includes(field) && value === 0;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (value <= 0 && !unlimited)) {
+        throw new BrowseByMeError(`Agent budget ${field} must be a positive number`, 400);
+      }
+      // A limit of 0 in the config means there is none to stay under
+      resolved[field] = limit > 0 && (unlimited || value > limit) ? limit : value;
+    }
+
+    const unknown = Object.keys(budget).filter(field => !BUDGET_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new BrowseByMeError(`Unknown agent budget field(s): ${unknown.join(', ')}. Use ${BUDGET_FIELDS.join(', ')}.`, 400);
+    }
+    return resolved;
+  }
+
+  /**
+   * Run the agent for a goal as a tracked run, publishing progress events.
+   * The run can be cancelled through the command parser and is cut off at maxDurationMs.
+   * @param {string} goal - What the user wants to achieve
+   * @returns {object} Outcome with the answer, every step taken, why the run stopped and what it used
+   */
+  async run(goal) {
+    return this.commandParser.runCancellable({ runId: this.runId, goal }, this.budget.maxDurationMs, async signal => {
+      progressEvents.publish('agent:start', { goal, budget: this.budget });
+
+      try {
+        const outcome = await this.loop(goal, signal);
+        const { steps, ...summary } = outcome;
+        progressEvents.publish('agent:finish', { ...summary, steps: steps.length });
+        return outcome;
+      } catch (error) {
+        progressEvents.publish('agent:error', { goal, error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run the observe -> decide -> act loop for a goal
+   * @param {string} goal - What the user wants to achieve
+   * @param {AbortSignal} signal - Signal aborted when the run is cancelled or times out
+   * @returns {object} Outcome with the answer, every step taken, why the run stopped and what it used
+   */
+  async loop(goal, signal) {
+    const startedAt = Date.now();
+    const startUsage = this.llmService.getUsage();
+    const steps = [];
+    let answer = null;
+    let success = false;
+    let stopReason = null;
+
+    logger.info(`Agent started on goal: ${goal}`);
+
+    while (!stopReason) {
+      stopReason = this.checkCancelled(signal) || this.checkBudget(steps, startedAt, startUsage);
+      if (stopReason) break;
+
+      // Hold off while a person is driving the page; a cancelled wait is reported on the next pass
+      await this.commandParser.waitForControl().catch(() => {});
+      if (signal && signal.aborted) continue;
+
+      const observation = await this.observe();
+      const action = await this.llmService.decideNextAction(goal, steps, observation);
+
+      // A cancelled model call comes back empty - report the cancellation instead
+      if (signal && signal.aborted) continue;
+
+      if (!action) {
+        stopReason = 'no_action';
+        break;
+      }
+      progressEvents.publish('agent:decision', { step: steps.length + 1, action });
+
+      const validation = validateAction(action);
+      if (!validation.valid) {
+        // Let the model see what was wrong on the next turn
+        steps.push(this.invalidStep(steps, action, validation.errors));
+        continue;
+      }
+
+      if (validation.action.action === 'done') {
+        answer = validation.action.answer;
+        success = validation.action.success;
+        stopReason = 'done';
+        break;
+      }
+
+      const { report } = await this.commandParser.runStep(validation.action, {
+        step: steps.length + 1,
+        screenshots: this.screenshots
+      });
+      steps.push(report);
+    }
+
+    const outcome = {
+      goal,
+      status: stopReason === 'done' ? 'completed' : 'stopped',
+      success: stopReason === 'done' && success,
+      answer,
+      stopReason,
+      steps,
+      usage: this.usageSince(startUsage),
+      durationMs: Date.now() - startedAt
+    };
+
+    logger.info(`Agent ${outcome.status} after ${steps.length} steps (${stopReason})`);
+    return outcome;
+  }
+
+  /**
+   * Gather what the model needs to decide the next action
+   * @returns {object} Browser state plus the page's visible text
+   */
+  async observe() {
+    const state = await this.commandParser.getEnhancedState();
+
+    if (!this.commandParser.activeSession) {
+      return state;
+    }
+
+    try {
+      const pageText = await this.commandParser.browserController.getPageText(this.commandParser.activeSession);
+      return { ...state, pageText };
+    } catch (error) {
+      logger.warn(`Failed to read page text: ${error.message}`);
+      return state;
+    }
+  }
+
+  /**
+   * Check whether the run has been cancelled or reached its deadline
+   * @param {AbortSignal} signal - Run's abort signal
+   * @returns {string|null} Reason to stop, or null to keep going
+   */
+  checkCancelled(signal) {
+    if (!signal || !signal.aborted) return null;
+
+    return cancellationError(signal).reason === 'timeout' ? 'max_duration' : 'cancelled';
+  }
+
+  /**
+   * Check the run against its budget
+   * @param {Array} steps - Steps taken so far
+   * @param {number} startedAt - Start time of the run
+   * @param {object} startUsage - Model usage when the run started
+   * @returns {string|null} Reason to stop, or null to keep going
+   */
+  checkBudget(steps, startedAt, startUsage) {
+    const { maxSteps, maxDurationMs, maxCost, maxTokens } = this.budget;
+    const usage = this.usageSince(startUsage);
+
+    if (steps.length >= maxSteps) return 'max_steps';
+    if (Date.now() - startedAt >= maxDurationMs) return 'max_duration';
+    if (maxCost > 0 && usage.cost >= maxCost) return 'max_cost';
+    if (maxTokens > 0 && usage.totalTokens >= maxTokens) return 'max_tokens';
+
+    return null;
+  }
+
+  /**
+   * Model usage since the run started
+   * @param {object} startUsage - Usage totals when the run started
+   * @returns {object} { requests, inputTokens, outputTokens, totalTokens, cost }
+   */
+  usageSince(startUsage) {
+    const usage = this.llmService.getUsage();
+
+    return {
+      requests: usage.requests - startUsage.requests,
+      inputTokens: usage.inputTokens - startUsage.inputTokens,
+      outputTokens: usage.outputTokens - startUsage.outputTokens,
+      totalTokens: usage.totalTokens - startUsage.totalTokens,
+      cost: usage.cost - startUsage.cost
+    };
+  }
+
+  /**
+   * Build the step report for an action that failed validation and was not run
+   * @param {Array} steps - Steps taken so far
+   * @param {object} action - Action as sent by the model
+   * @param {Array} errors - Validation errors
+   * @returns {object} Step report in the same shape as CommandParser.runStep
+   */
+  invalidStep(steps, action, errors) {
+    const { action: actionName, ...input } = action;
+
+    return {
+      step: steps.length + 1,
+      action: actionName,
+      input,
+      selector: null,
+      status: 'failed',
+      error: `Invalid action - ${errors.map(error => `${error.path}: ${error.message}`).join('; ')}`,
+      durationMs: 0
+    };
+  }
+}
+
+module.exports = GoalAgent;
@@ -2,56 +2,204 @@
  * Browser Controller - Manages browser instances and provides automation methods
  */
 const { chromium, firefox, webkit } = require('playwright');
+const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
+const { progressEvents } = require('../utils/progressEvents');
+const { throwIfCancelled, raceCancellation, cancellableDelay, timeLeft } = require('../utils/cancellation');
+const { BrowseByMeError, PolicyViolationError } = require('../utils/errors');
+const ProfileStore = require('../profiles/profileStore');
+const Vault = require('../security/vault');
+const NavigationPolicy = require('../security/navigationPolicy');
+const { redactor } = require('../security/redactor');
 const config = require('../config/config');
 
+// Browser actions published as progress events, mapping each call's arguments to the details reported
+// (typed values are left out so they never reach the stream)
+const TRACKED_ACTIONS = {
+  launchBrowser: browserType => ({ browserType }),
+  navigateTo: (url, sessionId) => ({ sessionId, url }),
+  fillField: (selector, value, sessionId) => ({ sessionId, selector }),
+  clickElement: (selector, sessionId) => ({ sessionId, selector }),
+  executeScript: (script, sessionId) => ({ sessionId }),
+  scrollPage: (direction, amount, sessionId) => ({ sessionId, direction, amount }),
+  waitFor: (options = {}, sessionId) => ({ sessionId, selector: options.selector, duration: options.duration }),
+  takeScreenshot: sessionId => ({ sessionId }),
+  drawOnCanvas: (selector, path, options, sessionId) => ({ sessionId, selector }),
+  applyProductFilters: (filters, sessionId) => ({ sessionId, filters }),
+  selectProductByBudget: (budget, options, sessionId) => ({ sessionId, budget }),
+  closeBrowser: sessionId => ({ sessionId })
+};
+
 class BrowserController {
-  constructor() {
+  /**
+   * @param {object} options - Optional { profileStore, vault, navigationPolicy } for saved browser profiles,
+   *                           credentials and where browsers may go
+   */
+  constructor(options = {}) {
     this.browsers = new Map(); // Map to store active browser instances
+    this.profiles = options.profileStore || new ProfileStore();
+    this.vault = options.vault || new Vault();
+    this.navigationPolicy = options.navigationPolicy || new NavigationPolicy();
     this.defaultBrowser = config.browser.defaultType || 'chromium';
     this.defaultTimeout = config.browser.defaultTimeout || 30000;
     this.elementCache = new Map(); // Cache for recently accessed elements
+    this.pendingActions = new Map(); // Map of sessionId -> Set of tracked actions still running
+    
+    this.trackActions();
+  }
+
+  /**
+   * Wrap the methods in TRACKED_ACTIONS so each call publishes
+   * browser:start and then browser:finish or browser:error progress events.
+   * A cancelled command stops waiting on the action straight away; the action
+   * stays in pendingActions until it settles so cleanup can wait for it.
+   * An action that led the page somewhere the navigation policy blocks fails with a PolicyViolationError.
+   */
+  trackActions() {
+    for (const [name, describe] of Object.entries(TRACKED_ACTIONS)) {
+      const method = this[name].bind(this);
+      
+      this[name] = async (...args) => {
+        // Drop details that weren't given so the run's own sessionId is kept
+        const event = { action: name };
+        for (const [key, value] of Object.entries(describe(...args))) {
+          if (value !== undefined && value !== null) event[key] = value;
+        }
+        
+        throwIfCancelled();
+        
+        // Pages blocked before this action aren't its doing
+        this.takeBlockedNavigation(event.sessionId);
+        
+        const startedAt = Date.now();
+        progressEvents.publish('browser:start', event);
+        
+        const pending = this.pendingActions.get(event.sessionId) || new Set();
+        this.pendingActions.set(event.sessionId, pending);
+        const running = method(...args);
+        pending.add(running);
+        running.catch(() => {}).finally(() => pending.delete(running));
+        
+        try {
+          const result = await raceCancellation(running);
+          await this.redirectsChecked(event.sessionId);
+          const blocked = this.takeBlockedNavigation(event.sessionId);
+          if (blocked) {
+            throw blocked;
+          }
+          progressEvents.publish('browser:finish', { ...event, durationMs: Date.now() - startedAt });
+          return result;
+        } catch (error) {
+          // A blocked page explains the failure better than the browser's own error for it
+          await this.redirectsChecked(event.sessionId);
+          const reported = this.takeBlockedNavigation(event.sessionId) || error;
+          progressEvents.publish('browser:error', { ...event, durationMs: Date.now() - startedAt, error: reported.message });
+          throw reported;
+        }
+      };
+    }
+  }
+
+  /**
+   * Bring a session back to a steady state after a cancelled command:
+   * stop any page load in progress and give running actions a moment to finish
+   * @param {string} sessionId - Browser session ID
+   * @param {number} graceMs - How long to wait for running actions
+   */
+  async settle(sessionId, graceMs = 2000) {
+    const pending = Array.from(this.pendingActions.get(sessionId) || []);
+    
+    if (this.browsers.has(sessionId)) {
+      try {
+        await this.getSession(sessionId).page.evaluate(() => window.stop());
+      } catch (error) {
+        logger.warn(`Could not stop page loading (${sessionId}): ${error.message}`);
+      }
+    }
+    
+    if (pending.length > 0) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled(pending),
+        new Promise(resolve => { timer = setTimeout(resolve, graceMs); })
+      ]);
+      clearTimeout(timer);
+    }
+    
+    logger.info(`Session settled after cancellation (${sessionId})`);
   }
 
   /**
    * Launch a new browser instance
    * @param {string} browserType - Type of browser (chromium, firefox, webkit)
-   * @param {object} options - Browser launch options
-   * @returns {object} Browser session information
+   * @param {object} options - Launch overrides (headless, viewport, userAgent, locale, timezoneId, proxy, slowMo, profile)
+   * @returns {object} Browser session information including the effective launch options
    */
   async launchBrowser(browserType = this.defaultBrowser, options = {}) {
     try {
-      const sessionId = `${browserType}-${Date.now()}`;
+      browserType = browserType || this.defaultBrowser;
+      const sessionId = `${browserType}-${uuidv4()}`;
+      
+      // Merge per-request overrides on top of the configured defaults
+      const effectiveOptions = this.resolveLaunchOptions(options);
+      const launchOptions = {
+        headless: effectiveOptions.headless,
+        slowMo: effectiveOptions.slowMo
+      };
+      if (effectiveOptions.proxy) {
+        launchOptions.proxy = effectiveOptions.proxy;
+      }
       
       // Select browser based on type
       let browser;
       switch (browserType.toLowerCase()) {
         case 'firefox':
-          browser = await firefox.launch({ headless: false, ...options });
+          browser = await firefox.launch(launchOptions);
           break;
         case 'webkit':
         case 'safari':
-          browser = await webkit.launch({ headless: false, ...options });
+          browser = await webkit.launch(launchOptions);
           break;
         case 'chromium':
         case 'chrome':
         case 'edge':
         default:
-          browser = await chromium.launch({ headless: false, ...options });
+          browser = await chromium.launch(launchOptions);
       }
       
       // Create a context with more realistic viewport
-      const context = await browser.newContext({
-        viewport: { width: 1280, height: 800 },
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      const contextOptions = {
+        viewport: effectiveOptions.viewport,
+        userAgent: effectiveOptions.userAgent,
         acceptDownloads: true,
         // Add permissions for notifications, etc.
         permissions: ['notifications', 'geolocation']
-      });
+      };
+      if (effectiveOptions.locale) {
+        contextOptions.locale = effectiveOptions.locale;
+      }
+      if (effectiveOptions.timezoneId) {
+        contextOptions.timezoneId = effectiveOptions.timezoneId;
+      }
+      
+      // A profile picks up the cookies and storage saved when it was last closed
+      if (effectiveOptions.profile) {
+        const storageState = await this.profiles.loadState(effectiveOptions.profile);
+        if (storageState) {
+          contextOptions.storageState = storageState;
+        }
+      }
+      
+      const context = await browser.newContext(contextOptions);
       
       // Set default timeout
       context.setDefaultTimeout(this.defaultTimeout);
       
+      // Every request, from any page of the context, goes past the navigation policy. Playwright
+      // only routes the first request of a redirect, so the other hops are checked as they arrive
+      await context.route('**/*', route => this.enforcePolicy(route, sessionId));
+      context.on('response', response => this.checkRedirects(response, sessionId));
+      
       const page = await context.newPage();
       
       // Handle dialogs automatically
@@ -66,14 +214,18 @@ class BrowserController {
         context, 
         page, 
         type: browserType,
+        options: effectiveOptions,
+        blockedNavigation: null, // Last page load the navigation policy stopped, as a PolicyViolationError
+        redirectChecks: new Set(), // Checks of redirect hops still running (see checkRedirects)
         createdAt: new Date()
       });
       
-      logger.info(`Browser launched: ${browserType} (${sessionId})`);
+      logger.info(`Browser launched: ${browserType} (${sessionId}, headless: ${effectiveOptions.headless})`);
       
       return {
         sessionId,
-        type: browserType
+        type: browserType,
+        options: this.describeLaunchOptions(effectiveOptions)
       };
     } catch (error) {
       logger.error(`Failed to launch browser: ${error.message}`);
@@ -81,6 +233,61 @@ class BrowserController {
     }
   }
 
+  /**
+   * Resolve effective launch options from config defaults and per-request overrides
+   * @param {object} overrides - Per-request launch options
+   * @returns {object} Effective launch options
+   */
+  resolveLaunchOptions(overrides = {}) {
+    const defaults = config.browser;
+    const options = overrides || {};
+    
+    // Accept "1920x1080" strings as well as { width, height } objects
+    let viewport = options.viewport || defaults.viewport;
+    if (typeof viewport === 'string') {
+      const match = viewport.match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+      if (!match) {
+        throw new Error(`Invalid viewport "${viewport}", expected WIDTHxHEIGHT`);
+      }
+      viewport = { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+    }
+    
+    // Accept a bare proxy server string as well as a Playwright proxy object
+    let proxy = options.proxy !== undefined ? options.proxy : defaults.proxy;
+    if (typeof proxy === 'string') {
+      proxy = { server: proxy };
+    }
+    
+    const headless = options.headless !== undefined ? options.headless : defaults.headless;
+    const slowMo = options.slowMo !== undefined ? options.slowMo : defaults.slowMo;
+    
+    return {
+      headless: headless === true || headless === 'true',
+      slowMo: parseInt(slowMo || 0, 10),
+      viewport: {
+        width: parseInt(viewport.width, 10),
+        height: parseInt(viewport.height, 10)
+      },
+      userAgent: options.userAgent || defaults.userAgent,
+      locale: options.locale || defaults.locale || null,
+      timezoneId: options.timezoneId || options.timezone || defaults.timezoneId || null,
+      proxy: proxy && proxy.server ? proxy : null,
+      profile: options.profile ? this.profiles.checkName(options.profile) : null
+    };
+  }
+
+  /**
+   * Describe launch options for API responses without leaking proxy credentials
+   * @param {object} options - Effective launch options
+   * @returns {object} Launch options safe to report back
+   */
+  describeLaunchOptions(options) {
+    return {
+      ...options,
+      proxy: options.proxy ? { server: options.proxy.server, username: options.proxy.username } : null
+    };
+  }
+
   /**
    * Navigate to a URL
    * @param {string} url - URL to navigate to
@@ -91,18 +298,20 @@ class BrowserController {
     try {
       const session = this.getSession(sessionId);
       
-      // Make sure URL has protocol
-      if (!url.startsWith('http')) {
+      // Make sure URL has protocol (other schemes, such as file://, are left for the policy to judge)
+      if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !/^(about|data|javascript|file):/i.test(url)) {
         url = 'https://' + url;
       }
       
+      await this.navigationPolicy.enforce(url);
+      
       logger.info(`Navigating to: ${url} (${sessionId})`);
       
       // Use a more reliable navigation strategy instead of waiting for networkidle
       // First navigate with domcontentloaded which is more reliable
       const response = await session.page.goto(url, { 
         waitUntil: 'domcontentloaded',
-        timeout: this.defaultTimeout 
+        timeout: timeLeft(this.defaultTimeout)
       });
       
       // After basic navigation completes, we'll wait for the page to stabilize
@@ -138,9 +347,118 @@ class BrowserController {
       };
     } catch (error) {
       logger.error(`Navigation error: ${error.message}`);
+      
+      // Policy violations keep their status
+      if (error instanceof BrowseByMeError) {
+        throw error;
+      }
       throw new Error(`Failed to navigate to ${url}: ${error.message}`);
     }
   }
+  
+  /**
+   * Let a request through or block it, following the navigation policy. A blocked page load in a
+   * session's main frame is kept, so the action that caused it can report it.
+   * @param {Route} route - Playwright route for the request
+   * @param {string} sessionId - Browser session ID
+   */
+  async enforcePolicy(route, sessionId) {
+    const request = route.request();
+    const url = request.url();
+    
+    let reason;
+    let isPageLoad = false;
+    try {
+      isPageLoad = request.isNavigationRequest();
+      reason = await this.navigationPolicy.checkResolved(url, { navigation: isPageLoad });
+    } catch (error) {
+      reason = `could not check the URL: ${error.message}`;
+    }
+    
+    if (!reason) {
+      await route.continue().catch(() => {});
+      return;
+    }
+    
+    logger.warn(`Blocked by navigation policy: ${url} (${reason}) (${sessionId})`);
+    progressEvents.publish('policy:blocked', { sessionId, url, reason });
+    
+    const session = this.browsers.get(sessionId);
+    if (session && isPageLoad && request.frame() === session.page.mainFrame()) {
+      session.blockedNavigation = new PolicyViolationError(url, reason);
+    }
+    await route.abort('blockedbyclient').catch(() => {});
+  }
+  
+  /**
+   * Check the hops of a redirected request, which the route handler never sees. The hops have been
+   * requested by then, so if one is blocked the page it led to is cleared before anything can read it,
+   * and the violation is kept for the action that caused it, as for a blocked page load.
+   * @param {Response} response - Playwright response
+   * @param {string} sessionId - Browser session ID
+   */
+  checkRedirects(response, sessionId) {
+    const request = response.request();
+    const session = this.browsers.get(sessionId);
+    if (!session || !request.redirectedFrom()) {
+      return;
+    }
+    
+    const check = (async () => {
+      // The first request of the chain went past the route handler
+      const hops = [];
+      for (let hop = request; hop.redirectedFrom(); hop = hop.redirectedFrom()) {
+        hops.unshift(hop.url());
+      }
+      
+      const isPageLoad = request.isNavigationRequest();
+      for (const url of hops) {
+        const reason = await this.navigationPolicy.checkResolved(url, { navigation: isPageLoad });
+        if (!reason) continue;
+        
+        logger.warn(`Blocked by navigation policy: ${url}, redirected from ${request.redirectedFrom().url()} (${reason}) (${sessionId})`);
+        progressEvents.publish('policy:blocked', { sessionId, url, reason });
+        session.blockedNavigation = new PolicyViolationError(url, reason);
+        
+        // A page load is let in first, or clearing the page could be overtaken by the load itself
+        if (isPageLoad) {
+          await response.finished().catch(() => {});
+        }
+        await request.frame().page().goto('about:blank').catch(() => {});
+        return;
+      }
+    })().catch(error => logger.error(`Redirect check error: ${error.message}`));
+    
+    session.redirectChecks.add(check);
+    check.finally(() => session.redirectChecks.delete(check));
+  }
+  
+  /**
+   * Wait for the redirect checks of a session that are still running
+   * @param {string} sessionId - Browser session ID
+   */
+  async redirectsChecked(sessionId) {
+    const session = this.browsers.get(sessionId);
+    if (session && session.redirectChecks) {
+      await Promise.all(Array.from(session.redirectChecks));
+    }
+  }
+  
+  /**
+   * Collect the page load the navigation policy last blocked in a session, if any
+   * @param {string} sessionId - Browser session ID
+   * @returns {PolicyViolationError|null} The violation, which is then forgotten
+   */
+  takeBlockedNavigation(sessionId) {
+    const session = this.browsers.get(sessionId);
+    if (!session || !session.blockedNavigation) {
+      return null;
+    }
+    
+    const blocked = session.blockedNavigation;
+    session.blockedNavigation = null;
+    return blocked;
+  }
 
   /**
    * Fill a form field
@@ -159,16 +477,29 @@ class BrowserController {
       }
       
       // Wait for the element to be visible before interacting
-      await session.page.waitForSelector(resolvedSelector, { state: 'visible', timeout: this.defaultTimeout });
+      await session.page.waitForSelector(resolvedSelector, { state: 'visible', timeout: timeLeft(this.defaultTimeout) });
       
-      // Clear the field first (if it's not empty)
-      await session.page.evaluate((sel) => {
+      // The command may have been cancelled while we waited
+      throwIfCancelled();
+      
+      // Clear the field first (if it's not empty), noting whether it's a password field
+      const isPassword = await session.page.evaluate((sel) => {
         const element = document.querySelector(sel);
         if (element) element.value = '';
+        return Boolean(element && element.type === 'password');
       }, resolvedSelector);
       
+      // Vault and secret references are swapped for their values only here, so the real values
+      // never reach the AI, the logs or the command result. Vault entries may be limited to sites
+      const text = await this.vault.resolve(redactor.reveal(value), { origin: new URL(session.page.url()).origin });
+      
+      // Whatever goes into a password field is masked from now on
+      if (isPassword) {
+        redactor.addSecret(text);
+      }
+      
       // Fill the field
-      await session.page.fill(resolvedSelector, value);
+      await session.page.fill(resolvedSelector, text);
       
       // Trigger change event to ensure JavaScript detects the change
       await session.page.evaluate((sel) => {
@@ -183,6 +514,11 @@ class BrowserController {
       return { success: true, selector: resolvedSelector };
     } catch (error) {
       logger.error(`Fill field error: ${error.message}`);
+      
+      // Vault and secret errors keep their status
+      if (error instanceof BrowseByMeError) {
+        throw error;
+      }
       throw new Error(`Failed to fill field ${selector}: ${error.message}`);
     }
   }
@@ -216,7 +552,7 @@ class BrowserController {
       // Wait for the element to be enabled/clickable
       await session.page.waitForSelector(resolvedSelector, { 
         state: 'visible', 
-        timeout: this.defaultTimeout 
+        timeout: timeLeft(this.defaultTimeout)
       });
       
       // Scroll element into view
@@ -230,6 +566,9 @@ class BrowserController {
       // Wait a brief moment for any animations to complete
       await session.page.waitForTimeout(500);
       
+      // The command may have been cancelled while we waited
+      throwIfCancelled();
+      
       // Try standard click first
       try {
         await session.page.click(resolvedSelector);
@@ -507,13 +846,15 @@ class BrowserController {
       // Ignore error, continue to alternatives
     }
     
-    // Step 2: Check cached selectors (if we have text description)
+    // Step 2: Check cached selectors (if we have text description). Containers hold the text of
+    // everything inside them, so the element with the least text around the description comes first
     if (!selector.includes('.') && !selector.includes('#') && !selector.includes('[')) {
-      for (const [cachedSelector, info] of this.elementCache.entries()) {
-        if (info.text && info.text.toLowerCase().includes(selector.toLowerCase())) {
-          const isVisible = await this.isElementVisible(cachedSelector, sessionId);
-          if (isVisible) return cachedSelector;
-        }
+      const cached = Array.from(this.elementCache.entries())
+        .filter(([, info]) => info.text && info.text.toLowerCase().includes(selector.toLowerCase()))
+        .sort(([, a], [, b]) => a.text.length - b.text.length);
+      for (const [cachedSelector] of cached) {
+        const isVisible = await this.isElementVisible(cachedSelector, sessionId);
+        if (isVisible) return cachedSelector;
       }
     }
     
@@ -1221,7 +1562,17 @@ class BrowserController {
   async executeScript(script, sessionId) {
     try {
       const session = this.getSession(sessionId);
-      const result = await session.page.evaluate(script);
+      let result;
+      try {
+        result = await session.page.evaluate(script);
+      } catch (evalError) {
+        // Scripts written as statements ("...; return x;") need a function body. One that starts
+        // with a function declaration is taken for a function, so its return is unexpected instead
+        if (!/Illegal return|Unexpected token 'return'/i.test(evalError.message)) {
+          throw evalError;
+        }
+        result = await session.page.evaluate(`(() => {\n${script}\n})()`);
+      }
       logger.info(`Executed script (${sessionId})`);
       return { success: true, result };
     } catch (error) {
@@ -1230,15 +1581,104 @@ class BrowserController {
     }
   }
 
+  /**
+   * Scroll the page
+   * @param {string} direction - up, down, left, right, top or bottom
+   * @param {number} amount - Distance in pixels (ignored for top/bottom)
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Scroll result with the new scroll position
+   */
+  async scrollPage(direction = 'down', amount = 300, sessionId) {
+    try {
+      const session = this.getSession(sessionId);
+      const scrollDirection = direction.toLowerCase();
+      const distance = parseInt(amount, 10) || 300;
+      
+      const position = await session.page.evaluate(({ scrollDirection, distance }) => {
+        if (scrollDirection === 'top') {
+          window.scrollTo(0, 0);
+        } else if (scrollDirection === 'bottom') {
+          window.scrollTo(0, document.body.scrollHeight);
+        } else if (scrollDirection === 'up') {
+          window.scrollBy(0, -distance);
+        } else if (scrollDirection === 'left') {
+          window.scrollBy(-distance, 0);
+        } else if (scrollDirection === 'right') {
+          window.scrollBy(distance, 0);
+        } else {
+          window.scrollBy(0, distance);
+        }
+        return { x: window.scrollX, y: window.scrollY };
+      }, { scrollDirection, distance });
+      
+      logger.info(`Scrolled ${scrollDirection} (${sessionId})`);
+      return {
+        success: true,
+        action: 'scroll',
+        direction: scrollDirection,
+        amount: distance,
+        position,
+        message: `Scrolled ${scrollDirection}`
+      };
+    } catch (error) {
+      logger.error(`Scroll error: ${error.message}`);
+      throw new Error(`Failed to scroll: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for a fixed duration or for an element to appear
+   * @param {object} options - Wait options
+   * @param {number} options.duration - Milliseconds to wait
+   * @param {string} options.selector - Element selector or description to wait for
+   * @param {number} options.timeout - Maximum time to wait for the element
+   * @param {string} sessionId - Browser session ID (only needed for element waits)
+   * @returns {object} Wait result
+   */
+  async waitFor(options = {}, sessionId) {
+    try {
+      if (!options.selector) {
+        const duration = parseInt(options.duration || 2000, 10);
+        await cancellableDelay(duration);
+        return { success: true, action: 'wait', duration, message: `Waited for ${duration}ms` };
+      }
+      
+      const session = this.getSession(sessionId);
+      const timeout = timeLeft(parseInt(options.timeout || this.defaultTimeout, 10));
+      const startedAt = Date.now();
+      
+      // Descriptions like "search results" are resolved the same way clicks are
+      let selector = options.selector;
+      try {
+        await session.page.waitForSelector(selector, { state: 'visible', timeout: Math.min(timeout, 5000) });
+      } catch (e) {
+        selector = await this.findBestSelector(options.selector, sessionId) || `text=${options.selector}`;
+        await session.page.waitForSelector(selector, {
+          state: 'visible',
+          timeout: Math.max(timeout - (Date.now() - startedAt), 1000)
+        });
+      }
+      
+      const waited = Date.now() - startedAt;
+      logger.info(`Waited ${waited}ms for ${selector} (${sessionId})`);
+      return { success: true, action: 'wait', selector, duration: waited, message: `Waited for ${selector}` };
+    } catch (error) {
+      logger.error(`Wait error: ${error.message}`);
+      throw new Error(`Failed to wait for ${options.selector || 'duration'}: ${error.message}`);
+    }
+  }
+
   /**
    * Take a screenshot
    * @param {string} sessionId - Browser session ID
+   * @param {object} options - Screenshot options
+   * @param {boolean} options.fullPage - Capture the whole page rather than the viewport (default true)
    * @returns {Buffer} Screenshot as Buffer
    */
-  async takeScreenshot(sessionId) {
+  async takeScreenshot(sessionId, options = {}) {
     try {
       const session = this.getSession(sessionId);
-      const screenshot = await session.page.screenshot({ fullPage: true });
+      const screenshot = await session.page.screenshot({ fullPage: options.fullPage !== false });
       logger.info(`Took screenshot (${sessionId})`);
       return screenshot;
     } catch (error) {
@@ -1247,6 +1687,144 @@ class BrowserController {
     }
   }
 
+  /**
+   * Forward a mouse or keyboard event from a person to the page (remote control).
+   * Coordinates are CSS pixels within the viewport.
+   * @param {string} sessionId - Browser session ID
+   * @param {object} input - { type: "click", x, y, button, clickCount }, { type: "move", x, y },
+   *                         { type: "scroll", x, y, deltaX, deltaY }, { type: "press", key } or { type: "type", text }
+   * @returns {object} Input result
+   */
+  async sendInput(sessionId, input = {}) {
+    try {
+      const session = this.getSession(sessionId);
+      const { mouse, keyboard } = session.page;
+      
+      const coordinate = name => {
+        const value = Number(input[name]);
+        if (!Number.isFinite(value)) {
+          throw new BrowseByMeError(`Input "${input.type}" needs a numeric ${name}`, 400);
+        }
+        return value;
+      };
+      
+      switch (input.type) {
+        case 'click':
+          await mouse.click(coordinate('x'), coordinate('y'), {
+            button: ['left', 'right', 'middle'].includes(input.button) ? input.button : 'left',
+            clickCount: parseInt(input.clickCount, 10) || 1
+          });
+          break;
+          
+        case 'move':
+          await mouse.move(coordinate('x'), coordinate('y'));
+          break;
+          
+        case 'scroll':
+          await mouse.move(coordinate('x'), coordinate('y'));
+          await mouse.wheel(Number(input.deltaX) || 0, Number(input.deltaY) || 0);
+          break;
+          
+        case 'press':
+          if (typeof input.key !== 'string' || !input.key) {
+            throw new BrowseByMeError('Input "press" needs a key', 400);
+          }
+          await keyboard.press(input.key);
+          break;
+          
+        case 'type':
+          if (typeof input.text !== 'string') {
+            throw new BrowseByMeError('Input "type" needs text', 400);
+          }
+          await keyboard.type(input.text);
+          break;
+          
+        default:
+          throw new BrowseByMeError(`Unknown input type: ${input.type}`, 400);
+      }
+      
+      return { success: true, type: input.type };
+    } catch (error) {
+      if (error instanceof BrowseByMeError) {
+        throw error;
+      }
+      logger.error(`Remote input error: ${error.message}`);
+      throw new Error(`Failed to send ${input.type} input: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the visible text of the page, collapsed and truncated for model prompts
+   * @param {string} sessionId - Browser session ID
+   * @param {number} maxLength - Maximum number of characters to return
+   * @returns {string} Page text
+   */
+  async getPageText(sessionId, maxLength = 4000) {
+    try {
+      const session = this.getSession(sessionId);
+      const text = await session.page.evaluate(() => (document.body ? document.body.innerText : ''));
+      const collapsed = text.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+      return collapsed.length > maxLength ? `${collapsed.substring(0, maxLength)}...` : collapsed;
+    } catch (error) {
+      logger.error(`Page text error: ${error.message}`);
+      throw new Error(`Failed to get page text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count the elements matching a selector
+   * @param {string} sessionId - Browser session ID
+   * @param {string} selector - CSS or Playwright selector
+   * @returns {number} Number of matching elements
+   */
+  async countElements(sessionId, selector) {
+    try {
+      const session = this.getSession(sessionId);
+      return await session.page.locator(selector).count();
+    } catch (error) {
+      logger.error(`Count elements error: ${error.message}`);
+      throw new Error(`Failed to count elements matching ${selector}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tag the elements matching a selector so each can be selected on its own with plain CSS,
+   * as [data-browsebyme-item="<marker>-<position>"]
+   * @param {string} sessionId - Browser session ID
+   * @param {string} selector - CSS or Playwright selector
+   * @param {string} marker - Value that tells these tags apart from others on the page
+   * @returns {number} Number of matching elements
+   */
+  async markElements(sessionId, selector, marker) {
+    try {
+      const session = this.getSession(sessionId);
+      return await session.page.locator(selector).evaluateAll((elements, prefix) => {
+        elements.forEach((element, index) => element.setAttribute('data-browsebyme-item', `${prefix}-${index}`));
+        return elements.length;
+      }, marker);
+    } catch (error) {
+      logger.error(`Mark elements error: ${error.message}`);
+      throw new Error(`Failed to find elements matching ${selector}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the visible text of the elements matching a selector, without truncation
+   * @param {string} sessionId - Browser session ID
+   * @param {string} selector - CSS or Playwright selector (the whole page if omitted)
+   * @returns {string} Text of every matching element, one per line
+   */
+  async getElementText(sessionId, selector = 'body') {
+    try {
+      const session = this.getSession(sessionId);
+      const texts = await session.page.locator(selector).allInnerTexts();
+      return texts.join('\n');
+    } catch (error) {
+      logger.error(`Element text error: ${error.message}`);
+      throw new Error(`Failed to get text of ${selector}: ${error.message}`);
+    }
+  }
+
   /**
    * Close a browser session
    * @param {string} sessionId - Browser session ID to close
@@ -1254,6 +1832,14 @@ class BrowserController {
   async closeBrowser(sessionId) {
     try {
       const session = this.getSession(sessionId);
+      
+      // Keep whatever the session logged into for the next time the profile is used
+      if (session.options.profile) {
+        await this.saveProfile(sessionId).catch(error => {
+          logger.error(`Could not save profile ${session.options.profile}: ${error.message}`);
+        });
+      }
+      
       await session.browser.close();
       this.browsers.delete(sessionId);
       logger.info(`Browser closed: ${sessionId}`);
@@ -1264,6 +1850,34 @@ class BrowserController {
     }
   }
 
+  /**
+   * Save a session's cookies and storage into a profile
+   * @param {string} sessionId - Browser session ID
+   * @param {string} name - Profile to save into (defaults to the one the session was opened with)
+   * @returns {object} Profile summary
+   */
+  async saveProfile(sessionId, name) {
+    const session = this.getSession(sessionId);
+    const profile = name || session.options.profile;
+    
+    if (!profile) {
+      throw new BrowseByMeError('This session was not opened with a profile, so give the profile name to save into', 400);
+    }
+    
+    const storageState = await session.context.storageState({ indexedDB: true });
+    return await this.profiles.saveState(profile, storageState);
+  }
+
+  /**
+   * Check whether an open session is using a profile
+   * @param {string} name - Profile name
+   * @returns {boolean} True if a session was opened with the profile
+   */
+  isProfileInUse(name) {
+    const profile = this.profiles.checkName(name);
+    return Array.from(this.browsers.values()).some(session => session.options.profile === profile);
+  }
+
   /**
    * Close all active browser sessions
    */
@@ -1305,6 +1919,7 @@ class BrowserController {
       sessions.push({
         sessionId: id,
         type: session.type,
+        options: session.options ? this.describeLaunchOptions(session.options) : null,
         createdAt: session.createdAt
       });
     }
@@ -0,0 +1,133 @@
+/**
+ * Live View - Streams frames of a session's page to any number of viewers
+ * Chromium pages are captured with the CDP screencast; other engines fall back to periodic screenshots.
+ * One capture runs per session and is shared by its viewers; it stops when the last viewer leaves.
+ */
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+class LiveView {
+  /**
+   * @param {BrowserController} browserController - Browser controller owning the sessions
+   */
+  constructor(browserController) {
+    this.browserController = browserController;
+    this.views = new Map(); // Map of sessionId -> { viewers, stop }
+  }
+
+  /**
+   * Start watching a session's page
+   * @param {string} sessionId - Browser session ID
+   * @param {Function} onFrame - Called with each frame as { sessionId, format, data (base64), url, title, width, height, time }
+   * @param {Function} onEnd - Called if the session's page closes
+   * @returns {Function} Async function that stops watching
+   */
+  async watch(sessionId, onFrame, onEnd = () => {}) {
+    const session = this.browserController.getSession(sessionId);
+    let view = this.views.get(sessionId);
+
+    if (!view) {
+      view = { viewers: new Set(), stop: async () => {} };
+      this.views.set(sessionId, view);
+
+      const emit = frame => view.viewers.forEach(viewer => viewer.onFrame(frame));
+      try {
+        view.stop = await this.startCapture(sessionId, session, emit);
+      } catch (error) {
+        this.views.delete(sessionId);
+        throw new Error(`Failed to start live view: ${error.message}`);
+      }
+
+      session.page.once('close', () => this.end(sessionId));
+      logger.info(`Live view started (${sessionId})`);
+    }
+
+    const viewer = { onFrame, onEnd };
+    view.viewers.add(viewer);
+
+    return async () => {
+      view.viewers.delete(viewer);
+      if (view.viewers.size === 0 && this.views.get(sessionId) === view) {
+        this.views.delete(sessionId);
+        await view.stop();
+        logger.info(`Live view stopped (${sessionId})`);
+      }
+    };
+  }
+
+  /**
+   * End a session's live view, telling every viewer
+   * @param {string} sessionId - Browser session ID
+   */
+  async end(sessionId) {
+    const view = this.views.get(sessionId);
+    if (!view) return;
+
+    this.views.delete(sessionId);
+    view.viewers.forEach(viewer => viewer.onEnd());
+    await view.stop();
+  }
+
+  /**
+   * Start capturing frames of a page
+   * @param {string} sessionId - Browser session ID
+   * @param {object} session - Browser session
+   * @param {Function} emit - Called with each frame
+   * @returns {Function} Async function that stops capturing
+   */
+  async startCapture(sessionId, session, emit) {
+    const { page } = session;
+    const { quality, maxWidth, maxHeight, intervalMs } = config.liveView;
+
+    const frameOf = async (data, width, height) => ({
+      sessionId,
+      format: 'jpeg',
+      data,
+      url: page.url(),
+      title: await page.title().catch(() => ''),
+      width,
+      height,
+      time: new Date().toISOString()
+    });
+
+    if (session.browser.browserType().name() === 'chromium') {
+      const cdp = await page.context().newCDPSession(page);
+
+      cdp.on('Page.screencastFrame', async ({ data, metadata, sessionId: frameId }) => {
+        // Chromium sends the next frame only after this one is acknowledged
+        cdp.send('Page.screencastFrameAck', { sessionId: frameId }).catch(() => {});
+        emit(await frameOf(data, metadata.deviceWidth, metadata.deviceHeight));
+      });
+      await cdp.send('Page.startScreencast', { format: 'jpeg', quality, maxWidth, maxHeight });
+
+      return async () => {
+        await cdp.send('Page.stopScreencast').catch(() => {});
+        await cdp.detach().catch(() => {});
+      };
+    }
+
+    // Firefox and WebKit have no screencast, so poll with screenshots
+    let active = true;
+    const poll = async () => {
+      while (active && !page.isClosed()) {
+        try {
+          const image = await page.screenshot({ type: 'jpeg', quality });
+          const viewport = page.viewportSize() || {};
+          if (active) {
+            emit(await frameOf(image.toString('base64'), viewport.width, viewport.height));
+          }
+        } catch (error) {
+          logger.warn(`Live view screenshot failed (${sessionId}): ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+      }
+    };
+    poll();
+
+    return async () => {
+      active = false;
+    };
+  }
+}
+
+module.exports = LiveView;
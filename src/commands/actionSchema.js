@@ -0,0 +1,520 @@
+/**
+ * Action Schema - JSON schemas for the actions the AI may return, with validation and normalization
+ */
+const { ActionValidationError } = require('../utils/errors');
+
+const SELECTOR = { type: 'string', minLength: 1 };
+
+/**
+ * Schema for each canonical action.
+ * aliases - other action names the model uses for the same thing
+ * fieldAliases - other field names mapped onto the canonical ones
+ * schema - JSON Schema for the action's fields (the "action" field itself is implied)
+ */
+const ACTION_SCHEMAS = {
+  open: {
+    aliases: ['launch'],
+    fieldAliases: { browserType: 'browser', timezone: 'timezoneId' },
+    schema: {
+      type: 'object',
+      properties: {
+        browser: { type: 'string', enum: ['chromium', 'chrome', 'edge', 'firefox', 'webkit', 'safari'] },
+        headless: { type: 'boolean' },
+        viewport: { type: ['object', 'string'] },
+        userAgent: { type: 'string' },
+        locale: { type: 'string' },
+        timezoneId: { type: 'string' },
+        proxy: { type: ['string', 'object'] },
+        slowMo: { type: 'integer', minimum: 0 },
+        profile: { type: 'string', minLength: 1 },
+        options: { type: 'object' }
+      }
+    }
+  },
+
+  navigate: {
+    aliases: ['go', 'goto', 'visit'],
+    fieldAliases: { href: 'url', link: 'url' },
+    schema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', minLength: 1 }
+      },
+      required: ['url']
+    }
+  },
+
+  click: {
+    aliases: ['press', 'tap'],
+    fieldAliases: { element: 'target' },
+    schema: {
+      type: 'object',
+      properties: {
+        selector: SELECTOR,
+        target: { type: 'string', minLength: 1 }
+      },
+      anyOf: [{ required: ['selector'] }, { required: ['target'] }]
+    }
+  },
+
+  type: {
+    aliases: ['fill', 'input', 'enter'],
+    fieldAliases: { text: 'value', field: 'target' },
+    schema: {
+      type: 'object',
+      properties: {
+        selector: SELECTOR,
+        target: { type: 'string', minLength: 1 },
+        value: { type: 'string' }
+      },
+      required: ['value'],
+      anyOf: [{ required: ['selector'] }, { required: ['target'] }]
+    }
+  },
+
+  search: {
+    aliases: [],
+    fieldAliases: { query: 'value', text: 'value', field: 'selector' },
+    schema: {
+      type: 'object',
+      properties: {
+        value: { type: 'string', minLength: 1 },
+        selector: SELECTOR,
+        submitSelector: SELECTOR
+      },
+      required: ['value']
+    }
+  },
+
+  select: {
+    aliases: ['choose'],
+    fieldAliases: { option: 'value', text: 'value' },
+    schema: {
+      type: 'object',
+      properties: {
+        selector: SELECTOR,
+        value: { type: 'string', minLength: 1 }
+      },
+      required: ['selector', 'value']
+    }
+  },
+
+  scroll: {
+    aliases: [],
+    fieldAliases: { distance: 'amount', pixels: 'amount' },
+    schema: {
+      type: 'object',
+      properties: {
+        direction: { type: 'string', enum: ['up', 'down', 'left', 'right', 'top', 'bottom'], default: 'down' },
+        amount: { type: 'integer', minimum: 0, default: 300 }
+      }
+    }
+  },
+
+  wait: {
+    aliases: ['pause', 'sleep'],
+    fieldAliases: { target: 'selector', time: 'duration' },
+    schema: {
+      type: 'object',
+      properties: {
+        selector: SELECTOR,
+        duration: { type: 'integer', minimum: 0 },
+        timeout: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+
+  screenshot: {
+    aliases: ['capture'],
+    fieldAliases: {},
+    schema: { type: 'object', properties: {} }
+  },
+
+  draw: {
+    aliases: [],
+    fieldAliases: { type: 'drawingType', shape: 'drawingType', selector: 'canvasSelector', canvas: 'canvasSelector' },
+    schema: {
+      type: 'object',
+      properties: {
+        drawingType: { type: 'string', enum: ['circle', 'line', 'square', 'freestyle'], default: 'freestyle' },
+        canvasSelector: { type: 'string', minLength: 1, default: 'canvas' },
+        color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', default: '#000000' },
+        lineWidth: { type: 'number', minimum: 1 },
+        points: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { x: { type: 'number' }, y: { type: 'number' } },
+            required: ['x', 'y']
+          }
+        }
+      }
+    }
+  },
+
+  findbyname: {
+    aliases: ['find_by_name'],
+    fieldAliases: { name: 'query', text: 'query', value: 'query' },
+    schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1 }
+      },
+      required: ['query']
+    }
+  },
+
+  extract: {
+    aliases: [],
+    fieldAliases: { target: 'selector' },
+    schema: {
+      type: 'object',
+      properties: {
+        selector: SELECTOR
+      }
+    }
+  },
+
+  book: {
+    aliases: ['reserve', 'purchase', 'buy'],
+    fieldAliases: {},
+    schema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        date: { type: 'string' }
+      },
+      // Booking details vary by site, so extra fields are kept
+      additionalProperties: true
+    }
+  },
+
+  close: {
+    aliases: ['exit', 'quit'],
+    fieldAliases: { target: 'scope' },
+    schema: {
+      type: 'object',
+      properties: {
+        scope: { type: 'string', enum: ['current', 'all'], default: 'current' }
+      }
+    }
+  },
+
+  back: {
+    aliases: [],
+    fieldAliases: {},
+    schema: { type: 'object', properties: {} }
+  },
+
+  forward: {
+    aliases: [],
+    fieldAliases: {},
+    schema: { type: 'object', properties: {} }
+  },
+
+  reload: {
+    aliases: ['refresh'],
+    fieldAliases: {},
+    schema: { type: 'object', properties: {} }
+  },
+
+  // Ends a goal-driven agent run with the answer for the user
+  done: {
+    aliases: ['finish', 'complete'],
+    fieldAliases: { result: 'answer', summary: 'answer' },
+    schema: {
+      type: 'object',
+      properties: {
+        answer: { type: 'string' },
+        success: { type: 'boolean', default: true }
+      },
+      required: ['answer']
+    }
+  }
+};
+
+// Fields carried through normalization for every action
+const PASSTHROUGH_FIELDS = ['originalCommand'];
+
+/**
+ * Resolve an action name or alias to its canonical name
+ * @param {string} name - Action name from the model
+ * @returns {string|null} Canonical action name or null if unknown
+ */
+function resolveActionName(name) {
+  if (typeof name !== 'string') return null;
+
+  const lowerName = name.trim().toLowerCase();
+  for (const [actionName, definition] of Object.entries(ACTION_SCHEMAS)) {
+    if (actionName === lowerName || definition.aliases.includes(lowerName)) {
+      return actionName;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the full JSON Schema for an action, including its "action" field
+ * @param {string} actionName - Canonical action name
+ * @returns {object} JSON Schema
+ */
+function getActionJSONSchema(actionName) {
+  const { schema } = ACTION_SCHEMAS[actionName];
+
+  return {
+    ...schema,
+    properties: {
+      action: { const: actionName },
+      ...schema.properties
+    },
+    required: ['action', ...(schema.required || [])]
+  };
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - Value to check
+ * @returns {string} JSON Schema type name
+ */
+function jsonType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Coerce a value towards the type a schema expects (models often send "300" or "true")
+ * @param {any} value - Value from the model
+ * @param {object} fieldSchema - Field schema
+ * @returns {any} Coerced value, or the original if it can't be coerced
+ */
+function coerceValue(value, fieldSchema) {
+  const types = [].concat(fieldSchema.type || []);
+  const actualType = jsonType(value);
+
+  if (types.includes(actualType) || (actualType === 'integer' && types.includes('number'))) {
+    return value;
+  }
+
+  if (types.includes('string') && (actualType === 'number' || actualType === 'integer' || actualType === 'boolean')) {
+    return String(value);
+  }
+
+  if (types.includes('integer') || types.includes('number')) {
+    const number = typeof value === 'string' ? Number(value.trim().replace(/\s*(ms|px)$/i, '')) : value;
+    if (typeof number === 'number' && Number.isFinite(number) && value !== '') {
+      return types.includes('integer') ? Math.round(number) : number;
+    }
+  }
+
+  if (types.includes('boolean') && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a field schema
+ * @param {any} value - Value to validate
+ * @param {object} fieldSchema - Field schema
+ * @param {string} path - Path used in error messages
+ * @returns {Array} Validation errors
+ */
+function validateValue(value, fieldSchema, path) {
+  const errors = [];
+  const types = [].concat(fieldSchema.type || []);
+  const actualType = jsonType(value);
+
+  if (types.length > 0 && !types.includes(actualType) && !(actualType === 'integer' && types.includes('number'))) {
+    errors.push({ path, code: 'type', message: `must be of type ${types.join(' or ')}, got ${actualType}` });
+    return errors;
+  }
+
+  if (fieldSchema.enum && !fieldSchema.enum.includes(value)) {
+    errors.push({ path, code: 'enum', message: `must be one of ${fieldSchema.enum.join(', ')}` });
+  }
+
+  if (fieldSchema.minLength !== undefined && typeof value === 'string' && value.trim().length < fieldSchema.minLength) {
+    errors.push({ path, code: 'minLength', message: 'must not be empty' });
+  }
+
+  if (fieldSchema.minimum !== undefined && typeof value === 'number' && value < fieldSchema.minimum) {
+    errors.push({ path, code: 'minimum', message: `must be at least ${fieldSchema.minimum}` });
+  }
+
+  if (fieldSchema.pattern && typeof value === 'string' && !new RegExp(fieldSchema.pattern).test(value)) {
+    errors.push({ path, code: 'pattern', message: `must match ${fieldSchema.pattern}` });
+  }
+
+  if (fieldSchema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(...validateObject(item, fieldSchema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an object against an object schema (required fields and property types)
+ * @param {object} value - Object to validate
+ * @param {object} schema - Object schema
+ * @param {string} path - Path used in error messages
+ * @returns {Array} Validation errors
+ */
+function validateObject(value, schema, path) {
+  if (jsonType(value) !== 'object') {
+    return [{ path, code: 'type', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const prefix = path ? `${path}.` : '';
+
+  for (const field of schema.required || []) {
+    if (value[field] === undefined) {
+      errors.push({ path: `${prefix}${field}`, code: 'required', message: 'is required' });
+    }
+  }
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+    if (value[field] !== undefined) {
+      errors.push(...validateValue(value[field], fieldSchema, `${prefix}${field}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and normalize a single action.
+ * Resolves action and field aliases, coerces simple types, applies defaults
+ * and drops fields the schema doesn't define.
+ * @param {object} rawAction - Action as returned by the model
+ * @param {string} path - Path prefix for error messages, e.g. "[2]"
+ * @returns {object} { valid, action, errors }
+ */
+function validateAction(rawAction, path = '') {
+  const actionPath = path ? `${path}.action` : 'action';
+
+  if (jsonType(rawAction) !== 'object') {
+    return {
+      valid: false,
+      action: rawAction,
+      errors: [{ path: path || '(root)', code: 'type', message: 'each action must be a JSON object' }]
+    };
+  }
+
+  if (!rawAction.action) {
+    return {
+      valid: false,
+      action: rawAction,
+      errors: [{ path: actionPath, code: 'required', message: 'is required' }]
+    };
+  }
+
+  const actionName = resolveActionName(rawAction.action);
+  if (!actionName) {
+    return {
+      valid: false,
+      action: rawAction,
+      errors: [{
+        path: actionPath,
+        code: 'unknown_action',
+        message: `"${rawAction.action}" is not a supported action (use one of ${Object.keys(ACTION_SCHEMAS).join(', ')})`
+      }]
+    };
+  }
+
+  const { fieldAliases, schema } = ACTION_SCHEMAS[actionName];
+  const action = { action: actionName };
+
+  // Canonical field names win over aliases when both are present
+  for (const [field, value] of Object.entries(rawAction)) {
+    if (field === 'action' || value === undefined || value === null) continue;
+
+    const canonicalField = schema.properties[field] ? field : fieldAliases[field];
+    if (canonicalField && schema.properties[canonicalField]) {
+      if (action[canonicalField] === undefined || canonicalField === field) {
+        action[canonicalField] = coerceValue(value, schema.properties[canonicalField]);
+      }
+    } else if (schema.additionalProperties || PASSTHROUGH_FIELDS.includes(field)) {
+      action[field] = value;
+    }
+  }
+
+  // Apply defaults
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    if (action[field] === undefined && fieldSchema.default !== undefined) {
+      action[field] = fieldSchema.default;
+    }
+  }
+
+  const errors = validateObject(action, schema, path);
+
+  if (schema.anyOf && !schema.anyOf.some(option => option.required.every(field => action[field] !== undefined))) {
+    const fields = schema.anyOf.map(option => option.required.join(' + ')).join(' or ');
+    errors.push({ path: path || '(root)', code: 'any_of', message: `${actionName} needs ${fields}` });
+  }
+
+  return { valid: errors.length === 0, action, errors };
+}
+
+/**
+ * Validate and normalize a plan - a single action object or an array of actions
+ * @param {object|Array} plan - Plan as returned by the model
+ * @returns {object} { valid, plan, errors } where plan keeps the input's shape
+ */
+function validatePlan(plan) {
+  if (!Array.isArray(plan)) {
+    const result = validateAction(plan);
+    return { valid: result.valid, plan: result.action, errors: result.errors };
+  }
+
+  if (plan.length === 0) {
+    return {
+      valid: false,
+      plan,
+      errors: [{ path: '(root)', code: 'empty_plan', message: 'plan must contain at least one action' }]
+    };
+  }
+
+  const actions = [];
+  const errors = [];
+
+  plan.forEach((rawAction, index) => {
+    const result = validateAction(rawAction, `[${index}]`);
+    actions.push(result.action);
+    errors.push(...result.errors.map(error => ({ index, ...error })));
+  });
+
+  return { valid: errors.length === 0, plan: actions, errors };
+}
+
+/**
+ * Validate a plan and return its normalized form, throwing if it is invalid
+ * @param {object|Array} plan - Plan as returned by the model
+ * @returns {object|Array} Normalized plan
+ */
+function normalizePlan(plan) {
+  const result = validatePlan(plan);
+
+  if (!result.valid) {
+    throw new ActionValidationError(result.errors, plan);
+  }
+
+  return result.plan;
+}
+
+module.exports = {
+  ACTION_SCHEMAS,
+  resolveActionName,
+  getActionJSONSchema,
+  validateAction,
+  validatePlan,
+  normalizePlan
+};
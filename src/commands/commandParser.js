@@ -4,17 +4,42 @@
 const natural = require('natural');
 const { logger } = require('../utils/logger');
 const { extractEntities } = require('../utils/nlpHelper');
-const GeminiService = require('../utils/geminiService');
+const { createLLMService } = require('../utils/llmProviders');
+const { resolveActionName, validateAction, validatePlan } = require('./actionSchema');
+const { BrowseByMeError, ActionValidationError, PlanExecutionError, CommandCancelledError, PolicyViolationError } = require('../utils/errors');
+const { progressEvents } = require('../utils/progressEvents');
+const { redactor } = require('../security/redactor');
+const { currentSignal, cancellationError, cancellableDelay } = require('../utils/cancellation');
+const ControlLock = require('../sessions/controlLock');
+const { resolveParams } = require('../workflows/template');
+const { WorkflowRunner, loopVariables } = require('../workflows/workflowRunner');
+const config = require('../config/config');
+
+// Most actions kept in a session's action log
+const MAX_ACTION_LOG = 500;
 
 class CommandParser {
-  constructor(browserController) {
+  /**
+   * @param {BrowserController} browserController - Browser controller instance
+   * @param {object} options - Parser options
+   * @param {string} options.sessionId - Browser session to bind this parser to
+   * @param {LLMService} options.llmService - Language model service (defaults to the configured provider)
+   * @param {string} options.owner - API user this parser works for; secrets its runs see are only revealed to them
+   */
+  constructor(browserController, options = {}) {
     this.browserController = browserController;
-    this.activeSession = null;
+    this.activeSession = options.sessionId || null;
+    this.pinnedSession = Boolean(options.sessionId);
+    this.owner = options.owner || null;
+    this.launched = new Set(); // Browsers this parser opened itself; "close all" only closes these
     this.tokenizer = new natural.WordTokenizer();
+    this.runs = new Map(); // Map of runId -> AbortController for commands in progress
+    this.controlLock = new ControlLock(); // Held while a person drives the session from the live view
+    this.recording = null; // { name, description, actions, startedAt } while a macro is being recorded
+    this.actionLog = []; // Resolved actions run since the browser was opened, for exporting as a test
     
-    // Initialize Gemini AI service if API key exists
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    this.geminiService = new GeminiService(geminiApiKey);
+    // Initialize the configured AI provider (Gemini, OpenAI-compatible or local)
+    this.llmService = options.llmService || createLLMService();
     
     // Command patterns for basic intent recognition (used as fallback)
     this.commandPatterns = {
@@ -51,64 +76,566 @@ class CommandParser {
     };
   }
 
+  /**
+   * Parse and execute a text command as a tracked run, publishing progress events
+   * @param {string} command - Text command to execute
+   * @param {object} options - Execution options
+   * @param {boolean} options.screenshots - Capture before/after screenshots of each AI plan step
+   * @param {string} options.runId - ID for the run's progress events (generated if not given)
+   * @param {number} options.timeoutMs - Deadline for the command (defaults to config.commands.timeoutMs)
+   * @returns {object} Command execution result
+   */
+  async parseAndExecute(command, options = {}) {
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : config.commands.timeoutMs;
+    
+    return this.runCancellable({ runId: options.runId, command }, timeoutMs, async () => {
+      const startedAt = Date.now();
+      progressEvents.publish('command:start', { command });
+      
+      try {
+        const result = await this.runCommand(command, options);
+        progressEvents.publish('command:finish', { command, durationMs: Date.now() - startedAt });
+        return result;
+      } catch (error) {
+        progressEvents.publish('command:error', { command, durationMs: Date.now() - startedAt, error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run work as a tracked run that can be cancelled and has a deadline. The run's abort signal
+   * and deadline travel in its run context, so browser and AI calls below can honour them.
+   * After a cancellation the session is settled before this returns. Secrets in the result are masked,
+   * and secrets the run sees belong to the parser's owner.
+   * @param {object} context - Run context for progress events, such as { runId, command }
+   * @param {number} timeoutMs - Deadline for the whole run in ms (0 for none)
+   * @param {Function} work - Async function given the run's abort signal
+   * @returns {any} Result of the work
+   */
+  async runCancellable(context, timeoutMs, work) {
+    const controller = new AbortController();
+    const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : null;
+    const timer = deadline ? setTimeout(() => {
+      controller.abort(new CommandCancelledError(`Command timed out after ${timeoutMs}ms`, 'timeout'));
+    }, timeoutMs) : null;
+    
+    const run = { ...context, sessionId: this.activeSession, owner: this.owner, signal: controller.signal, deadline };
+    
+    return redactor.withScope(this.owner, () => progressEvents.runWith(run, async () => {
+      const { runId } = progressEvents.currentRun();
+      this.runs.set(runId, controller);
+      
+      try {
+        return redactor.redact(await work(controller.signal));
+      } catch (error) {
+        // Whatever failed first, a cancelled run reports the cancellation
+        if (controller.signal.aborted && !(error instanceof CommandCancelledError)) {
+          throw cancellationError(controller.signal);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        this.runs.delete(runId);
+        
+        if (controller.signal.aborted && this.activeSession) {
+          await this.browserController.settle(this.activeSession);
+        }
+      }
+    }));
+  }
+
+  /**
+   * Cancel commands running in this parser
+   * @param {string} runId - Run to cancel (all runs if omitted)
+   * @returns {number} Number of runs cancelled
+   */
+  cancel(runId) {
+    const controllers = runId ? [this.runs.get(runId)].filter(Boolean) : Array.from(this.runs.values());
+    
+    for (const controller of controllers) {
+      controller.abort(new CommandCancelledError('Command cancelled'));
+    }
+    
+    if (controllers.length > 0) {
+      logger.info(`Cancelled ${controllers.length} running command(s)`);
+    }
+    return controllers.length;
+  }
+
+  /**
+   * Hand the session to a person; AI commands pause before their next step until control is released
+   * @param {string} holder - Who is taking control
+   * @returns {object} Control status
+   */
+  takeControl(holder = 'user') {
+    this.controlLock.take(holder);
+    logger.info(`Control taken by ${holder}`);
+    progressEvents.publish('control:taken', { sessionId: this.activeSession, holder });
+    return this.controlLock.describe();
+  }
+
+  /**
+   * Hand the session back to the AI, resuming paused commands
+   * @returns {object} Control status
+   */
+  releaseControl() {
+    this.controlLock.release();
+    logger.info('Control handed back');
+    progressEvents.publish('control:released', { sessionId: this.activeSession });
+    return this.controlLock.describe();
+  }
+
+  /**
+   * Wait while a person is in control of the session (cancellable with the current run)
+   */
+  async waitForControl() {
+    if (!this.controlLock.isHeld()) return;
+    
+    logger.info(`Waiting for ${this.controlLock.holder} to hand back control`);
+    progressEvents.publish('control:waiting', { holder: this.controlLock.holder });
+    await this.controlLock.waitUntilReleased();
+  }
+
+  /**
+   * Forward a person's mouse or keyboard input to the active session's page
+   * @param {object} input - Input event (see BrowserController.sendInput)
+   * @returns {object} Input result
+   */
+  async sendInput(input) {
+    if (!this.activeSession) {
+      throw new BrowseByMeError('No active browser session', 409);
+    }
+    if (!this.controlLock.isHeld()) {
+      throw new BrowseByMeError('Take control of the session before sending input', 409);
+    }
+    
+    return this.browserController.sendInput(this.activeSession, input);
+  }
+
+  /**
+   * @returns {boolean} True while a browser this parser opened is still open
+   */
+  hasOpenBrowser() {
+    return Array.from(this.launched).some(sessionId => this.browserController.browsers.has(sessionId));
+  }
+
+  /**
+   * Hand the parser to another owner. It starts afresh, so none of the previous owner's
+   * conversation, action log, recording or control of the page carries over.
+   * @param {string|null} owner - Name of the API user taking it over
+   */
+  claim(owner) {
+    if (owner === this.owner) return;
+
+    this.owner = owner;
+    this.activeSession = null;
+    this.launched.clear();
+    this.actionLog = [];
+    this.recording = null;
+    this.controlLock.release();
+    this.llmService.clearHistory();
+    logger.info(`Parser taken over by ${owner || 'an anonymous user'}`);
+  }
+
+  /**
+   * Start recording the actions this parser runs into a macro
+   * @param {string} name - Name the macro will be saved under
+   * @param {string} description - What the macro does
+   * @returns {object} Recording status
+   */
+  startRecording(name, description = '') {
+    if (this.recording) {
+      throw new BrowseByMeError(`Already recording macro "${this.recording.name}"`, 409);
+    }
+    
+    this.recording = { name, description, actions: [], startedAt: new Date() };
+    logger.info(`Recording macro: ${name}`);
+    return { recording: true, name };
+  }
+
+  /**
+   * Stop recording
+   * @returns {object} The recording as { name, description, actions, startedAt }
+   */
+  stopRecording() {
+    if (!this.recording) {
+      throw new BrowseByMeError('No macro is being recorded', 409);
+    }
+    
+    const recording = this.recording;
+    this.recording = null;
+    logger.info(`Stopped recording macro ${recording.name}: ${recording.actions.length} actions`);
+    return recording;
+  }
+
+  /**
+   * Log a successful action, pinned to the element it actually used, and add it to any recording.
+   * Opening a browser starts a new log. Secrets are kept as their references, so they never reach
+   * saved macros or exported tests.
+   * @param {object} action - Normalized action that ran
+   * @param {string|null} selector - Selector the action resolved to
+   */
+  logAction(action, selector) {
+    const { originalCommand, ...resolved } = redactor.redact(action);
+    
+    // Replay the element that was found rather than the model's description of it
+    if (selector && (resolved.selector !== undefined || resolved.target !== undefined || resolved.action === 'search')) {
+      resolved.selector = selector;
+      delete resolved.target;
+    }
+    
+    if (resolved.action === 'open') {
+      this.actionLog = [];
+    }
+    this.actionLog.push(resolved);
+    if (this.actionLog.length > MAX_ACTION_LOG) {
+      this.actionLog.shift();
+    }
+    
+    if (this.recording) {
+      this.recording.actions.push(resolved);
+    }
+  }
+
+  /**
+   * Replay a macro's actions as a tracked run. Nothing is sent to the language model:
+   * a failed step stops the replay instead of being re-planned.
+   * @param {object} macro - Macro as { name, actions }
+   * @param {object} options - Execution options (screenshots, runId and timeoutMs as for parseAndExecute)
+   * @returns {object} Sequence result with the step report of the replay
+   */
+  async replayMacro(macro, options = {}) {
+    return this.runStoredPlan('macro', macro.name, macro.actions, options);
+  }
+
+  /**
+   * Run a workflow, including its control flow, with its {{variables}} filled in from parameters
+   * and without the language model
+   * @param {object} workflow - Workflow as { name, params, steps }
+   * @param {object} params - Values for the workflow's variables
+   * @param {object} options - Execution options (screenshots, runId and timeoutMs as for parseAndExecute)
+   * @returns {object} Sequence result with the step report of the run
+   */
+  async runWorkflow(workflow, params = {}, options = {}) {
+    // Missing parameters are reported before anything runs
+    const values = resolveParams(workflow, params, loopVariables(workflow.steps));
+    return this.runStoredPlan('workflow', workflow.name, workflow.steps, { ...options, params: values });
+  }
+
+  /**
+   * Run stored steps (a macro or workflow) as a tracked run, publishing "<kind>:start",
+   * "<kind>:finish" and "<kind>:error" events. A failed step stops the run rather than being re-planned.
+   * @param {string} kind - "macro" or "workflow"
+   * @param {string} name - Name of the macro or workflow
+   * @param {Array} steps - Actions and control-flow steps to run
+   * @param {object} options - Execution options (screenshots, runId and timeoutMs as for parseAndExecute,
+   *                           and params for the steps' variables)
+   * @returns {object} Sequence result, with the macro or workflow name
+   */
+  async runStoredPlan(kind, name, steps, options = {}) {
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : config.commands.timeoutMs;
+    
+    return this.runCancellable({ runId: options.runId, [kind]: name }, timeoutMs, async () => {
+      const startedAt = Date.now();
+      progressEvents.publish(`${kind}:start`, { [kind]: name, steps: steps.length });
+      
+      try {
+        const screenshots = options.screenshots !== undefined ? options.screenshots : config.agent.stepScreenshots;
+        const result = await new WorkflowRunner(this, { screenshots }).run(steps, options.params);
+        progressEvents.publish(`${kind}:finish`, { [kind]: name, durationMs: Date.now() - startedAt });
+        return { ...result, [kind]: name };
+      } catch (error) {
+        progressEvents.publish(`${kind}:error`, { [kind]: name, durationMs: Date.now() - startedAt, error: error.message });
+        throw error;
+      }
+    });
+  }
+
   /**
    * Parse and execute a text command
    * @param {string} command - Text command to execute
+   * @param {object} options - Execution options (see parseAndExecute)
    * @returns {object} Command execution result
    */
-  async parseAndExecute(command) {
+  async runCommand(command, options = {}) {
     try {
       logger.info(`Parsing command: ${command}`);
+      await this.waitForControl();
       
       // Get current state for context with extended page information
       const currentState = await this.getEnhancedState();
       
-      // Use Gemini AI to process the command if available
+      // Use the AI provider to process the command if available
       let aiResult = null;
       try {
-        aiResult = await this.geminiService.processCommand(command, currentState);
+        aiResult = await this.llmService.processCommand(command, currentState);
         logger.info(`AI processed command: ${JSON.stringify(aiResult)}`);
       } catch (aiError) {
         logger.error(`AI processing error: ${aiError.message}`);
         // Will fall back to regular processing
       }
       
-      // If AI provided a valid result, use it (could be a single action or an array of actions)
-      if (aiResult && aiResult.action && aiResult.action !== 'unknown') {
-        return await this.executeAICommand(aiResult);
-      } else if (Array.isArray(aiResult) && aiResult.length > 0) {
-        // Handle action sequences - execute them in order
-        const results = [];
-        for (const action of aiResult) {
-          const result = await this.executeAICommand(action);
-          results.push(result);
-          // Brief pause between actions
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-        
-        return {
-          action: 'sequence',
-          steps: results.length,
-          message: `Executed ${results.length} sequential actions`
-        };
+      // The AI service's own keyword fallback is coarser than the rule-based handlers below
+      if (aiResult && aiResult.fallback) {
+        aiResult = null;
       }
       
-      // Fall back to traditional processing
-      // Normalize command to lowercase
-      const normalizedCommand = command.toLowerCase();
+      // If AI provided a plan, validate it (asking the model to fix it if needed) and run it
+      // (could be a single action or an array of actions)
+      const hasPlan = Array.isArray(aiResult) ? aiResult.length > 0 : Boolean(aiResult && aiResult.action !== 'unknown');
+      
+      if (hasPlan) {
+        const plan = await this.validateAIPlan(command, aiResult, currentState);
+        progressEvents.publish('command:plan', { source: 'ai', plan });
+        return await this.executePlan(command, plan, options);
+      }
       
-      // Determine the intent of the command
-      const intent = this.determineIntent(normalizedCommand);
+      // Fall back to traditional processing
+      // Determine the intent of the command (matching is case-insensitive, but the
+      // original text is kept so typed values, URLs and selectors keep their case)
+      const intent = this.determineIntent(command.toLowerCase());
       logger.info(`Detected intent: ${intent.type}`);
+      progressEvents.publish('command:plan', { source: 'rules', intent: intent.type });
       
       // Execute command based on intent
-      return await this.executeCommand(normalizedCommand, this.activeSession);
+      return await this.executeCommand(command, this.activeSession, intent);
     } catch (error) {
       logger.error(`Command parser error: ${error.message}`);
+      
+      if (error instanceof BrowseByMeError) {
+        throw error;
+      }
       throw new Error(`Failed to parse command: ${error.message}`);
     }
   }
 
+  /**
+   * Execute a validated AI plan step by step. When a step fails, the AI is given the
+   * error and a fresh page state and asked for a revised plan for the rest of the
+   * command, within the config.agent budget.
+   * @param {string} command - Original text command
+   * @param {object|Array} plan - Normalized plan (single action or array of actions)
+   * @param {object} options - Execution options
+   * @param {boolean} options.screenshots - Capture before/after screenshots of each step
+   *                                        (defaults to config.agent.stepScreenshots)
+   * @returns {object} Result of a single action that succeeded first time, otherwise
+   *                   a sequence result with the step report and trace of every attempt
+   */
+  async executePlan(command, plan, options = {}) {
+    const { maxReplans, maxSteps } = config.agent;
+    const screenshots = options.screenshots !== undefined ? Boolean(options.screenshots) : config.agent.stepScreenshots;
+    const isSingleAction = !Array.isArray(plan);
+    
+    // Keep the user's wording so open/navigate can fall back on it
+    let queue = isSingleAction ? [{ originalCommand: command, ...plan }] : [...plan];
+    const completedSteps = [];
+    const results = [];
+    const trace = [];
+    let replans = 0;
+    let stepCount = 0;
+    
+    // A cancelled plan stops before its next step and keeps the trace so far
+    const signal = currentSignal();
+    const stopIfCancelled = () => {
+      if (signal && signal.aborted) {
+        const { message, reason } = cancellationError(signal);
+        throw new CommandCancelledError(message, reason, trace);
+      }
+    };
+    
+    while (queue.length > 0) {
+      stopIfCancelled();
+      await this.waitForControl().catch(stopIfCancelled);
+      
+      if (stepCount >= maxSteps) {
+        throw new PlanExecutionError(`Stopped after ${maxSteps} steps without finishing the command`, trace);
+      }
+      
+      const action = queue.shift();
+      stepCount++;
+      
+      const { report, result } = await this.runStep(action, { step: stepCount, screenshots });
+      trace.push({ type: 'step', plan: replans, ...report });
+      
+      if (report.status === 'failed') {
+        stopIfCancelled();
+        
+        // No plan may find a way around the navigation policy
+        if (report.policyViolation) {
+          throw new PolicyViolationError(report.policyViolation.url, report.policyViolation.reason);
+        }
+        
+        if (replans >= maxReplans) {
+          throw new PlanExecutionError(`Step ${stepCount} (${action.action}) failed after ${replans} re-plans: ${report.error}`, trace);
+        }
+        
+        // Show the AI what the page looks like now and ask for a way around the failure
+        replans++;
+        const currentState = await this.getEnhancedState();
+        const revisedPlan = await this.llmService.replan(command, {
+          completedSteps: [...completedSteps],
+          failedStep: action,
+          error: report.error,
+          remainingSteps: [...queue]
+        }, currentState);
+        
+        if (!revisedPlan) {
+          throw new PlanExecutionError(`Step ${stepCount} (${action.action}) failed and no revised plan was returned: ${report.error}`, trace);
+        }
+        
+        try {
+          queue = [].concat(await this.validateAIPlan(command, revisedPlan, currentState));
+        } catch (validationError) {
+          throw new PlanExecutionError(`Revised plan after step ${stepCount} was invalid: ${validationError.message}`, trace);
+        }
+        trace.push({ type: 'replan', plan: replans, reason: report.error, actions: queue });
+        progressEvents.publish('command:replan', { step: stepCount, reason: report.error, plan: queue });
+        logger.info(`Re-planned after failed step ${stepCount}: ${queue.length} actions`);
+        continue;
+      }
+      
+      completedSteps.push(action);
+      results.push(result);
+      
+      // Brief pause between actions
+      if (queue.length > 0) {
+        await cancellableDelay(500).catch(stopIfCancelled);
+      }
+    }
+    
+    // Single actions that needed no re-planning keep their plain result
+    if (isSingleAction && replans === 0) {
+      return results[0];
+    }
+    
+    return {
+      action: 'sequence',
+      steps: results.length,
+      replans,
+      message: `Executed ${results.length} sequential actions${replans > 0 ? ` (re-planned ${replans} times)` : ''}`,
+      trace
+    };
+  }
+
+  /**
+   * Execute one action and report on it
+   * @param {object} action - Normalized action
+   * @param {object} options - Step options
+   * @param {number} options.step - Step number for the report
+   * @param {boolean} options.screenshots - Capture screenshots before and after the action
+   * @returns {object} { report, result } - the report has the action name, its input, the
+   *                   selector actually used, status, result or error (with policyViolation if
+   *                   the navigation policy stopped it), duration and screenshots
+   */
+  async runStep(action, options = {}) {
+    const { action: actionName, originalCommand, ...input } = action;
+    const report = { step: options.step, action: actionName, input, selector: input.selector || null };
+    let result;
+    
+    progressEvents.publish('step:start', { sessionId: this.activeSession, step: options.step, action: actionName, input });
+    
+    const before = options.screenshots ? await this.captureStepScreenshot() : null;
+    const startedAt = Date.now();
+    
+    try {
+      result = await this.executeAICommand(action);
+      
+      // Element actions report the selector they resolved to
+      if (result && typeof result.selector === 'string') {
+        report.selector = result.selector;
+      }
+      report.status = 'succeeded';
+      report.result = Buffer.isBuffer(result) ? { screenshot: this.toDataUrl(result) } : result;
+      
+      this.logAction(action, report.selector);
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      if (error instanceof PolicyViolationError) {
+        report.policyViolation = { url: error.url, reason: error.reason };
+      }
+    }
+    
+    report.durationMs = Date.now() - startedAt;
+    
+    if (options.screenshots) {
+      report.screenshots = { before, after: await this.captureStepScreenshot() };
+    }
+    
+    // Results and screenshots can be large, so the event carries just the outcome
+    const { result: reportedResult, screenshots, ...outcome } = report;
+    progressEvents.publish('step:finish', { sessionId: this.activeSession, ...outcome });
+    
+    return { report, result };
+  }
+
+  /**
+   * Capture the visible part of the active page for a step report
+   * @returns {string|null} PNG data URL, or null if there is no page to capture
+   */
+  async captureStepScreenshot() {
+    if (!this.activeSession) {
+      return null;
+    }
+    
+    try {
+      const screenshot = await this.browserController.takeScreenshot(this.activeSession, { fullPage: false });
+      return this.toDataUrl(screenshot);
+    } catch (error) {
+      logger.warn(`Failed to capture step screenshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Encode a PNG buffer as a data URL
+   * @param {Buffer} png - PNG image
+   * @returns {string} Data URL
+   */
+  toDataUrl(png) {
+    return `data:image/png;base64,${png.toString('base64')}`;
+  }
+
+  /**
+   * Validate an AI plan against the action schema, asking the model to correct it
+   * up to config.llm.maxCorrections times
+   * @param {string} command - Original text command
+   * @param {object|Array} plan - Plan returned by the AI
+   * @param {object} currentState - Browser state the plan was made for
+   * @returns {object|Array} Normalized plan
+   */
+  async validateAIPlan(command, plan, currentState) {
+    // A navigation without a URL can usually be completed from the command itself
+    if (!Array.isArray(plan) && resolveActionName(plan.action) === 'navigate' && !plan.url) {
+      const extractedUrl = this.extractUrl(command);
+      if (extractedUrl) {
+        logger.info(`Recovered URL from original command: ${extractedUrl}`);
+        plan = { ...plan, url: extractedUrl };
+      }
+    }
+    
+    let validation = validatePlan(plan);
+    
+    for (let attempt = 1; !validation.valid && attempt <= config.llm.maxCorrections; attempt++) {
+      logger.warn(`AI plan failed validation (correction ${attempt}): ${JSON.stringify(validation.errors)}`);
+      
+      const correctedPlan = await this.llmService.correctPlan(command, plan, validation.errors, currentState);
+      if (!correctedPlan) {
+        break;
+      }
+      
+      plan = correctedPlan;
+      validation = validatePlan(plan);
+    }
+    
+    if (!validation.valid) {
+      throw new ActionValidationError(validation.errors, plan);
+    }
+    
+    return validation.plan;
+  }
+
   /**
    * Get enhanced current browser state with page structure details
    * @returns {object} Enhanced current state
@@ -247,93 +774,47 @@ class CommandParser {
    */
   async executeAICommand(aiCommand) {
     try {
-      if (!aiCommand || typeof aiCommand !== 'object') {
-        throw new Error('Invalid AI command format');
+      // Validate against the action schema and work with the normalized fields only
+      const validation = validateAction(aiCommand);
+      if (!validation.valid) {
+        throw new ActionValidationError(validation.errors, aiCommand);
       }
       
-      const action = aiCommand.action;
-      if (!action) {
-        throw new Error('AI command missing required action field');
-      }
-      
-      logger.info(`Executing AI command: ${action}`);
+      const action = validation.action;
+      logger.info(`Executing AI command: ${action.action}`);
       
-      switch (action.toLowerCase()) {
-        case 'navigate':
-        case 'go':
-          // Ensure URL is provided and valid
-          if (!aiCommand.url) {
-            throw new Error('Navigate command missing required URL');
-          }
-          
-          // Ensure URL has protocol
-          let url = aiCommand.url;
-          if (!url.startsWith('http')) {
-            url = 'https://' + url;
-          }
+      switch (action.action) {
+        case 'open':
+          // Launch a browser, passing through any launch options the AI extracted
+          return await this.handleOpenCommand(action.originalCommand || '', {
+            browserType: action.browser,
+            launchOptions: this.pickLaunchOptions(action)
+          });
           
-          return await this.browserController.navigateTo(url, this.activeSession);
+        case 'navigate':
+          // navigateTo adds https:// where the protocol is missing
+          return await this.browserController.navigateTo(action.url, this.activeSession);
           
         case 'click':
-          // Ensure target or selector is provided
-          const clickTarget = aiCommand.selector || aiCommand.target;
-          if (!clickTarget) {
-            throw new Error('Click command missing required selector or target');
-          }
-          
-          return await this.browserController.clickElement(clickTarget, this.activeSession);
+          return await this.browserController.clickElement(action.selector || action.target, this.activeSession);
           
         case 'type':
-        case 'fill':
-        case 'input':
-          // Ensure both field and value are provided
-          const typeTarget = aiCommand.selector || aiCommand.field || aiCommand.target;
-          const typeValue = aiCommand.value || aiCommand.text;
-          
-          if (!typeTarget) {
-            throw new Error('Type command missing required selector or field');
-          }
-          
-          if (typeValue === undefined || typeValue === null) {
-            throw new Error('Type command missing required value or text');
-          }
-          
-          return await this.browserController.fillField(typeTarget, typeValue.toString(), this.activeSession);
+          return await this.browserController.fillField(action.selector || action.target, action.value, this.activeSession);
           
         case 'search':
-          // Ensure query is provided
-          const searchQuery = aiCommand.query || aiCommand.text || aiCommand.value;
-          if (!searchQuery) {
-            throw new Error('Search command missing required query');
-          }
-          
-          const searchField = aiCommand.selector || aiCommand.field || 'input[type="search"], input[name="q"], #search';
-          
-          // First fill the search field
-          await this.browserController.fillField(searchField, searchQuery, this.activeSession);
-          
-          // Then submit the search
-          const submitSelector = aiCommand.submitSelector || 'input[type="submit"], button[type="submit"], button:has-text("Search")';
-          return await this.browserController.clickElement(submitSelector, this.activeSession);
+          return await this.performSearch(action.value, {
+            selector: action.selector,
+            submitSelector: action.submitSelector
+          });
           
         case 'select':
-          // Ensure both selector and option are provided
-          if (!aiCommand.selector) {
-            throw new Error('Select command missing required selector');
-          }
-          
-          const selectOption = aiCommand.option || aiCommand.value || aiCommand.text;
-          if (!selectOption) {
-            throw new Error('Select command missing required option or value');
-          }
-          
           // Use executeScript to select the option
           return await this.browserController.executeScript(
-            `const select = document.querySelector('${aiCommand.selector}');
+            `const select = document.querySelector(${JSON.stringify(action.selector)});
              if (!select) throw new Error('Select element not found');
              
              // Try to find the option by value, text, or index
-             const optionText = '${selectOption}';
+             const optionText = ${JSON.stringify(action.value)};
              let found = false;
              
              // Try by value
@@ -366,31 +847,30 @@ class CommandParser {
           return await this.browserController.takeScreenshot(this.activeSession);
           
         case 'wait':
-          const waitTime = parseInt(aiCommand.time || aiCommand.duration || '2000', 10);
+          // Wait for an element when one is given, otherwise for a fixed duration
+          return await this.browserController.waitFor({
+            selector: action.selector,
+            duration: action.selector ? undefined : (action.duration !== undefined ? action.duration : 2000),
+            timeout: action.timeout
+          }, this.activeSession);
           
-          // Wait using browser controller
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+        case 'scroll':
+          return await this.browserController.scrollPage(action.direction, action.amount, this.activeSession);
           
-          return { success: true, message: `Waited for ${waitTime}ms` };
+        case 'draw':
+          return await this.drawShape(action, this.activeSession);
           
-        case 'scroll':
-          const direction = (aiCommand.direction || 'down').toLowerCase();
-          const amount = parseInt(aiCommand.amount || '300', 10);
+        case 'findbyname':
+          return await this.handleFindByNameCommand([action.query], this.activeSession);
           
-          // Use executeScript to scroll
-          return await this.browserController.executeScript(
-            `if ('${direction}' === 'up') {
-               window.scrollBy(0, -${amount});
-             } else if ('${direction}' === 'down') {
-               window.scrollBy(0, ${amount});
-             } else if ('${direction}' === 'left') {
-               window.scrollBy(-${amount}, 0);
-             } else if ('${direction}' === 'right') {
-               window.scrollBy(${amount}, 0);
-             }
-             return true;`,
-            this.activeSession
-          );
+        case 'extract':
+          return await this.handleExtractCommand(action.selector ? [action.selector] : [], this.activeSession);
+          
+        case 'book':
+          throw new Error('Booking is not automated as a single action yet. Ask for the steps instead, e.g. "go to ...", "type ... in ...", "click ..."');
+          
+        case 'close':
+          return await this.handleCloseCommand(action.scope === 'all' ? 'close all' : 'close', this.activeSession);
           
         case 'back':
           // Go back in history
@@ -407,39 +887,50 @@ class CommandParser {
           );
           
         case 'reload':
-        case 'refresh':
           // Reload the page
           return await this.browserController.executeScript(
             `location.reload(); return true;`,
             this.activeSession
           );
           
+        case 'done':
+          // Nothing to do in the browser - the model is reporting its answer
+          return { success: action.success, action: 'done', answer: action.answer };
+          
         default:
-          // Try to use traditional command processing as fallback
-          return await this.executeCommand(aiCommand.originalCommand || action, this.activeSession);
+          // Every schema action needs a case above
+          throw new Error(`No handler for action: ${action.action}`);
       }
     } catch (error) {
       logger.error(`AI command execution error: ${error.message}`);
       
-      // Attempt to recover with a more basic action if possible
-      if (error.message.includes('missing required URL') && aiCommand.originalCommand) {
-        // Try to extract a URL from the original command
-        try {
-          const extractedUrl = this.extractUrl(aiCommand.originalCommand);
-          if (extractedUrl) {
-            logger.info(`Recovered URL from original command: ${extractedUrl}`);
-            return await this.browserController.navigateTo(extractedUrl, this.activeSession);
-          }
-        } catch (e) {
-          // Ignore extraction errors
-        }
+      // Validation errors keep their structure so callers can report each problem
+      if (error instanceof BrowseByMeError) {
+        throw error;
       }
       
-      // If we're here, we couldn't recover - throw the error
       throw new Error(`Command execution failed: ${error.message}`);
     }
   }
 
+  /**
+   * Pick browser launch options out of an AI command
+   * @param {object} aiCommand - AI processed command
+   * @returns {object} Launch option overrides
+   */
+  pickLaunchOptions(aiCommand) {
+    const launchOptions = { ...(aiCommand.options || {}) };
+    const fields = ['headless', 'viewport', 'userAgent', 'locale', 'timezoneId', 'timezone', 'proxy', 'slowMo', 'profile'];
+    
+    for (const field of fields) {
+      if (aiCommand[field] !== undefined) {
+        launchOptions[field] = aiCommand[field];
+      }
+    }
+    
+    return launchOptions;
+  }
+
   /**
    * Determine the intent of a command
    * @param {string} command - Text command to analyze
@@ -496,37 +987,66 @@ class CommandParser {
    * Execute a command based on detected intent
    * @param {string} command - Text command to execute
    * @param {string} sessionId - Browser session ID
+   * @param {object} intent - Intent detected by determineIntent (optional)
    * @returns {object} Command execution result
    */
-  async executeCommand(command, sessionId) {
+  async executeCommand(command, sessionId, intent = null) {
     try {
-      // Handle commands
-      const tokens = this.tokenizeCommand(command);
-      const action = tokens.shift().toLowerCase();
+      if (!command || typeof command !== 'string' || !command.trim()) {
+        throw new Error('Empty command');
+      }
+      
+      // Split on whitespace rather than word-tokenizing so selectors like "#main" survive
+      const tokens = command.trim().split(/\s+/);
+      let action = tokens.shift().toLowerCase();
+      
+      // Commands that don't start with a verb we know ("go to ...", "take a screenshot")
+      // are dispatched on the detected intent instead, with the full command text
+      if (!this.isDirectAction(action)) {
+        action = (intent || this.determineIntent(command.toLowerCase())).type;
+      }
       
       switch (action) {
-        case 'navigate': 
-        case 'goto': 
         case 'open':
-          return await this.handleNavigateCommand(tokens, sessionId);
+          // "open firefox headless" launches a browser; "open example.com" navigates
+          if (/\b(?:chrome|chromium|firefox|safari|webkit|edge|browser)\b/i.test(command) && !this.extractUrl(command)) {
+            return await this.handleOpenCommand(command.toLowerCase());
+          }
+          return await this.handleNavigateCommand(command);
+          
+        case 'navigate': 
+        case 'goto':
+        case 'go':
+        case 'visit':
+          return await this.handleNavigateCommand(command);
         
         case 'click':
-          return await this.handleClickCommand(tokens, sessionId);
+        case 'press':
+        case 'tap':
+          return await this.handleClickCommand(command);
         
         case 'type': 
         case 'input': 
         case 'fill':
-          return await this.handleInputCommand(tokens, sessionId);
+        case 'enter':
+        case 'write':
+          return await this.handleInputCommand(command, sessionId);
+          
+        case 'search':
+          return await this.handleSearchCommand(command);
           
         case 'screenshot':
           return await this.browserController.takeScreenshot(sessionId);
         
         case 'execute': 
         case 'script':
-          return await this.handleScriptCommand(tokens, sessionId);
+          return await this.handleScriptCommand(command, sessionId);
         
         case 'wait':
-          return await this.handleWaitCommand(tokens, sessionId);
+          return await this.handleWaitCommand(command, sessionId);
+          
+        case 'scroll':
+          return await this.handleScrollCommand(command, sessionId);
         
         case 'back':
           return await this.browserController.executeScript('window.history.back()', sessionId);
@@ -535,10 +1055,11 @@ class CommandParser {
           return await this.browserController.executeScript('window.history.forward()', sessionId);
         
         case 'reload':
+        case 'refresh':
           return await this.browserController.executeScript('window.location.reload()', sessionId);
           
         case 'close':
-          return await this.browserController.closeBrowser(sessionId);
+          return await this.handleCloseCommand(command, sessionId);
           
         // New commands for enhanced element selection
         case 'inspect':
@@ -560,46 +1081,142 @@ class CommandParser {
         case 'findbyname':
         case 'findbytext':
           return await this.handleFindByNameCommand(tokens, sessionId);
+          
+        case 'book':
+          throw new Error('Booking needs AI processing. Set GEMINI_API_KEY, or break the task into steps like "go to ..." and "click ..."');
         
         default:
-          throw new Error(`Unknown command: ${action}`);
+          throw new Error(`Unknown command: ${command}`);
       }
     } catch (error) {
+      // Policy, vault and other BrowseByMe errors keep their status
+      if (error instanceof BrowseByMeError) {
+        throw error;
+      }
+      
       throw new Error(`Command execution failed: ${error.message}`);
     }
   }
 
+  /**
+   * Check whether a word is an action executeCommand handles directly
+   * @param {string} word - First word of a command
+   * @returns {boolean} True if the word maps directly to a handler
+   */
+  isDirectAction(word) {
+    return [
+      'open', 'navigate', 'goto', 'visit', 'click', 'press', 'tap',
+      'type', 'input', 'fill', 'enter', 'write', 'search', 'screenshot',
+      'execute', 'script', 'wait', 'scroll', 'back', 'forward', 'reload',
+      'refresh', 'close', 'inspect', 'analyze', 'find', 'extract', 'scrape',
+      'draw', 'findbyname', 'findbytext'
+    ].includes(word);
+  }
+
   /**
    * Handle "open" commands
    * @param {string} command - Text command
+   * @param {object} options - Additional options from AI processing
+   * @param {string} options.browserType - Browser type to launch
+   * @param {object} options.launchOptions - Launch option overrides
    * @returns {object} Command execution result
    */
-  async handleOpenCommand(command) {
+  async handleOpenCommand(command, options = {}) {
     // Determine browser type
-    let browserType = 'chromium'; // Default
+    let browserType = options.browserType || 'chromium'; // Default
+    
+    if (!options.browserType) {
+      if (command.includes('firefox')) {
+        browserType = 'firefox';
+      } else if (command.includes('safari') || command.includes('webkit')) {
+        browserType = 'webkit';
+      } else if (command.includes('edge')) {
+        browserType = 'edge';
+      } else if (command.includes('chrome')) {
+        browserType = 'chrome';
+      }
+    }
     
-    if (command.includes('firefox')) {
-      browserType = 'firefox';
-    } else if (command.includes('safari') || command.includes('webkit')) {
-      browserType = 'webkit';
-    } else if (command.includes('edge')) {
-      browserType = 'edge';
-    } else if (command.includes('chrome')) {
-      browserType = 'chrome';
+    // Options stated in the command, overridden by anything the AI extracted
+    const launchOptions = {
+      ...this.extractLaunchOptions(command),
+      ...(options.launchOptions || {})
+    };
+    
+    // A parser bound to an API session must keep using that session's browser
+    if (this.pinnedSession) {
+      return {
+        action: 'open',
+        sessionId: this.activeSession,
+        message: 'This session already has a browser open. Create a new session to use different launch options.'
+      };
     }
     
     // Launch the browser
-    const result = await this.browserController.launchBrowser(browserType);
-    this.activeSession = result.sessionId;
+    const result = await this.launchBrowser(browserType, launchOptions);
     
     return {
       action: 'open',
       browserType,
       sessionId: result.sessionId,
-      message: `Opened ${browserType} browser`
+      options: result.options,
+      message: `Opened ${browserType} browser${result.options.headless ? ' (headless)' : ''}`
     };
   }
 
+  /**
+   * Extract browser launch options from an "open" command
+   * e.g. "open firefox headless with viewport 1920x1080 locale fr-FR timezone Europe/Paris profile work"
+   * @param {string} command - Text command
+   * @returns {object} Launch option overrides found in the command
+   */
+  extractLaunchOptions(command) {
+    const options = {};
+    
+    if (/\bheadless\b/i.test(command)) {
+      options.headless = !/\b(?:not|no|non)[\s-]headless\b/i.test(command);
+    } else if (/\b(?:headed|visible|with ui)\b/i.test(command)) {
+      options.headless = false;
+    }
+    
+    const viewportMatch = command.match(/(\d{3,4})\s*[x×]\s*(\d{3,4})/i);
+    if (viewportMatch) {
+      options.viewport = { width: parseInt(viewportMatch[1], 10), height: parseInt(viewportMatch[2], 10) };
+    }
+    
+    const localeMatch = command.match(/\blocale\s+([a-z]{2}(?:[-_][a-z]{2})?)\b/i);
+    if (localeMatch) {
+      options.locale = localeMatch[1].replace('_', '-');
+    }
+    
+    const timezoneMatch = command.match(/\b(?:timezone|time zone)\s+([A-Za-z_]+\/[A-Za-z_\/]+|UTC)\b/i);
+    if (timezoneMatch) {
+      options.timezoneId = timezoneMatch[1];
+    }
+    
+    const proxyMatch = command.match(/\bproxy\s+((?:https?|socks5?):\/\/\S+)/i);
+    if (proxyMatch) {
+      options.proxy = proxyMatch[1];
+    }
+    
+    const userAgentMatch = command.match(/\buser[\s-]?agent\s+["']([^"']+)["']/i);
+    if (userAgentMatch) {
+      options.userAgent = userAgentMatch[1];
+    }
+    
+    const slowMoMatch = command.match(/\bslow\s*mo(?:tion)?\s+(\d+)/i);
+    if (slowMoMatch) {
+      options.slowMo = parseInt(slowMoMatch[1], 10);
+    }
+    
+    const profileMatch = command.match(/\bprofile\s+["']?([A-Za-z0-9][A-Za-z0-9_-]*)/i);
+    if (profileMatch) {
+      options.profile = profileMatch[1].toLowerCase();
+    }
+    
+    return options;
+  }
+
   /**
    * Handle "navigate" commands
    * @param {string} command - Text command
@@ -614,18 +1231,20 @@ class CommandParser {
     if (!url) {
       // Extract everything after "go to", "open", etc.
       const navigatePatterns = ['go to', 'navigate to', 'visit', 'open', 'browse', 'load'];
+      const lowerCommand = command.toLowerCase();
       for (const pattern of navigatePatterns) {
-        if (command.includes(pattern)) {
-          const afterPattern = command.substring(command.indexOf(pattern) + pattern.length).trim();
+        if (lowerCommand.includes(pattern)) {
+          const afterPattern = command.substring(lowerCommand.indexOf(pattern) + pattern.length).trim();
           if (afterPattern) {
             // If it seems like a domain (contains a dot and no spaces), try it as a URL
             if (afterPattern.includes('.') && !afterPattern.includes(' ')) {
               url = afterPattern;
             } else {
               // Otherwise, search Google for it
-              return await this.handleSearchCommand(afterPattern);
+              return await this.handleSearchCommand(command, { query: afterPattern, useSearchEngine: true });
             }
           }
+          break;
         }
       }
     }
@@ -635,15 +1254,9 @@ class CommandParser {
       throw new Error('No URL found in command. Try "go to example.com" or "open https://example.com"');
     }
     
-    // Ensure URL has protocol
-    if (url && !url.startsWith('http')) {
-      url = 'https://' + url;
-    }
-    
     // Check if we have an active session, create one if not
     if (!this.activeSession) {
-      const session = await this.browserController.launchBrowser();
-      this.activeSession = session.sessionId;
+      await this.launchBrowser();
     }
     
     // Navigate to URL
@@ -673,18 +1286,22 @@ class CommandParser {
     let selector = options.selector;
     
     if (!selector) {
+      // Without an AI target, look for an explicit selector first, then a description
+      if (!options.target) {
+        selector = this.extractSelector(command);
+      }
+      
+      const target = options.target || (selector ? null : this.extractTarget(command));
+      
       // If target is provided, try to find by name/text first
-      if (options.target) {
-        const namedElements = await this.browserController.findElementsByNameOrText(options.target, this.activeSession);
+      if (target) {
+        const namedElements = await this.browserController.findElementsByNameOrText(target, this.activeSession);
         if (namedElements && namedElements.length > 0) {
           selector = namedElements[0].selector;
         } else {
           // Fall back to generating selector
-          selector = this.generateSelectorFromTarget(options.target);
+          selector = this.generateSelectorFromTarget(target);
         }
-      } else {
-        // Extract selector from command
-        selector = this.extractSelector(command);
       }
     }
     
@@ -693,12 +1310,13 @@ class CommandParser {
     }
     
     // Click element
-    await this.browserController.clickElement(selector, this.activeSession);
+    const clickResult = await this.browserController.clickElement(selector, this.activeSession);
+    const resolvedSelector = clickResult.selector || selector;
     
     return {
       action: 'click',
-      selector,
-      message: `Clicked element: ${selector}`
+      selector: resolvedSelector,
+      message: `Clicked element: ${resolvedSelector}`
     };
   }
 
@@ -738,6 +1356,84 @@ class CommandParser {
     }
   }
 
+  /**
+   * Extract a URL or bare domain from a command
+   * @param {string} command - Text command
+   * @returns {string|null} URL with protocol, or null if none found
+   */
+  extractUrl(command) {
+    if (!command || typeof command !== 'string') {
+      return null;
+    }
+    
+    // Full URLs with a protocol
+    const urlMatch = command.match(/\bhttps?:\/\/[^\s"'<>]+/i);
+    if (urlMatch) {
+      return urlMatch[0].replace(/[.,;!?)]+$/, '');
+    }
+    
+    // Bare domains like "google.com" or "docs.github.com/en" (but not emails)
+    const domainMatch = command.match(/(?<![@\w.-])((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,})(\/[^\s"'<>]*)?/i);
+    if (domainMatch) {
+      return `https://${domainMatch[0].replace(/[.,;!?)]+$/, '')}`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract an explicit selector from a click-style command
+   * e.g. "click #submit", "click on [name=\"q\"]", "click the second result"
+   * @param {string} command - Text command
+   * @returns {string|null} Selector, or null if the command only describes the element
+   */
+  extractSelector(command) {
+    if (!command) return null;
+    
+    // CSS selectors written directly in the command
+    const cssMatch = command.match(/(?:^|\s)([#.][\w-][^\s]*|\[[^\]]+\][^\s]*|\w+\[[^\]]+\][^\s]*)/);
+    if (cssMatch) {
+      return cssMatch[1];
+    }
+    
+    // Positional references to search results or products
+    const ordinals = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+    const positionMatch = command.match(/\b(first|second|third|fourth|fifth|\d+(?:st|nd|rd|th))\s+(?:search\s+)?(result|product|item|link)\b/i);
+    if (positionMatch) {
+      const position = ordinals[positionMatch[1].toLowerCase()] || parseInt(positionMatch[1], 10);
+      const noun = positionMatch[2].toLowerCase();
+      return noun === 'product' || noun === 'item'
+        ? `.product-item:nth-child(${position}) a`
+        : `.search-result:nth-child(${position}) a`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract a description of the target element from a command
+   * e.g. "click on the login button" -> "login", 'click "Contact Us"' -> "Contact Us"
+   * @param {string} command - Text command
+   * @returns {string|null} Target description
+   */
+  extractTarget(command) {
+    if (!command) return null;
+    
+    // Quoted text is taken literally
+    const quotedMatch = command.match(/["'](.+?)["']/);
+    if (quotedMatch) {
+      return quotedMatch[1];
+    }
+    
+    const target = command
+      .replace(/^\s*(?:click|press|tap|select|choose|push)\s+/i, '')
+      .replace(/^(?:on\s+)?(?:the\s+)?/i, '')
+      .replace(/\s+(?:button|link|tab|icon|checkbox|option)\s*$/i, '')
+      .trim();
+    
+    return target || null;
+  }
+
   /**
    * Handle "type" commands with improved element finding
    * @param {string} command - Text command
@@ -781,16 +1477,45 @@ class CommandParser {
     }
     
     // Fill field
-    await this.browserController.fillField(selector, text, this.activeSession);
+    const fillResult = await this.browserController.fillField(selector, text, this.activeSession);
+    const resolvedSelector = fillResult.selector || selector;
+    
+    // A password field has just been recognised, so mask after filling
+    const shownText = redactor.redact(text);
     
     return {
       action: 'type',
-      selector,
-      text,
-      message: `Typed "${text}" into ${selector}`
+      selector: resolvedSelector,
+      text: shownText,
+      message: `Typed "${shownText}" into ${resolvedSelector}`
     };
   }
 
+  /**
+   * Handle "type"/"input"/"fill" commands from the rule-based fallback
+   * @param {string} command - Text command
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Command execution result
+   */
+  async handleInputCommand(command, sessionId) {
+    let { selector, text } = this.extractSelectorAndText(command);
+    
+    // Use the name after "in"/"into" as a target, e.g. 'type "Paris" in the destination field'
+    let target = null;
+    const withoutText = text ? command.replace(text, '') : command;
+    const targetMatch = withoutText.match(/\b(?:in|into|on)\s+(?:the\s+)?(.+?)(?:\s+(?:field|box|input|area))?\s*$/i);
+    if (targetMatch) {
+      target = targetMatch[1].replace(/["']/g, '').trim();
+    }
+    
+    // A named field beats the generic "any visible input" selector
+    if (target && selector && selector.includes(':visible')) {
+      selector = null;
+    }
+    
+    return await this.handleTypeCommand(command, { selector, text, target });
+  }
+
   /**
    * Extract a selector from a target description
    * @param {string} target - Target description
@@ -855,7 +1580,8 @@ class CommandParser {
     // Now extract selector - where to type the text
     let selector = null;
     
-    // Look for mentions of specific form elements
+    // Look for mentions of specific form elements (ignoring the text being typed)
+    command = (text ? command.replace(text, '') : command).toLowerCase();
     if (command.includes('email') || command.includes('email field') || command.includes('email box')) {
       selector = 'input[type="email"], input[name="email"], input[placeholder*="email" i]';
     } else if (command.includes('password') || command.includes('password field')) {
@@ -891,6 +1617,85 @@ class CommandParser {
     return queryMatch ? queryMatch[1].trim() : null;
   }
 
+  /**
+   * Handle "search" commands from the rule-based fallback
+   * @param {string} command - Text command
+   * @param {object} options - Additional options
+   * @param {string} options.query - Query to search for (skips extraction)
+   * @param {boolean} options.useSearchEngine - Search the web instead of the current site
+   * @returns {object} Command execution result
+   */
+  async handleSearchCommand(command, options = {}) {
+    const query = options.query || this.extractSearchQuery(command);
+    
+    if (!query) {
+      throw new Error('No search query found. Try "search for wireless headphones".');
+    }
+    
+    // Check if we have an active session, create one if not
+    if (!this.activeSession) {
+      await this.launchBrowser();
+    }
+    
+    return await this.performSearch(query, { useSearchEngine: options.useSearchEngine });
+  }
+
+  /**
+   * Search on the current page, falling back to a web search when the page has no search box
+   * @param {string} query - Search query
+   * @param {object} options - Search options
+   * @param {string} options.selector - Search field selector
+   * @param {string} options.submitSelector - Submit button selector (Enter is pressed otherwise)
+   * @param {boolean} options.useSearchEngine - Skip the current page and search the web
+   * @returns {object} Search result
+   */
+  async performSearch(query, options = {}) {
+    const session = this.browserController.getSession(this.activeSession);
+    const currentUrl = session.page.url();
+    
+    if (!options.useSearchEngine && currentUrl && currentUrl !== 'about:blank') {
+      const searchField = options.selector || 'input[type="search"], input[name="q"], #search, input[placeholder*="search" i], [aria-label*="search" i]';
+      const fieldSelector = await this.browserController.findBestSelector(searchField, this.activeSession);
+      
+      if (fieldSelector) {
+        // First fill the search field
+        await this.browserController.fillField(fieldSelector, query, this.activeSession);
+        
+        // Then submit the search
+        if (options.submitSelector) {
+          await this.browserController.clickElement(options.submitSelector, this.activeSession);
+        } else {
+          await session.page.press(fieldSelector, 'Enter');
+        }
+        
+        await session.page.waitForLoadState('domcontentloaded').catch(() => {});
+        
+        return {
+          action: 'search',
+          query,
+          selector: fieldSelector,
+          url: session.page.url(),
+          message: `Searched for "${query}"`
+        };
+      }
+      
+      logger.info(`No search field found on ${currentUrl}, searching the web instead`);
+    }
+    
+    const result = await this.browserController.navigateTo(
+      `https://www.google.com/search?q=${encodeURIComponent(query)}`,
+      this.activeSession
+    );
+    
+    return {
+      action: 'search',
+      query,
+      url: result.url,
+      title: result.title,
+      message: `Searched the web for "${query}"`
+    };
+  }
+
   /**
    * Handle finding elements based on a description
    * @param {Array} tokens - Command tokens
@@ -1198,6 +2003,144 @@ class CommandParser {
     };
   }
 
+  /**
+   * Handle "wait" commands, e.g. "wait 3 seconds" or "wait for #results"
+   * @param {string} command - Text command
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Wait result
+   */
+  async handleWaitCommand(command, sessionId) {
+    const durationMatch = command.match(/(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?)?\b/i);
+    const forMatch = command.match(/\bwait\s+(?:for|until)\s+(?:the\s+)?(.+?)(?:\s+to\s+(?:appear|load|show))?\s*$/i);
+    
+    // "wait for the results" / "wait for #results" - wait for an element
+    if (forMatch && !/^\d/.test(forMatch[1])) {
+      return await this.browserController.waitFor({
+        selector: this.extractSelector(forMatch[1]) || forMatch[1].replace(/["']/g, '')
+      }, sessionId);
+    }
+    
+    let duration = 2000;
+    if (durationMatch) {
+      const value = parseFloat(durationMatch[1]);
+      const unit = (durationMatch[2] || 's').toLowerCase();
+      
+      if (unit.startsWith('ms') || unit.startsWith('milli')) {
+        duration = value;
+      } else if (unit.startsWith('m')) {
+        duration = value * 60000;
+      } else {
+        duration = value * 1000;
+      }
+    }
+    
+    return await this.browserController.waitFor({ duration: Math.round(duration) }, sessionId);
+  }
+
+  /**
+   * Only run scripts for an admin (when API authentication is on): a script can do anything the
+   * page can, such as read its cookies or send what it shows elsewhere. The parser's owner is who
+   * commands run for, and their role is looked up each time, so a changed role applies straight away.
+   */
+  checkScriptsAllowed() {
+    if (!config.security.authEnabled) return;
+
+    const owner = config.security.apiUsers.find(user => user.name === this.owner);
+    if (!owner || owner.role !== 'admin') {
+      throw new BrowseByMeError(`Running scripts needs the admin role; ${this.owner || 'this session\'s owner'} is not an admin`, 403);
+    }
+  }
+
+  /**
+   * Handle "execute"/"script" commands, e.g. "execute document.title"
+   * @param {string} command - Text command
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Script result
+   */
+  async handleScriptCommand(command, sessionId) {
+    this.checkScriptsAllowed();
+    if (!sessionId) {
+      throw new Error('No active browser session. Try "open chrome" first.');
+    }
+    
+    const script = command
+      .replace(/^\s*(?:execute|script|run)\s+(?:script\s+|javascript\s+|js\s+)?/i, '')
+      .trim()
+      .replace(/^(["'`])([\s\S]*)\1$/, '$2');
+    
+    if (!script) {
+      throw new Error('No script found. Try "execute document.title".');
+    }
+    
+    return await this.browserController.executeScript(script, sessionId);
+  }
+
+  /**
+   * Handle "scroll" commands, e.g. "scroll down", "scroll up 200 pixels", "scroll to bottom"
+   * @param {string} command - Text command
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Scroll result
+   */
+  async handleScrollCommand(command, sessionId) {
+    const lowerCommand = command.toLowerCase();
+    
+    let direction = 'down';
+    if (/\b(?:top|bottom)\b/.test(lowerCommand)) {
+      direction = lowerCommand.includes('top') ? 'top' : 'bottom';
+    } else {
+      const directionMatch = lowerCommand.match(/\b(up|down|left|right)\b/);
+      if (directionMatch) direction = directionMatch[1];
+    }
+    
+    const amountMatch = lowerCommand.match(/(\d+)\s*(?:px|pixels?)?/);
+    const amount = amountMatch ? parseInt(amountMatch[1], 10) : 300;
+    
+    return await this.browserController.scrollPage(direction, amount, sessionId);
+  }
+
+  /**
+   * Launch a browser and make it the active session, remembering that this parser opened it
+   * @param {string} browserType - Type of browser (defaults to the controller's default)
+   * @param {object} options - Launch overrides
+   * @returns {object} Browser session information
+   */
+  async launchBrowser(browserType, options) {
+    const result = await this.browserController.launchBrowser(browserType, options);
+    this.launched.add(result.sessionId);
+    this.activeSession = result.sessionId;
+    return result;
+  }
+
+  /**
+   * Handle "close" commands, e.g. "close browser" or "close all browsers"
+   * @param {string} command - Text command
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Close result
+   */
+  async handleCloseCommand(command, sessionId) {
+    // "all" means every browser this parser opened; API sessions, jobs and schedules belong to others.
+    // A parser bound to an API session may only close its own browser
+    if (/\ball\b/i.test(command) && !this.pinnedSession) {
+      const open = Array.from(this.launched).filter(id => this.browserController.browsers.has(id));
+      await Promise.all(open.map(id => this.browserController.closeBrowser(id)));
+      this.launched.clear();
+      this.activeSession = null;
+      return { action: 'close', closed: open, message: `Closed ${open.length} browser(s)` };
+    }
+    
+    if (!sessionId) {
+      throw new Error('No active browser session to close');
+    }
+    
+    await this.browserController.closeBrowser(sessionId);
+    this.launched.delete(sessionId);
+    if (sessionId === this.activeSession) {
+      this.activeSession = null;
+    }
+    
+    return { action: 'close', sessionId, message: `Closed browser session ${sessionId}` };
+  }
+
   /**
    * Handle draw commands for canvas elements
    * @param {Array} tokens - Command tokens
@@ -1213,7 +2156,6 @@ class CommandParser {
     let canvasSelector = 'canvas';  // Default selector
     let drawingType = 'freestyle';
     let color = '#000000';
-    let points = [];
     
     // Extract parameters from tokens
     for (let i = 0; i < tokens.length; i++) {
@@ -1231,6 +2173,25 @@ class CommandParser {
       }
     }
     
+    return await this.drawShape({ canvasSelector, drawingType, color }, sessionId);
+  }
+
+  /**
+   * Draw a shape on a canvas element
+   * @param {object} options - Drawing options
+   * @param {string} options.canvasSelector - Canvas selector (defaults to "canvas")
+   * @param {string} options.drawingType - circle, square, line or freestyle
+   * @param {string} options.color - Stroke colour as #rrggbb
+   * @param {number} options.lineWidth - Stroke width in pixels
+   * @param {Array} options.points - Explicit path to draw instead of a generated shape
+   * @param {string} sessionId - Browser session ID
+   * @returns {object} Draw result
+   */
+  async drawShape(options, sessionId) {
+    const canvasSelector = options.canvasSelector || 'canvas';
+    const drawingType = options.drawingType || 'freestyle';
+    const color = options.color || '#000000';
+    
     // Get canvas dimensions from the page
     const session = this.browserController.getSession(sessionId);
     const canvasInfo = await session.page.evaluate((selector) => {
@@ -1250,7 +2211,33 @@ class CommandParser {
       throw new Error(`Canvas not found with selector: ${canvasSelector}`);
     }
     
-    // Generate points based on the drawing type
+    // Use an explicit path when given, otherwise generate the shape
+    const points = options.points && options.points.length > 0
+      ? options.points
+      : this.generateShapePoints(drawingType, canvasInfo);
+    
+    // Draw on the canvas
+    const drawOptions = { color, lineWidth: options.lineWidth || 3 };
+    await this.browserController.drawOnCanvas(canvasSelector, points, drawOptions, sessionId);
+    
+    return {
+      success: true,
+      message: `Drew ${drawingType} on canvas`,
+      canvasSelector,
+      drawingType,
+      color
+    };
+  }
+
+  /**
+   * Generate the path for a shape centred on a canvas
+   * @param {string} drawingType - circle, square, line or freestyle
+   * @param {object} canvasInfo - Canvas width and height
+   * @returns {Array} Points to draw [{x, y}, ...]
+   */
+  generateShapePoints(drawingType, canvasInfo) {
+    let points = [];
+    
     if (drawingType === 'circle') {
       // Draw a circle in the center
       const centerX = canvasInfo.width / 2;
@@ -1290,17 +2277,7 @@ class CommandParser {
       }
     }
     
-    // Draw on the canvas
-    const drawOptions = { color, lineWidth: 3 };
-    await this.browserController.drawOnCanvas(canvasSelector, points, drawOptions, sessionId);
-    
-    return {
-      success: true,
-      message: `Drew ${drawingType} on canvas`,
-      canvasSelector,
-      drawingType,
-      color
-    };
+    return points;
   }
 }
 
@@ -2,6 +2,7 @@
  * Configuration settings for BrowseByMe
  */
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Server configuration
@@ -19,13 +20,133 @@ const config = {
   // Browser configuration
   browser: {
     defaultType: process.env.DEFAULT_BROWSER || 'chromium',
-    headless: process.env.HEADLESS === 'true' || false,
-    defaultTimeout: parseInt(process.env.BROWSER_TIMEOUT || '30000', 10)
+    headless: process.env.HEADLESS === 'true',
+    defaultTimeout: parseInt(process.env.BROWSER_TIMEOUT || '30000', 10),
+    slowMo: parseInt(process.env.BROWSER_SLOW_MO || '0', 10),
+    viewport: {
+      width: parseInt(process.env.BROWSER_VIEWPORT_WIDTH || '1280', 10),
+      height: parseInt(process.env.BROWSER_VIEWPORT_HEIGHT || '800', 10)
+    },
+    userAgent: process.env.BROWSER_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    locale: process.env.BROWSER_LOCALE || null,
+    timezoneId: process.env.BROWSER_TIMEZONE || null,
+    proxy: process.env.BROWSER_PROXY ? {
+      server: process.env.BROWSER_PROXY,
+      username: process.env.BROWSER_PROXY_USERNAME || undefined,
+      password: process.env.BROWSER_PROXY_PASSWORD || undefined
+    } : null
+  },
+  
+  // Live view configuration - frames streamed to the web interface
+  liveView: {
+    quality: parseInt(process.env.LIVE_VIEW_QUALITY || '60', 10),
+    maxWidth: parseInt(process.env.LIVE_VIEW_MAX_WIDTH || '1280', 10),
+    maxHeight: parseInt(process.env.LIVE_VIEW_MAX_HEIGHT || '800', 10),
+    // Time between screenshots for browsers without a screencast (firefox, webkit)
+    intervalMs: parseInt(process.env.LIVE_VIEW_INTERVAL_MS || '1000', 10)
+  },
+  
+  // Language model configuration
+  llm: {
+    // gemini, openai (any OpenAI-compatible server), local (Ollama-style /api/chat) or mock (fixtures, for tests)
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.2'),
+    maxOutputTokens: parseInt(process.env.LLM_MAX_OUTPUT_TOKENS || '1500', 10),
+    requestTimeout: parseInt(process.env.LLM_TIMEOUT || '60000', 10),
+    // How many times the model is asked to fix a plan that fails schema validation
+    maxCorrections: parseInt(process.env.LLM_MAX_CORRECTIONS || '1', 10),
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-1.5-pro'
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    local: {
+      baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434',
+      model: process.env.LOCAL_LLM_MODEL || 'llama3'
+    },
+    mock: {
+      fixturesPath: process.env.MOCK_LLM_FIXTURES || null
+    },
+    // Prices per 1000 tokens, used to track spend against agent cost budgets
+    pricing: {
+      inputPer1k: parseFloat(process.env.LLM_COST_PER_1K_INPUT || '0'),
+      outputPer1k: parseFloat(process.env.LLM_COST_PER_1K_OUTPUT || '0')
+    }
+  },
+  
+  // Command configuration
+  commands: {
+    // Deadline for a whole command in ms, after which it is cancelled (0 for none)
+    timeoutMs: parseInt(process.env.COMMAND_TIMEOUT_MS || '300000', 10)
+  },
+  
+  // Agent configuration - limits for re-planning after failed steps and for goal-driven runs
+  // (a maxCost or maxTokens of 0 means no limit)
+  agent: {
+    maxReplans: parseInt(process.env.AGENT_MAX_REPLANS || '2', 10),
+    maxSteps: parseInt(process.env.AGENT_MAX_STEPS || '20', 10),
+    // Capture before/after screenshots for every step of a multi-action plan
+    stepScreenshots: process.env.AGENT_STEP_SCREENSHOTS === 'true',
+    maxDurationMs: parseInt(process.env.AGENT_MAX_DURATION_MS || '300000', 10),
+    maxCost: parseFloat(process.env.AGENT_MAX_COST || '0'),
+    maxTokens: parseInt(process.env.AGENT_MAX_TOKENS || '200000', 10)
+  },
+  
+  // Storage configuration - where macros and other saved data live
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data')
+  },
+  
+  // Scheduled jobs - how many past runs each schedule keeps, and whether they run at all
+  schedules: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    historyLimit: parseInt(process.env.SCHEDULE_HISTORY_LIMIT || '20', 10)
+  },
+  
+  // Job queue - how many jobs run at once, overall and per browser engine
+  // (JOB_CONCURRENCY_PER_BROWSER is a list such as "chromium=2,firefox=1")
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+    perBrowser: Object.fromEntries((process.env.JOB_CONCURRENCY_PER_BROWSER || '')
+      .split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([name, limit]) => name && limit)
+      .map(([name, limit]) => [name.toLowerCase(), parseInt(limit, 10)])),
+    historyLimit: parseInt(process.env.JOB_HISTORY_LIMIT || '500', 10)
   },
   
   // Security configuration
   security: {
-    enableEncryption: process.env.ENABLE_ENCRYPTION === 'true' || false
+    enableEncryption: process.env.ENABLE_ENCRYPTION === 'true' || false,
+    // Key the credential vault is encrypted with; the vault is unavailable without it
+    vaultMasterKey: process.env.VAULT_MASTER_KEY || null,
+    // Mask passwords, card numbers, SSNs and values marked as secret in logs, AI prompts and results
+    redaction: process.env.REDACTION_ENABLED !== 'false',
+    // API users as "name:role:key" entries separated by commas, e.g. "ada:admin:<key>,bob:viewer:<key>".
+    // Authentication is on whenever users are configured, unless AUTH_ENABLED=false
+    apiUsers: (process.env.API_USERS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [name, role, ...key] = entry.split(':');
+        return { name: name.trim(), role: (role || '').trim().toLowerCase(), key: key.join(':').trim() };
+      }),
+    authEnabled: process.env.AUTH_ENABLED ? process.env.AUTH_ENABLED === 'true' : Boolean(process.env.API_USERS),
+    // Origins other sites may call the API from ("*" for any); the built-in web interface needs none
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    // Where browsers may go (comma-separated domains, each covering its subdomains). With an allowlist,
+    // pages on any other domain are blocked; the denylist always wins
+    navigation: {
+      allowedDomains: (process.env.NAV_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean),
+      deniedDomains: (process.env.NAV_DENIED_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean),
+      allowPrivateNetworks: process.env.NAV_ALLOW_PRIVATE_NETWORKS === 'true',
+      allowFileUrls: process.env.NAV_ALLOW_FILE_URLS === 'true'
+    }
   }
 };
 
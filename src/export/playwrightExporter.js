@@ -0,0 +1,126 @@
+/**
+ * Playwright Exporter - Turns recorded actions into a standalone Playwright test file
+ * Actions are the resolved ones a session ran (see CommandParser.actionLog) or a saved macro's,
+ * so element actions use the selectors the browser controller actually found.
+ */
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ * @param {any} value - Value to quote
+ * @returns {string} JavaScript string literal
+ */
+function quote(value) {
+  return `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')}'`;
+}
+
+/**
+ * Write the Playwright statements for one action
+ * @param {object} action - Normalized action
+ * @param {number} index - Position of the action in the test, from 0
+ * @returns {Array} Lines of code (comments for actions a test can't replay)
+ */
+function actionToCode(action, index) {
+  const locator = selector => `page.locator(${quote(selector)})`;
+  const skipped = reason => [`// ${action.action}: ${reason}`];
+
+  switch (action.action) {
+    case 'navigate': {
+      const url = action.url.startsWith('http') ? action.url : `https://${action.url}`;
+      return [`await page.goto(${quote(url)});`];
+    }
+
+    case 'click':
+      return action.selector ? [`await ${locator(action.selector)}.click();`] : skipped(`no selector was resolved for "${action.target}"`);
+
+    case 'type':
+      return action.selector
+        ? [`await ${locator(action.selector)}.fill(${quote(action.value)});`]
+        : skipped(`no selector was resolved for "${action.target}"`);
+
+    case 'search':
+      if (!action.selector) {
+        return skipped(`no search field was resolved for "${action.value}"`);
+      }
+      return [
+        `await ${locator(action.selector)}.fill(${quote(action.value)});`,
+        action.submitSelector ? `await ${locator(action.submitSelector)}.click();` : `await ${locator(action.selector)}.press('Enter');`
+      ];
+
+    case 'select':
+      return action.selector
+        ? [`await ${locator(action.selector)}.selectOption(${quote(action.value)});`]
+        : skipped(`no selector was resolved for "${action.target}"`);
+
+    case 'scroll': {
+      const amount = action.amount !== undefined ? action.amount : 300;
+      const scripts = {
+        top: 'window.scrollTo(0, 0)',
+        bottom: 'window.scrollTo(0, document.body.scrollHeight)',
+        up: `window.scrollBy(0, -${amount})`,
+        left: `window.scrollBy(-${amount}, 0)`,
+        right: `window.scrollBy(${amount}, 0)`,
+        down: `window.scrollBy(0, ${amount})`
+      };
+      return [`await page.evaluate(() => ${scripts[action.direction] || scripts.down});`];
+    }
+
+    case 'wait':
+      return action.selector
+        ? [`await ${locator(action.selector)}.waitFor();`]
+        : [`await page.waitForTimeout(${action.duration !== undefined ? action.duration : 2000});`];
+
+    case 'screenshot':
+      return [`await page.screenshot({ path: 'screenshot-${index + 1}.png' });`];
+
+    case 'extract':
+      return action.selector
+        ? [`await expect(${locator(action.selector)}.first()).toBeVisible();`]
+        : skipped('page content was extracted here');
+
+    case 'back':
+      return ['await page.goBack();'];
+
+    case 'forward':
+      return ['await page.goForward();'];
+
+    case 'reload':
+      return ['await page.reload();'];
+
+    case 'open':
+      return skipped('Playwright Test launches the browser (set browser options in playwright.config.js)');
+
+    case 'close':
+      return skipped('Playwright Test closes the browser');
+
+    default:
+      return skipped('not exported');
+  }
+}
+
+/**
+ * Generate a Playwright test file from actions
+ * @param {Array} actions - Resolved actions, in the order they ran
+ * @param {object} options - Export options
+ * @param {string} options.name - Test title
+ * @returns {string} JavaScript source of a @playwright/test spec
+ */
+function toPlaywrightTest(actions, options = {}) {
+  const name = options.name || 'recorded BrowseByMe session';
+  const body = actions.flatMap((action, index) => actionToCode(action, index));
+
+  return [
+    `// Generated by BrowseByMe from ${actions.length} recorded action(s) on ${new Date().toISOString()}`,
+    `const { test, expect } = require('@playwright/test');`,
+    '',
+    `test(${quote(name)}, async ({ page }) => {`,
+    ...(body.length > 0 ? body : ['// No actions were recorded']).map(line => `  ${line}`),
+    '});',
+    ''
+  ].join('\n');
+}
+
+module.exports = { toPlaywrightTest };
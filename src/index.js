@@ -7,8 +7,21 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { logger } = require('./utils/logger');
+const config = require('./config/config');
 const BrowserController = require('./browser/browserController');
 const CommandParser = require('./commands/commandParser');
+const SessionManager = require('./sessions/sessionManager');
+const LiveView = require('./browser/liveView');
+const GoalAgent = require('./agent/goalAgent');
+const MacroStore = require('./macros/macroStore');
+const WorkflowStore = require('./workflows/workflowStore');
+const Scheduler = require('./schedules/scheduler');
+const JobQueue = require('./jobs/jobQueue');
+const { toPlaywrightTest } = require('./export/playwrightExporter');
+const { BrowseByMeError } = require('./utils/errors');
+const { progressEvents } = require('./utils/progressEvents');
+const { redactor } = require('./security/redactor');
+const Auth = require('./security/auth');
 
 // Load environment variables
 dotenv.config();
@@ -17,16 +30,26 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
+// API users and their roles
+const auth = new Auth();
+if (!auth.enabled) {
+  logger.warn('API authentication is off: anyone who can reach this server can drive its browsers. Set API_USERS to require API keys.');
+} else {
+  logger.info(`API authentication is on for ${auth.users.size} user(s).`);
+}
+
+// Middleware - other sites may only call the API from the origins allowed in CORS_ORIGINS
+app.use(cors({ origin: config.security.corsOrigins.includes('*') ? '*' : config.security.corsOrigins }));
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Check for Gemini API key
-if (!process.env.GEMINI_API_KEY) {
+// Check the AI provider configuration
+if (config.llm.provider !== 'gemini') {
+  logger.info(`Using ${config.llm.provider} AI provider.`);
+} else if (!process.env.GEMINI_API_KEY) {
   logger.warn('No GEMINI_API_KEY found in environment variables. AI features will be limited.');
-  logger.warn('For enhanced AI features, set GEMINI_API_KEY in your .env file.');
+  logger.warn('For enhanced AI features, set GEMINI_API_KEY in your .env file, or choose another provider with LLM_PROVIDER.');
 } else {
   logger.info('Gemini AI API key detected. AI features are enabled.');
 }
@@ -34,11 +57,196 @@ if (!process.env.GEMINI_API_KEY) {
 // Initialize browser controller
 const browserController = new BrowserController();
 const commandParser = new CommandParser(browserController);
+const sessionManager = new SessionManager(browserController);
+const liveView = new LiveView(browserController);
+const macroStore = new MacroStore();
+const workflowStore = new WorkflowStore();
+const jobQueue = new JobQueue(sessionManager, { workflowStore, macroStore });
+const scheduler = new Scheduler(sessionManager, { workflowStore, jobQueue });
+
+/**
+ * Send an error response, using the status and body carried by BrowseByMe errors, with secrets masked
+ * @param {object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  if (error instanceof BrowseByMeError) {
+    return res.status(error.statusCode).json(redactor.redact(error.toJSON()));
+  }
+  res.status(500).json({ error: redactor.redact(error.message) });
+}
+
+/**
+ * Only let a request through with an API key of at least the given role (when authentication is on).
+ * The caller is kept as req.user, and any values the request marks as secret are masked from then on.
+ * @param {string} role - "viewer", "operator" or "admin"
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    try {
+      req.user = auth.authorize(req, role);
+      if (req.body && req.body.secrets !== undefined) {
+        redactor.addSecrets(req.body.secrets, userName(req));
+      }
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Only let the session's owner, or an admin, control a session
+ * (a missing session is left for the route to report)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireSessionOwner(req, res, next) {
+  try {
+    if (sessionManager.hasSession(req.params.id)) {
+      auth.checkOwner(req.user, sessionManager.getSession(req.params.id).owner, `Session ${req.params.id}`);
+    }
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+// Requests sending the shared session something right now; it can't change hands under them
+let sharedRequests = 0;
+
+/**
+ * Only let the shared session's owner, or an admin, use the shared session. While it has no browser
+ * open and no request using it, it's free, and the next user to send it something takes it over.
+ * @param {boolean} claim - Whether the request may take over a free session (viewing only looks)
+ * @returns {Function} Express middleware
+ */
+function requireSharedOwner(claim) {
+  return (req, res, next) => {
+    try {
+      const free = sharedRequests === 0 && !commandParser.hasOpenBrowser();
+
+      if (free && claim) {
+        commandParser.claim(userName(req));
+      } else if (!free) {
+        auth.checkOwner(req.user, commandParser.owner, 'The shared session');
+      }
+
+      if (claim) {
+        sharedRequests++;
+        res.on('close', () => sharedRequests--);
+      }
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * @param {object} req - Express request
+ * @returns {string|null} Name of the API user making the request (null when authentication is off)
+ */
+function userName(req) {
+  return req.user ? req.user.name : null;
+}
+
+/**
+ * Run work sent straight to a session under the job queue's concurrency limits,
+ * counted against the engine of the browser it runs in
+ * @param {string|null} sessionId - Browser session the work runs in (null if none is open yet)
+ * @param {Function} work - Async function doing the work
+ * @returns {any} Result of the work
+ */
+function runLimited(sessionId, work) {
+  const session = sessionId ? browserController.browsers.get(sessionId) : null;
+  return jobQueue.runDirect(session ? session.type : undefined, work);
+}
+
+/**
+ * Send actions as a downloadable Playwright test file
+ * @param {object} res - Express response
+ * @param {string} name - Test title, also used for the file name
+ * @param {Array} actions - Resolved actions, in the order they ran
+ */
+function sendPlaywrightTest(res, name, actions) {
+  const fileName = `${String(name).replace(/[^A-Za-z0-9_-]+/g, '-') || 'session'}.spec.js`;
+  
+  res.set('Content-Type', 'application/javascript');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(toPlaywrightTest(actions, { name }));
+}
+
+/**
+ * Stream progress events to the client as Server-Sent Events until it disconnects
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} filter - Only send events for this { sessionId, runId, owner } (see ProgressEvents.subscribe)
+ */
+function streamProgress(req, res, filter) {
+  const send = openEventStream(req, res);
+  const unsubscribe = progressEvents.subscribe(filter, send);
+  
+  req.on('close', unsubscribe);
+}
+
+/**
+ * Stream live frames of a session's page as Server-Sent Events. Streams for a
+ * missing or closed session end after a status message; EventSource clients reconnect.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} sessionId - Browser session to show
+ */
+async function streamLiveView(req, res, sessionId) {
+  const send = openEventStream(req, res);
+  
+  if (!sessionId || !browserController.browsers.has(sessionId)) {
+    send({ type: 'status', message: 'No active browser session' });
+    return res.end();
+  }
+  
+  try {
+    const stop = await liveView.watch(sessionId, frame => send({ type: 'frame', ...frame }), () => {
+      send({ type: 'status', message: 'Browser session closed' });
+      res.end();
+    });
+    req.on('close', stop);
+  } catch (error) {
+    logger.error(`Live view error: ${error.message}`);
+    send({ type: 'status', message: error.message });
+    res.end();
+  }
+}
+
+/**
+ * Start a Server-Sent Events response
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Function} Sends one JSON event
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  // Clients reconnect after 2s if the stream ends
+  res.write('retry: 2000\n\n');
+  
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => clearInterval(heartbeat));
+  res.on('finish', () => clearInterval(heartbeat));
+  
+  return payload => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
 
 // Routes
-app.post('/command', async (req, res) => {
+app.post('/command', requireRole('operator'), requireSharedOwner(true), async (req, res) => {
   try {
-    const { command } = req.body;
+    const { command, screenshots, runId, timeoutMs } = req.body;
     
     if (!command) {
       return res.status(400).json({ error: 'Command is required' });
@@ -46,16 +254,421 @@ app.post('/command', async (req, res) => {
     
     logger.info(`Received command: ${command}`);
     
-    const result = await commandParser.parseAndExecute(command);
+    const result = await runLimited(commandParser.activeSession, () => commandParser.parseAndExecute(command, { screenshots, runId, timeoutMs }));
     res.json({ success: true, result });
   } catch (error) {
     logger.error(`Error processing command: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Goal-driven agent mode - the model works towards the goal one action at a time
+app.post('/agent', requireRole('operator'), requireSharedOwner(true), async (req, res) => {
+  try {
+    const { goal, budget, screenshots, runId } = req.body;
+    
+    if (!goal) {
+      return res.status(400).json({ error: 'Goal is required' });
+    }
+    
+    logger.info(`Received agent goal: ${goal}`);
+    
+    const result = await runLimited(commandParser.activeSession, () => new GoalAgent(commandParser, budget, { screenshots, runId }).run(goal));
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error(`Error running agent: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Cancel the running command(s) of the shared session, or one run with { runId }
+app.post('/cancel', requireRole('operator'), requireSharedOwner(true), (req, res) => {
+  const { runId } = req.body || {};
+  
+  if (commandParser.cancel(runId) === 0) {
+    return res.status(409).json({ error: 'No command is running' });
+  }
+  res.json({ success: true, cancelled: true });
+});
+
+// Live progress stream - all events, or only those of one run or session. Users other than
+// admins only see their own: the session or run asked for must be theirs, and otherwise only
+// events of their runs are sent
+app.get('/events', requireRole('viewer'), (req, res) => {
+  const { runId, sessionId } = req.query;
+  const filter = { runId, sessionId };
+  
+  try {
+    const run = runId ? progressEvents.findRun(runId) : null;
+    if (run) {
+      auth.checkOwner(req.user, run.owner, `Run ${runId}`);
+    }
+    
+    if (sessionId && sessionManager.hasSession(sessionId)) {
+      auth.checkOwner(req.user, sessionManager.getSession(sessionId).owner, `Session ${sessionId}`);
+    } else if (auth.enabled && !auth.hasRole(req.user, 'admin')) {
+      filter.owner = userName(req);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+  
+  streamProgress(req, res, filter);
+});
+
+// Live view of the shared session's page
+app.get('/live', requireRole('viewer'), requireSharedOwner(false), (req, res) => {
+  streamLiveView(req, res, commandParser.activeSession);
+});
+
+// Remote control of the shared session - { human: true } pauses AI commands until { human: false }
+app.post('/control', requireRole('operator'), requireSharedOwner(true), (req, res) => {
+  const { human, holder } = req.body || {};
+  
+  const control = human ? commandParser.takeControl(holder) : commandParser.releaseControl();
+  res.json({ success: true, control });
+});
+
+// Forward a mouse or keyboard event from the live view to the shared session's page
+app.post('/input', requireRole('operator'), requireSharedOwner(true), async (req, res) => {
+  try {
+    const result = await commandParser.sendInput(req.body || {});
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error sending input: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Macros - actions recorded from commands, replayed without the AI
+app.get('/macros', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ success: true, macros: await macroStore.list() });
+  } catch (error) {
+    logger.error(`Error listing macros: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/macros/:name', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ success: true, macro: await macroStore.get(req.params.name) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/macros/:name', requireRole('operator'), async (req, res) => {
+  try {
+    await macroStore.delete(req.params.name);
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    logger.error(`Error deleting macro: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Record the shared session's commands into a macro until /macros/record/stop
+app.post('/macros/record', requireRole('operator'), requireSharedOwner(true), (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    
+    macroStore.checkName(name);
+    res.json({ success: true, ...commandParser.startRecording(name, description) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/macros/record/stop', requireRole('operator'), requireSharedOwner(true), async (req, res) => {
+  try {
+    const { name, description, actions } = commandParser.stopRecording();
+    
+    const macro = await macroStore.save(name, actions, { description });
+    res.json({ success: true, macro });
+  } catch (error) {
+    logger.error(`Error saving macro: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/macros/:name/run', requireRole('operator'), requireSharedOwner(true), async (req, res) => {
+  try {
+    const { screenshots, runId, timeoutMs } = req.body || {};
+    
+    const macro = await macroStore.get(req.params.name);
+    logger.info(`Replaying macro: ${macro.name}`);
+    
+    const result = await runLimited(commandParser.activeSession, () => commandParser.replayMacro(macro, { screenshots, runId, timeoutMs }));
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error(`Error replaying macro: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/macros/:name/export/playwright', requireRole('viewer'), async (req, res) => {
+  try {
+    const macro = await macroStore.get(req.params.name);
+    sendPlaywrightTest(res, macro.name, macro.actions);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Export the actions the shared session has run as a Playwright test
+app.get('/export/playwright', requireRole('operator'), requireSharedOwner(true), (req, res) => {
+  try {
+    sendPlaywrightTest(res, req.query.name || 'browsebyme-session', commandParser.actionLog);
+  } catch (error) {
+    logger.error(`Error exporting Playwright test: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Workflows - reusable JSON/YAML step files with {{variables}} filled in for each run
+app.get('/workflows', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ success: true, workflows: await workflowStore.list() });
+  } catch (error) {
+    logger.error(`Error listing workflows: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/workflows/:name', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ success: true, workflow: await workflowStore.get(req.params.name) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/workflows/:name', requireRole('operator'), async (req, res) => {
+  try {
+    const workflow = await workflowStore.save(req.params.name, req.body);
+    res.json({ success: true, workflow });
+  } catch (error) {
+    logger.error(`Error saving workflow: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.delete('/workflows/:name', requireRole('operator'), async (req, res) => {
+  try {
+    await workflowStore.delete(req.params.name);
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    logger.error(`Error deleting workflow: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/workflows/:name/run', requireRole('operator'), requireSharedOwner(true), async (req, res) => {
+  try {
+    const { params, screenshots, runId, timeoutMs } = req.body || {};
+    
+    const workflow = await workflowStore.get(req.params.name);
+    logger.info(`Running workflow: ${workflow.name}`);
+    
+    const result = await runLimited(commandParser.activeSession, () => commandParser.runWorkflow(workflow, params, { screenshots, runId, timeoutMs }));
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error(`Error running workflow: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Schedules - workflows or commands run on a cron schedule, each in a fresh session.
+// Users other than admins only see their own
+app.get('/schedules', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, schedules: scheduler.list({ owner: auth.visibleOwner(req.user) }) });
+});
+
+app.post('/schedules', requireRole('operator'), async (req, res) => {
+  try {
+    const schedule = await scheduler.create(req.body || {}, userName(req));
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    logger.error(`Error creating schedule: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/schedules/:id', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ success: true, schedule: scheduler.get(req.params.id, auth.visibleOwner(req.user)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.patch('/schedules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    auth.checkOwner(req.user, scheduler.find(req.params.id).owner, `Schedule ${req.params.id}`);
+    const schedule = await scheduler.update(req.params.id, req.body || {});
+    res.json({ success: true, schedule });
+  } catch (error) {
+    logger.error(`Error updating schedule: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.delete('/schedules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    auth.checkOwner(req.user, scheduler.find(req.params.id).owner, `Schedule ${req.params.id}`);
+    await scheduler.delete(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    logger.error(`Error deleting schedule: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Run a schedule's job now; answers when the run has finished
+app.post('/schedules/:id/run', requireRole('operator'), async (req, res) => {
+  try {
+    auth.checkOwner(req.user, scheduler.find(req.params.id).owner, `Schedule ${req.params.id}`);
+    const run = await scheduler.runNow(req.params.id);
+    res.json({ success: true, run });
+  } catch (error) {
+    logger.error(`Error running schedule: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Profiles - saved cookies and storage, picked with "open chrome with profile work"
+app.get('/profiles', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ success: true, profiles: await browserController.profiles.list() });
+  } catch (error) {
+    logger.error(`Error listing profiles: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/profiles/:name/export', requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await browserController.profiles.get(req.params.name);
+    
+    res.set('Content-Disposition', `attachment; filename="${profile.name}.profile.json"`);
+    res.json(profile);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Import a profile: either an exported profile or a bare Playwright storage state
+app.put('/profiles/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    
+    if (browserController.isProfileInUse(req.params.name)) {
+      return res.status(409).json({ error: `Profile ${req.params.name} is in use by an open browser` });
+    }
+    
+    const profile = await browserController.profiles.saveState(req.params.name, body.storageState || body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    logger.error(`Error importing profile: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.delete('/profiles/:name', requireRole('admin'), async (req, res) => {
+  try {
+    // The open browser would save the profile again when it closes
+    if (browserController.isProfileInUse(req.params.name)) {
+      return res.status(409).json({ error: `Profile ${req.params.name} is in use by an open browser` });
+    }
+    
+    await browserController.profiles.delete(req.params.name);
+    res.json({ success: true, name: req.params.name.toLowerCase() });
+  } catch (error) {
+    logger.error(`Error wiping profile: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Vault - encrypted credentials referenced as {{vault:name.field}}; values are never sent back
+app.get('/vault', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, entries: await browserController.vault.list() });
+  } catch (error) {
+    logger.error(`Error listing vault entries: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.put('/vault/:name', requireRole('admin'), async (req, res) => {
+  try {
+    // An entry belongs to the admin saving it, unless they save it for another user
+    const { fields, owner, origins } = req.body || {};
+    const entry = await browserController.vault.set(req.params.name, fields, { owner: owner !== undefined ? owner : userName(req), origins });
+    res.json({ success: true, entry });
+  } catch (error) {
+    logger.error(`Error saving vault entry: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.delete('/vault/:name', requireRole('admin'), async (req, res) => {
+  try {
+    await browserController.vault.delete(req.params.name);
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    logger.error(`Error deleting vault entry: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Jobs - commands, goals, workflows and macros queued under concurrency limits
+app.post('/jobs', requireRole('operator'), async (req, res) => {
+  try {
+    const { wait, ...definition } = req.body || {};
+    
+    // A job may only run in a session the caller could drive themselves
+    if (definition.sessionId && sessionManager.hasSession(definition.sessionId)) {
+      auth.checkOwner(req.user, sessionManager.getSession(definition.sessionId).owner, `Session ${definition.sessionId}`);
+    }
+    
+    const job = await jobQueue.submit(definition, userName(req));
+    if (!wait) {
+      return res.status(202).json({ success: true, job });
+    }
+    
+    res.json({ success: true, job: await jobQueue.waitFor(job.id) });
+  } catch (error) {
+    logger.error(`Error queueing job: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Users other than admins only see their own jobs
+app.get('/jobs', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, jobs: jobQueue.list({ status: req.query.status, owner: auth.visibleOwner(req.user) }) });
+});
+
+app.get('/jobs/:id', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ success: true, job: jobQueue.get(req.params.id, auth.visibleOwner(req.user)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/jobs/:id/cancel', requireRole('operator'), async (req, res) => {
+  try {
+    auth.checkOwner(req.user, jobQueue.get(req.params.id).owner, `Job ${req.params.id}`);
+    res.json({ success: true, job: await jobQueue.cancel(req.params.id) });
+  } catch (error) {
+    logger.error(`Error cancelling job: ${error.message}`);
+    sendError(res, error);
   }
 });
 
 // API endpoint for screenshot
-app.get('/screenshot', async (req, res) => {
+app.get('/screenshot', requireRole('viewer'), requireSharedOwner(false), async (req, res) => {
   try {
     if (!commandParser.activeSession) {
       return res.status(400).json({ error: 'No active browser session' });
@@ -66,7 +679,262 @@ app.get('/screenshot', async (req, res) => {
     res.send(screenshot);
   } catch (error) {
     logger.error(`Screenshot error: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Session API - each session owns its own browser and command parser
+app.post('/sessions', requireRole('operator'), async (req, res) => {
+  try {
+    const { browserType, options } = req.body || {};
+    
+    const session = await sessionManager.createSession(browserType, options, userName(req));
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    logger.error(`Error creating session: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/sessions', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, sessions: sessionManager.listSessions() });
+});
+
+app.delete('/sessions/:id', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    const result = await sessionManager.closeSession(req.params.id);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error closing session: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/command', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    const { command, screenshots, runId, timeoutMs } = req.body;
+    
+    if (!command) {
+      return res.status(400).json({ error: 'Command is required' });
+    }
+    
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    if (sessionManager.getSession(req.params.id).busy) {
+      return res.status(409).json({ error: `Session ${req.params.id} is busy with another command` });
+    }
+    
+    logger.info(`Received command for session ${req.params.id}: ${command}`);
+    
+    const result = await runLimited(req.params.id, () => sessionManager.executeCommand(req.params.id, command, { screenshots, runId, timeoutMs }));
+    res.json({ success: true, sessionId: req.params.id, result });
+  } catch (error) {
+    logger.error(`Error processing session command: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/agent', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    const { goal, budget, screenshots, runId } = req.body;
+    
+    if (!goal) {
+      return res.status(400).json({ error: 'Goal is required' });
+    }
+    
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    if (sessionManager.getSession(req.params.id).busy) {
+      return res.status(409).json({ error: `Session ${req.params.id} is busy with another command` });
+    }
+    
+    logger.info(`Received agent goal for session ${req.params.id}: ${goal}`);
+    
+    const result = await runLimited(req.params.id, () => sessionManager.runAgent(req.params.id, goal, budget, { screenshots, runId }));
+    res.json({ success: true, sessionId: req.params.id, result });
+  } catch (error) {
+    logger.error(`Error running session agent: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/cancel', requireRole('operator'), requireSessionOwner, (req, res) => {
+  if (!sessionManager.hasSession(req.params.id)) {
+    return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+  }
+  
+  if (!sessionManager.cancel(req.params.id)) {
+    return res.status(409).json({ error: `Session ${req.params.id} has no command running` });
+  }
+  res.json({ success: true, sessionId: req.params.id, cancelled: true });
+});
+
+app.get('/sessions/:id/events', requireRole('viewer'), requireSessionOwner, (req, res) => {
+  if (!sessionManager.hasSession(req.params.id)) {
+    return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+  }
+  
+  streamProgress(req, res, { sessionId: req.params.id });
+});
+
+app.get('/sessions/:id/live', requireRole('viewer'), requireSessionOwner, (req, res) => {
+  if (!sessionManager.hasSession(req.params.id)) {
+    return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+  }
+  
+  streamLiveView(req, res, req.params.id);
+});
+
+app.post('/sessions/:id/control', requireRole('operator'), requireSessionOwner, (req, res) => {
+  if (!sessionManager.hasSession(req.params.id)) {
+    return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+  }
+  
+  const { human, holder } = req.body || {};
+  const control = sessionManager.setControl(req.params.id, Boolean(human), holder);
+  res.json({ success: true, sessionId: req.params.id, control });
+});
+
+app.post('/sessions/:id/input', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    const result = await sessionManager.sendInput(req.params.id, req.body || {});
+    res.json({ ...result, sessionId: req.params.id });
+  } catch (error) {
+    logger.error(`Error sending session input: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/macros/record', requireRole('operator'), requireSessionOwner, (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    const { name, description } = req.body || {};
+    macroStore.checkName(name);
+    
+    const status = sessionManager.startRecording(req.params.id, name, description);
+    res.json({ success: true, sessionId: req.params.id, ...status });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/macros/record/stop', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    const { name, description, actions } = sessionManager.stopRecording(req.params.id);
+    const macro = await macroStore.save(name, actions, { description });
+    res.json({ success: true, sessionId: req.params.id, macro });
+  } catch (error) {
+    logger.error(`Error saving session macro: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/macros/:name/run', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    const { screenshots, runId, timeoutMs } = req.body || {};
+    
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    if (sessionManager.getSession(req.params.id).busy) {
+      return res.status(409).json({ error: `Session ${req.params.id} is busy with another command` });
+    }
+    
+    const macro = await macroStore.get(req.params.name);
+    logger.info(`Replaying macro ${macro.name} in session ${req.params.id}`);
+    
+    const result = await runLimited(req.params.id, () => sessionManager.replayMacro(req.params.id, macro, { screenshots, runId, timeoutMs }));
+    res.json({ success: true, sessionId: req.params.id, result });
+  } catch (error) {
+    logger.error(`Error replaying session macro: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Save a session's cookies and storage into its profile now, or into the profile named in the body
+app.post('/sessions/:id/profile', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    const { name } = req.body || {};
+    const profile = await browserController.saveProfile(req.params.id, name);
+    res.json({ success: true, sessionId: req.params.id, profile });
+  } catch (error) {
+    logger.error(`Error saving session profile: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/sessions/:id/export/playwright', requireRole('operator'), requireSessionOwner, (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    sendPlaywrightTest(res, req.query.name || `browsebyme-${req.params.id}`, sessionManager.getActionLog(req.params.id));
+  } catch (error) {
+    logger.error(`Error exporting session Playwright test: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.post('/sessions/:id/workflows/:name/run', requireRole('operator'), requireSessionOwner, async (req, res) => {
+  try {
+    const { params, screenshots, runId, timeoutMs } = req.body || {};
+    
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    if (sessionManager.getSession(req.params.id).busy) {
+      return res.status(409).json({ error: `Session ${req.params.id} is busy with another command` });
+    }
+    
+    const workflow = await workflowStore.get(req.params.name);
+    logger.info(`Running workflow ${workflow.name} in session ${req.params.id}`);
+    
+    const result = await runLimited(req.params.id, () => sessionManager.runWorkflow(req.params.id, workflow, params, { screenshots, runId, timeoutMs }));
+    res.json({ success: true, sessionId: req.params.id, result });
+  } catch (error) {
+    logger.error(`Error running session workflow: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+app.get('/sessions/:id/screenshot', requireRole('viewer'), requireSessionOwner, async (req, res) => {
+  try {
+    if (!sessionManager.hasSession(req.params.id)) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+    
+    const screenshot = await browserController.takeScreenshot(req.params.id);
+    res.set('Content-Type', 'image/png');
+    res.send(screenshot);
+  } catch (error) {
+    logger.error(`Screenshot error: ${error.message}`);
+    sendError(res, error);
   }
 });
 
@@ -75,15 +943,28 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Start the server
-app.listen(PORT, () => {
-  logger.info(`BrowseByMe server running on port ${PORT}`);
-  logger.info(`Visit http://localhost:${PORT} to use the web interface`);
-});
+// Start the server, unless the app is only being loaded (as by the API tests)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`BrowseByMe server running on port ${PORT}`);
+    logger.info(`Visit http://localhost:${PORT} to use the web interface`);
+    
+    jobQueue.start().catch(error => logger.error(`Failed to start job queue: ${error.message}`));
+    
+    if (config.schedules.enabled) {
+      scheduler.start().catch(error => logger.error(`Failed to start scheduler: ${error.message}`));
+    }
+  });
+  
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Shutting down...');
+    scheduler.stop();
+    jobQueue.stop();
+    await sessionManager.closeAll();
+    await browserController.closeAll();
+    process.exit(0);
+  });
+}
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Shutting down...');
-  await browserController.closeAll();
-  process.exit(0);
-});
\ No newline at end of file
+module.exports = { app, browserController, commandParser, sessionManager, jobQueue, scheduler };
\ No newline at end of file
@@ -0,0 +1,488 @@
+/**
+ * Job Queue - Runs commands, agent goals, workflows and macros as queued jobs
+ * Jobs start in priority order (then oldest first) while staying under a global limit and a
+ * limit per browser engine. A job runs in an existing session, or in a fresh session that
+ * is closed when it finishes. Jobs are saved with JobStore, so queued jobs survive a restart.
+ * Work sent straight to a session, and schedule runs, wait for a turn under the same limits (runDirect).
+ */
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError, CommandCancelledError } = require('../utils/errors');
+const JobStore = require('./jobStore');
+const WorkflowStore = require('../workflows/workflowStore');
+const MacroStore = require('../macros/macroStore');
+const GoalAgent = require('../agent/goalAgent');
+const config = require('../config/config');
+
+// What a job can run, and the field naming it
+const KINDS = { command: 'command', agent: 'goal', workflow: 'workflow', macro: 'macro' };
+
+// Launch names that share an engine, and so a concurrency limit
+const ENGINES = { chrome: 'chromium', edge: 'chromium', safari: 'webkit' };
+
+// How often jobs waiting for a busy session check it again
+const SESSION_RETRY_MS = 1000;
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class JobQueue {
+  /**
+   * @param {SessionManager} sessionManager - Runs jobs in sessions and opens fresh ones
+   * @param {object} options - Optional { store, workflowStore, macroStore, concurrency, perBrowser, historyLimit }
+   */
+  constructor(sessionManager, options = {}) {
+    this.sessionManager = sessionManager;
+    this.store = options.store || new JobStore();
+    this.workflowStore = options.workflowStore || new WorkflowStore();
+    this.macroStore = options.macroStore || new MacroStore();
+    this.concurrency = options.concurrency || config.jobs.concurrency;
+    this.perBrowser = options.perBrowser || config.jobs.perBrowser;
+    this.historyLimit = options.historyLimit || config.jobs.historyLimit;
+    this.jobs = new Map(); // Map of job ID -> job, in submission order
+    this.running = new Map(); // Map of job or direct run ID -> { engine, sessionId, cancelled } for work in progress
+    this.direct = new Map(); // Map of direct run ID -> direct run waiting for a turn (see runDirect)
+    this.waiters = new Map(); // Map of job ID -> callbacks waiting for it to finish
+    this.retryTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load saved jobs and start any that are queued. Jobs that were running when the
+   * server stopped can't be resumed, so they are marked as failed.
+   */
+  async start() {
+    for (const job of await this.store.list()) {
+      if (job.status === 'running') {
+        Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date().toISOString() });
+        this.persist(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    const queued = Array.from(this.jobs.values()).filter(job => job.status === 'queued').length;
+    logger.info(`Job queue started with ${queued} queued job(s)`);
+    this.pump();
+  }
+
+  /**
+   * Stop checking busy sessions. Running jobs carry on.
+   */
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Queue a job
+   * @param {object} definition - One of { command }, { goal, budget }, { workflow, params } or { macro },
+   *   plus { sessionId } to run in an existing session or { browserType, browserOptions } for a fresh one,
+   *   and optional { priority, timeoutMs, screenshots }
+   * @param {string|null} owner - Name of the API user submitting the job; its fresh session belongs to them too
+   * @returns {object} Job description
+   */
+  async submit(definition = {}, owner = null) {
+    const job = {
+      id: uuidv4(),
+      ...this.normalize(definition),
+      owner,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    logger.info(`Job queued: ${job.id} (${job.kind}, priority ${job.priority})`);
+
+    this.pump();
+    return this.describe(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @param {string} owner - Only find a job of this API user; others' read as missing (omit for anyone's)
+   * @returns {object} Job description with its result or error
+   */
+  get(id, owner) {
+    const job = this.find(id);
+    if (owner !== undefined && job.owner !== owner) {
+      throw new BrowseByMeError(`Job not found: ${id}`, 404);
+    }
+    return this.describe(job);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filter - Optional { status, owner }
+   * @returns {Array} Job descriptions without results
+   */
+  list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => filter.owner === undefined || job.owner === filter.owner)
+      .reverse()
+      .map(job => {
+        const { result, ...description } = this.describe(job);
+        return description;
+      });
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} id - Job ID
+   * @returns {object} Job description once it has succeeded, failed or been cancelled
+   */
+  waitFor(id) {
+    const job = this.find(id);
+    if (FINISHED.includes(job.status)) {
+      return Promise.resolve(this.describe(job));
+    }
+
+    return new Promise(resolve => {
+      const waiting = this.waiters.get(id) || [];
+      this.waiters.set(id, [...waiting, resolve]);
+    });
+  }
+
+  /**
+   * Cancel a job. A queued job is dropped; a running one is stopped like POST /cancel.
+   * @param {string} id - Job ID
+   * @returns {object} Job description
+   */
+  async cancel(id) {
+    const job = this.find(id);
+
+    if (FINISHED.includes(job.status)) {
+      throw new BrowseByMeError(`Job ${id} has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`, 409);
+    }
+
+    if (job.status === 'queued') {
+      await this.finish(job, { status: 'cancelled', error: 'Cancelled before it started' });
+      return this.describe(job);
+    }
+
+    // The run fails with a CommandCancelledError, which finishes the job. A job still opening
+    // its session has no run to cancel yet; it stops once the session is open (see runIn).
+    const run = this.running.get(id);
+    run.cancelled = true;
+    if (run.sessionId && this.sessionManager.hasSession(run.sessionId)) {
+      this.sessionManager.getSession(run.sessionId).commandParser.cancel(job.id);
+    }
+    return this.describe(job);
+  }
+
+  /**
+   * Run work that didn't come through submit, such as a command sent straight to a session or a
+   * schedule run, under the same concurrency limits as jobs. It waits for its turn like a job of
+   * priority 0, but isn't saved or listed, and its result and errors go straight back to the caller.
+   * @param {string} browserType - Browser type of the session the work runs in
+   * @param {Function} work - Async function doing the work
+   * @returns {any} Result of the work
+   */
+  async runDirect(browserType, work) {
+    const run = { id: uuidv4(), direct: true, status: 'queued', priority: 0, browserType, createdAt: new Date().toISOString() };
+
+    await new Promise(resolve => {
+      run.start = resolve;
+      this.direct.set(run.id, run);
+      this.pump();
+    });
+
+    try {
+      return await work();
+    } finally {
+      this.running.delete(run.id);
+      this.pump();
+    }
+  }
+
+  /**
+   * Start every queued job that fits under the concurrency limits
+   */
+  pump() {
+    let waitingForSession = false;
+
+    for (const job of this.queued()) {
+      if (this.running.size >= this.concurrency) break;
+
+      const engine = this.engineFor(job);
+      if (engine === null) {
+        // Its session has gone; running it reports that
+        this.startJob(job, this.engineName(job.browserType));
+        continue;
+      }
+
+      const limit = this.perBrowser[engine];
+      const sameEngine = Array.from(this.running.values()).filter(run => run.engine === engine).length;
+      if (limit !== undefined && sameEngine >= limit) continue;
+
+      if (job.sessionId && !this.sessionIsFree(job.sessionId)) {
+        waitingForSession = true;
+        continue;
+      }
+
+      this.startJob(job, engine);
+    }
+
+    // Sessions also run commands sent to them directly, which the queue isn't told about
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (waitingForSession) {
+      this.retryTimer = setTimeout(() => this.pump(), SESSION_RETRY_MS);
+      this.retryTimer.unref();
+    }
+  }
+
+  /**
+   * Queued jobs and direct runs in the order they should start: highest priority first, then oldest
+   * @returns {Array} Queued jobs and direct runs
+   */
+  queued() {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .concat(Array.from(this.direct.values()))
+      .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Run a job and record how it went
+   * @param {object} job - Queued job
+   * @param {string} engine - Browser engine it counts against
+   */
+  startJob(job, engine) {
+    if (job.direct) {
+      this.direct.delete(job.id);
+      this.running.set(job.id, { engine, sessionId: null, cancelled: false });
+      job.start();
+      return;
+    }
+
+    Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+    this.running.set(job.id, { engine, sessionId: job.sessionId, cancelled: false });
+    this.persist(job);
+    logger.info(`Job started: ${job.id}`);
+
+    this.execute(job)
+      .then(result => this.finish(job, { status: 'succeeded', result }))
+      .catch(error => {
+        logger.error(`Job ${job.id} failed: ${error.message}`);
+        const cancelled = error.name === 'CommandCancelledError' && error.reason !== 'timeout';
+        return this.finish(job, { status: cancelled ? 'cancelled' : 'failed', error: error.message });
+      })
+      .catch(error => logger.error(`Job ${job.id} could not be recorded: ${error.message}`));
+  }
+
+  /**
+   * Run a job's work in its session, opening and closing a fresh one if it has none
+   * @param {object} job - Running job
+   * @returns {object} Command, agent, workflow or macro result
+   */
+  async execute(job) {
+    if (job.sessionId && !job.freshSession) {
+      if (!this.sessionManager.hasSession(job.sessionId)) {
+        throw new BrowseByMeError(`Session not found: ${job.sessionId}`, 404);
+      }
+      return await this.runIn(job.sessionId, job);
+    }
+
+    const session = await this.sessionManager.createSession(job.browserType, job.browserOptions, job.owner || null);
+    job.sessionId = session.sessionId;
+    this.running.get(job.id).sessionId = session.sessionId;
+    this.persist(job);
+
+    try {
+      return await this.runIn(session.sessionId, job);
+    } finally {
+      // The job itself may have closed the browser
+      if (this.sessionManager.hasSession(session.sessionId)) {
+        await this.sessionManager.closeSession(session.sessionId).catch(error => {
+          logger.error(`Failed to close job session ${session.sessionId}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a job's work in a session
+   * @param {string} sessionId - Session ID
+   * @param {object} job - Running job
+   * @returns {object} Result of the work
+   */
+  async runIn(sessionId, job) {
+    // The job ID doubles as the run ID, so /events?runId= follows the job
+    const options = { runId: job.id, timeoutMs: job.timeoutMs, screenshots: job.screenshots };
+    const workflow = job.kind === 'workflow' ? await this.workflowStore.get(job.workflow) : null;
+    const macro = job.kind === 'macro' ? await this.macroStore.get(job.macro) : null;
+
+    // Cancelled while its session was opening; once the work starts, cancelling reaches its run
+    if (this.running.get(job.id).cancelled) {
+      throw new CommandCancelledError('Job cancelled before it started');
+    }
+
+    switch (job.kind) {
+      case 'agent':
+        return await this.sessionManager.runAgent(sessionId, job.goal, job.budget, options);
+      case 'workflow':
+        return await this.sessionManager.runWorkflow(sessionId, workflow, job.params, options);
+      case 'macro':
+        return await this.sessionManager.replayMacro(sessionId, macro, options);
+      default:
+        return await this.sessionManager.executeCommand(sessionId, job.command, options);
+    }
+  }
+
+  /**
+   * Record a job's outcome, wake anyone waiting for it and start the next jobs
+   * @param {object} job - Job
+   * @param {object} outcome - { status, result, error }
+   */
+  async finish(job, outcome) {
+    Object.assign(job, { result: null, error: null, ...outcome, finishedAt: new Date().toISOString() });
+    this.running.delete(job.id);
+    logger.info(`Job ${job.status}: ${job.id}`);
+
+    await this.persist(job);
+    await this.prune();
+
+    for (const resolve of this.waiters.get(job.id) || []) {
+      resolve(this.describe(job));
+    }
+    this.waiters.delete(job.id);
+
+    this.pump();
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond the history limit
+   */
+  async prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINISHED.includes(job.status));
+
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.historyLimit))) {
+      this.jobs.delete(job.id);
+      await this.store.delete(job.id);
+    }
+  }
+
+  /**
+   * Save a job. Saves happen one at a time, so a job's file always holds its latest state.
+   * @param {object} job - Job
+   * @returns {Promise} Resolves once saved
+   */
+  persist(job) {
+    const snapshot = JSON.parse(JSON.stringify(job));
+    this.saving = this.saving
+      .then(() => this.store.save(snapshot))
+      .catch(error => logger.error(`Failed to save job ${job.id}: ${error.message}`));
+    return this.saving;
+  }
+
+  /**
+   * Work out which browser engine a job counts against
+   * @param {object} job - Job
+   * @returns {string|null} Engine name, or null if its session has gone
+   */
+  engineFor(job) {
+    if (!job.sessionId) {
+      return this.engineName(job.browserType);
+    }
+    if (!this.sessionManager.hasSession(job.sessionId)) {
+      return null;
+    }
+    return this.engineName(this.sessionManager.getSession(job.sessionId).type);
+  }
+
+  /**
+   * @param {string} browserType - Browser type as given to launchBrowser
+   * @returns {string} Engine name: chromium, firefox or webkit
+   */
+  engineName(browserType) {
+    const type = String(browserType || config.browser.defaultType).toLowerCase();
+    return ENGINES[type] || type;
+  }
+
+  /**
+   * Check whether a session can take a job now
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if no other job or command is running in it
+   */
+  sessionIsFree(sessionId) {
+    const hasJob = Array.from(this.running.values()).some(run => run.sessionId === sessionId);
+    return !hasJob && !this.sessionManager.getSession(sessionId).busy;
+  }
+
+  /**
+   * Check a job definition and fill in its defaults
+   * @param {object} definition - Job fields from the client
+   * @returns {object} Job fields
+   */
+  normalize(definition) {
+    const kinds = Object.keys(KINDS).filter(kind => {
+      const value = definition[KINDS[kind]];
+      return typeof value === 'string' && value.trim() !== '';
+    });
+    if (kinds.length !== 1) {
+      throw new BrowseByMeError('A job needs exactly one of command, goal, workflow or macro', 400);
+    }
+
+    const [kind] = kinds;
+    if (kind === 'workflow') this.workflowStore.checkName(definition.workflow);
+    if (kind === 'macro') this.macroStore.checkName(definition.macro);
+    if (kind === 'agent') GoalAgent.resolveBudget(definition.budget);
+
+    const priority = definition.priority === undefined ? 0 : Number(definition.priority);
+    if (!Number.isFinite(priority)) {
+      throw new BrowseByMeError('Job priority must be a number', 400);
+    }
+
+    if (definition.sessionId && !this.sessionManager.hasSession(definition.sessionId)) {
+      throw new BrowseByMeError(`Session not found: ${definition.sessionId}`, 404);
+    }
+
+    return {
+      kind,
+      [KINDS[kind]]: definition[KINDS[kind]].trim(),
+      params: kind === 'workflow' ? definition.params || {} : undefined,
+      budget: kind === 'agent' ? definition.budget || {} : undefined,
+      priority,
+      sessionId: definition.sessionId || null,
+      freshSession: !definition.sessionId,
+      browserType: definition.sessionId ? undefined : definition.browserType || config.browser.defaultType,
+      browserOptions: definition.sessionId ? undefined : { headless: true, ...definition.browserOptions },
+      timeoutMs: definition.timeoutMs,
+      screenshots: definition.screenshots
+    };
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @returns {object} Job
+   */
+  find(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new BrowseByMeError(`Job not found: ${id}`, 404);
+    }
+    return job;
+  }
+
+  /**
+   * Build the public description of a job, with its place in the queue while it waits
+   * @param {object} job - Job
+   * @returns {object} Job description
+   */
+  describe(job) {
+    const description = { ...job };
+    if (job.status === 'queued') {
+      description.position = this.queued().indexOf(job) + 1;
+    }
+    return description;
+  }
+}
+
+module.exports = JobQueue;
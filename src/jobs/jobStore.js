@@ -0,0 +1,103 @@
+/**
+ * Job Store - Saves queued, running and finished jobs as JSON files on disk
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const config = require('../config/config');
+
+// Job IDs are generated UUIDs and double as file names
+const ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+class JobStore {
+  /**
+   * @param {string} directory - Directory holding one <id>.json file per job
+   */
+  constructor(directory = path.join(config.storage.dataDir, 'jobs')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Save a job, replacing any earlier version
+   * @param {object} job - Job with an id
+   * @returns {object} Saved job
+   */
+  async save(job) {
+    this.checkId(job.id);
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      // Write then rename, so a crash mid-write can't leave half a job behind
+      const temporary = `${this.filePath(job.id)}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(job, null, 2));
+      await fs.rename(temporary, this.filePath(job.id));
+    } catch (error) {
+      logger.error(`Error saving job ${job.id}: ${error.message}`);
+      throw new Error(`Failed to save job: ${error.message}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Load every saved job
+   * @returns {Array} Jobs, oldest first
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to list jobs: ${error.message}`);
+    }
+
+    const jobs = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        jobs.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf-8')));
+      } catch (error) {
+        logger.warn(`Skipping unreadable job ${file}: ${error.message}`);
+      }
+    }
+
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Delete a job
+   * @param {string} id - Job ID
+   */
+  async delete(id) {
+    this.checkId(id);
+
+    try {
+      await fs.unlink(this.filePath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to delete job: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Reject IDs that aren't safe to use as file names
+   * @param {string} id - Job ID
+   */
+  checkId(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new BrowseByMeError(`Job not found: ${id}`, 404);
+    }
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @returns {string} Path of the job's file
+   */
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,146 @@
+/**
+ * Macro Store - Saves recorded command macros as JSON files on disk
+ * A macro is a named list of resolved actions that can be replayed without the language model.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { validatePlan } = require('../commands/actionSchema');
+const { BrowseByMeError, ActionValidationError } = require('../utils/errors');
+const config = require('../config/config');
+
+// Macro names double as file names
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+class MacroStore {
+  /**
+   * @param {string} directory - Directory holding one <name>.json file per macro
+   */
+  constructor(directory = path.join(config.storage.dataDir, 'macros')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Save a macro, replacing any macro with the same name
+   * @param {string} name - Macro name (letters, digits, "-" and "_")
+   * @param {Array} actions - Actions to replay, in order
+   * @param {object} details - Optional { description }
+   * @returns {object} Saved macro
+   */
+  async save(name, actions, details = {}) {
+    this.checkName(name);
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new BrowseByMeError('A macro needs at least one action', 400);
+    }
+
+    const validation = validatePlan(actions);
+    if (!validation.valid) {
+      throw new ActionValidationError(validation.errors, actions);
+    }
+
+    const macro = {
+      name,
+      description: details.description || '',
+      actions: validation.plan,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(this.filePath(name), JSON.stringify(macro, null, 2));
+    } catch (error) {
+      logger.error(`Error saving macro ${name}: ${error.message}`);
+      throw new Error(`Failed to save macro: ${error.message}`);
+    }
+
+    logger.info(`Macro saved: ${name} (${macro.actions.length} actions)`);
+    return macro;
+  }
+
+  /**
+   * Load a macro
+   * @param {string} name - Macro name
+   * @returns {object} Macro as { name, description, actions, createdAt }
+   */
+  async get(name) {
+    this.checkName(name);
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(name), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BrowseByMeError(`Macro not found: ${name}`, 404);
+      }
+      logger.error(`Error reading macro ${name}: ${error.message}`);
+      throw new Error(`Failed to read macro: ${error.message}`);
+    }
+  }
+
+  /**
+   * List saved macros
+   * @returns {Array} Summaries as { name, description, steps, createdAt }, sorted by name
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to list macros: ${error.message}`);
+    }
+
+    const names = files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+    const macros = [];
+
+    for (const name of names) {
+      try {
+        const { description, actions, createdAt } = await this.get(name);
+        macros.push({ name, description, steps: actions.length, createdAt });
+      } catch (error) {
+        logger.warn(`Skipping unreadable macro ${name}: ${error.message}`);
+      }
+    }
+
+    return macros;
+  }
+
+  /**
+   * Delete a macro
+   * @param {string} name - Macro name
+   */
+  async delete(name) {
+    this.checkName(name);
+
+    try {
+      await fs.unlink(this.filePath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BrowseByMeError(`Macro not found: ${name}`, 404);
+      }
+      throw new Error(`Failed to delete macro: ${error.message}`);
+    }
+
+    logger.info(`Macro deleted: ${name}`);
+  }
+
+  /**
+   * Reject names that aren't safe to use as file names
+   * @param {string} name - Macro name
+   */
+  checkName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new BrowseByMeError('Macro names must be 1-64 letters, digits, "-" or "_"', 400);
+    }
+  }
+
+  /**
+   * @param {string} name - Macro name
+   * @returns {string} Path of the macro's file
+   */
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+}
+
+module.exports = MacroStore;
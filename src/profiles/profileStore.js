@@ -0,0 +1,182 @@
+/**
+ * Profile Store - Saves named browser profiles as JSON files on disk
+ * A profile is the Playwright storage state of a browser context (cookies, localStorage and,
+ * where the browser allows, IndexedDB), so a session opened with it starts logged in.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const config = require('../config/config');
+
+// Profile names double as file names; they are lower case because "open chrome with profile Work" is
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+class ProfileStore {
+  /**
+   * @param {string} directory - Directory holding one <name>.json file per profile
+   */
+  constructor(directory = path.join(config.storage.dataDir, 'profiles')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Load a profile's storage state
+   * @param {string} name - Profile name
+   * @returns {object|null} Storage state as { cookies, origins }, or null if the profile is new
+   */
+  async loadState(name) {
+    try {
+      return (await this.get(name)).storageState;
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Save a profile's storage state, creating the profile if needed
+   * @param {string} name - Profile name
+   * @param {object} storageState - Storage state as { cookies, origins }
+   * @returns {object} Profile summary
+   */
+  async saveState(name, storageState) {
+    name = this.checkName(name);
+    this.checkState(storageState);
+
+    const existing = await this.get(name).catch(() => null);
+    const now = new Date().toISOString();
+    const profile = {
+      name,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      storageState: { cookies: storageState.cookies, origins: storageState.origins }
+    };
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      // Write then rename, so a crash mid-write can't leave a broken profile behind
+      const temporary = `${this.filePath(name)}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(profile, null, 2), { mode: 0o600 });
+      await fs.rename(temporary, this.filePath(name));
+    } catch (error) {
+      logger.error(`Error saving profile ${name}: ${error.message}`);
+      throw new Error(`Failed to save profile: ${error.message}`);
+    }
+
+    logger.info(`Profile saved: ${name}`);
+    return this.summarize(profile);
+  }
+
+  /**
+   * Load a whole profile, as exported
+   * @param {string} name - Profile name
+   * @returns {object} Profile as { name, createdAt, updatedAt, storageState }
+   */
+  async get(name) {
+    name = this.checkName(name);
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(name), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BrowseByMeError(`Profile not found: ${name}`, 404);
+      }
+      logger.error(`Error reading profile ${name}: ${error.message}`);
+      throw new Error(`Failed to read profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * List saved profiles
+   * @returns {Array} Summaries as { name, cookies, origins, createdAt, updatedAt }, sorted by name
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to list profiles: ${error.message}`);
+    }
+
+    const names = files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+    const profiles = [];
+
+    for (const name of names) {
+      try {
+        profiles.push(this.summarize(await this.get(name)));
+      } catch (error) {
+        logger.warn(`Skipping unreadable profile ${name}: ${error.message}`);
+      }
+    }
+
+    return profiles;
+  }
+
+  /**
+   * Delete a profile and everything saved in it
+   * @param {string} name - Profile name
+   */
+  async delete(name) {
+    name = this.checkName(name);
+
+    try {
+      await fs.unlink(this.filePath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BrowseByMeError(`Profile not found: ${name}`, 404);
+      }
+      throw new Error(`Failed to delete profile: ${error.message}`);
+    }
+
+    logger.info(`Profile wiped: ${name}`);
+  }
+
+  /**
+   * Reject names that aren't safe to use as file names
+   * @param {string} name - Profile name, in any case
+   * @returns {string} The name in lower case
+   */
+  checkName(name) {
+    const normalized = typeof name === 'string' ? name.toLowerCase() : name;
+    if (typeof normalized !== 'string' || !NAME_PATTERN.test(normalized)) {
+      throw new BrowseByMeError('Profile names must be 1-64 letters, digits, "-" or "_"', 400);
+    }
+    return normalized;
+  }
+
+  /**
+   * Reject anything that isn't a Playwright storage state
+   * @param {object} storageState - Storage state to check
+   */
+  checkState(storageState) {
+    if (!storageState || !Array.isArray(storageState.cookies) || !Array.isArray(storageState.origins)) {
+      throw new BrowseByMeError('A profile needs a storage state with "cookies" and "origins" lists', 400);
+    }
+  }
+
+  /**
+   * @param {object} profile - Saved profile
+   * @returns {object} Profile without its cookies and storage
+   */
+  summarize(profile) {
+    return {
+      name: profile.name,
+      cookies: profile.storageState.cookies.length,
+      origins: profile.storageState.origins.map(origin => origin.origin),
+      createdAt: profile.createdAt,
+      updatedAt: profile.updatedAt
+    };
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {string} Path of the profile's file
+   */
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+}
+
+module.exports = ProfileStore;
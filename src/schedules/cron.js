@@ -0,0 +1,170 @@
+/**
+ * Cron - Parses five-field cron expressions and works out when they next fire
+ * Fields are minute, hour, day of month, month and day of week, in the server's local time.
+ * Each field takes *, numbers, names (jan-dec, sun-sat), ranges (1-5), lists (1,15) and steps (*\/15).
+ */
+const { BrowseByMeError } = require('../utils/errors');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is accepted as Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@weekdays': '0 0 * * 1-5',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// How far ahead to look for a matching minute before deciding an expression never fires
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or an alias such as @daily
+ * @returns {object} Allowed values as { minutes, hours, days, months, weekdays } sets,
+ *   plus whether the day fields were restricted
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new BrowseByMeError('A cron expression is required', 400);
+  }
+
+  const source = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new BrowseByMeError(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`, 400);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+
+  // Sunday can be written as 0 or 7
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Cron runs on either day field when both are restricted, on the restricted one otherwise;
+    // a field starting with * (such as */2) counts as unrestricted
+    daysRestricted: !parts[2].startsWith('*'),
+    weekdaysRestricted: !parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} part - Field text such as "1-5" or "*\/10"
+ * @param {object} field - Field definition with min, max and optional names
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {Set} Allowed values
+ */
+function parseField(part, field, expression) {
+  const values = new Set();
+  const invalid = () => new BrowseByMeError(`Invalid cron expression "${expression}": bad ${field.name} "${part}"`, 400);
+
+  const toNumber = text => {
+    const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = named >= 0 ? named + (field.name === 'month' ? 1 : 0) : Number(text);
+    if (!/^\d+$/.test(text) && named < 0) throw invalid();
+    if (value < field.min || value > field.max) throw invalid();
+    return value;
+  };
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || item.split('/').length > 2) throw invalid();
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) throw invalid();
+      start = toNumber(bounds[0]);
+      end = toNumber(bounds[1]);
+      if (start > end) throw invalid();
+    } else {
+      start = toNumber(range);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check whether a cron expression fires on a given day
+ * @param {object} cron - Parsed expression
+ * @param {Date} date - Day to check
+ * @returns {boolean} True if the day fields allow it
+ */
+function matchesDay(cron, date) {
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * Work out when a cron expression next fires
+ * @param {string|object} expression - Cron expression, or one returned by parseCron
+ * @param {Date} after - Find the first matching minute after this time
+ * @returns {Date} Start of the next matching minute
+ */
+function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skip whole months, days and hours that can't match before stepping through minutes
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  const source = typeof expression === 'string' ? `"${expression}"` : 'Cron expression';
+  throw new BrowseByMeError(`${source} never fires`, 400);
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,123 @@
+/**
+ * Schedule Store - Saves scheduled jobs, with their run history, as JSON files on disk
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const config = require('../config/config');
+
+// Schedule IDs are generated UUIDs and double as file names
+const ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+class ScheduleStore {
+  /**
+   * @param {string} directory - Directory holding one <id>.json file per schedule
+   */
+  constructor(directory = path.join(config.storage.dataDir, 'schedules')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Save a schedule, replacing any earlier version
+   * @param {object} schedule - Schedule with an id
+   * @returns {object} Saved schedule
+   */
+  async save(schedule) {
+    this.checkId(schedule.id);
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      // Write then rename, so a crash mid-write can't leave half a schedule behind
+      const temporary = `${this.filePath(schedule.id)}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(schedule, null, 2));
+      await fs.rename(temporary, this.filePath(schedule.id));
+    } catch (error) {
+      logger.error(`Error saving schedule ${schedule.id}: ${error.message}`);
+      throw new Error(`Failed to save schedule: ${error.message}`);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Load a schedule
+   * @param {string} id - Schedule ID
+   * @returns {object} Schedule
+   */
+  async get(id) {
+    this.checkId(id);
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BrowseByMeError(`Schedule not found: ${id}`, 404);
+      }
+      logger.error(`Error reading schedule ${id}: ${error.message}`);
+      throw new Error(`Failed to read schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load every saved schedule
+   * @returns {Array} Schedules, oldest first
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to list schedules: ${error.message}`);
+    }
+
+    const schedules = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        schedules.push(await this.get(path.basename(file, '.json')));
+      } catch (error) {
+        logger.warn(`Skipping unreadable schedule ${file}: ${error.message}`);
+      }
+    }
+
+    return schedules.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} id - Schedule ID
+   */
+  async delete(id) {
+    this.checkId(id);
+
+    try {
+      await fs.unlink(this.filePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BrowseByMeError(`Schedule not found: ${id}`, 404);
+      }
+      throw new Error(`Failed to delete schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject IDs that aren't safe to use as file names
+   * @param {string} id - Schedule ID
+   */
+  checkId(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new BrowseByMeError(`Schedule not found: ${id}`, 404);
+    }
+  }
+
+  /**
+   * @param {string} id - Schedule ID
+   * @returns {string} Path of the schedule's file
+   */
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = ScheduleStore;
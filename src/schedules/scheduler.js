@@ -0,0 +1,406 @@
+/**
+ * Scheduler - Runs workflows and text commands on cron schedules
+ * Every run gets a fresh browser session that is closed afterwards, so scheduled jobs
+ * never share state with each other or with interactive sessions. Schedules, their run
+ * history, last result and failure counts are saved with ScheduleStore and survive restarts.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const { parseCron, nextRun } = require('./cron');
+const ScheduleStore = require('./scheduleStore');
+const WorkflowStore = require('../workflows/workflowStore');
+const config = require('../config/config');
+
+// Longest delay setTimeout accepts; later runs are re-armed when it fires
+const MAX_TIMER_DELAY = 2147483647;
+
+// Fields a client may set when creating or updating a schedule
+const EDITABLE_FIELDS = ['name', 'cron', 'command', 'workflow', 'params', 'browserType', 'browserOptions', 'timeoutMs', 'enabled'];
+
+class Scheduler {
+  /**
+   * @param {SessionManager} sessionManager - Creates and closes the session for each run
+   * @param {object} options - Optional { store, workflowStore, jobQueue, historyLimit }; with a jobQueue,
+   *                           runs wait for a turn under its concurrency limits
+   */
+  constructor(sessionManager, options = {}) {
+    this.sessionManager = sessionManager;
+    this.store = options.store || new ScheduleStore();
+    this.workflowStore = options.workflowStore || new WorkflowStore();
+    this.jobQueue = options.jobQueue || null;
+    this.historyLimit = options.historyLimit || config.schedules.historyLimit;
+    this.schedules = new Map(); // Map of schedule ID -> schedule, loaded by start()
+    this.timers = new Map(); // Map of schedule ID -> timeout for its next run
+    this.running = new Set(); // IDs of schedules with a run in progress
+    this.started = false; // Timers are only armed between start() and stop()
+  }
+
+  /**
+   * Load saved schedules and arm their timers. Runs missed while the server was down are skipped.
+   */
+  async start() {
+    this.started = true;
+    for (const schedule of await this.store.list()) {
+      this.schedules.set(schedule.id, schedule);
+      this.arm(schedule);
+    }
+    logger.info(`Scheduler started with ${this.schedules.size} schedule(s)`);
+  }
+
+  /**
+   * Stop all timers. Runs already in progress carry on.
+   */
+  stop() {
+    this.started = false;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * List schedules
+   * @param {object} filter - Optional { owner }
+   * @returns {Array} Schedule descriptions, oldest first
+   */
+  list(filter = {}) {
+    return Array.from(this.schedules.values())
+      .filter(schedule => filter.owner === undefined || schedule.owner === filter.owner)
+      .map(schedule => this.describe(schedule));
+  }
+
+  /**
+   * Get a schedule with its run history
+   * @param {string} id - Schedule ID
+   * @param {string} owner - Only find a schedule of this API user; others' read as missing (omit for anyone's)
+   * @returns {object} Schedule description including history
+   */
+  get(id, owner) {
+    const schedule = this.find(id);
+    if (owner !== undefined && schedule.owner !== owner) {
+      throw new BrowseByMeError(`Schedule not found: ${id}`, 404);
+    }
+    return { ...this.describe(schedule), history: schedule.history };
+  }
+
+  /**
+   * Create a schedule
+   * @param {object} definition - { name, cron, command or workflow, params, browserType, browserOptions, timeoutMs, enabled }
+   * @param {string|null} owner - Name of the API user creating the schedule; its sessions belong to them too
+   * @returns {object} Schedule description
+   */
+  async create(definition = {}, owner = null) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: uuidv4(),
+      ...this.normalize(definition),
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastStatus: null,
+      lastResult: null,
+      lastError: null,
+      runCount: 0,
+      failureCount: 0,
+      consecutiveFailures: 0,
+      history: []
+    };
+
+    this.schedules.set(schedule.id, schedule);
+    this.arm(schedule);
+    await this.store.save(schedule);
+
+    logger.info(`Schedule created: ${schedule.id} (${schedule.name}, ${schedule.cron})`);
+    return this.describe(schedule);
+  }
+
+  /**
+   * Change a schedule's job or timing
+   * @param {string} id - Schedule ID
+   * @param {object} changes - Fields to change (see create)
+   * @returns {object} Schedule description
+   */
+  async update(id, changes = {}) {
+    const schedule = this.find(id);
+    const editable = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, schedule[field]]));
+    const merged = { ...editable, ...changes };
+
+    // Switching between a command and a workflow replaces the other
+    if (changes.command !== undefined) merged.workflow = undefined;
+    if (changes.workflow !== undefined) merged.command = undefined;
+
+    Object.assign(schedule, this.normalize(merged), { updatedAt: new Date().toISOString() });
+    this.arm(schedule);
+    await this.store.save(schedule);
+
+    logger.info(`Schedule updated: ${id}`);
+    return this.describe(schedule);
+  }
+
+  /**
+   * Delete a schedule. A run in progress carries on but is not recorded.
+   * @param {string} id - Schedule ID
+   */
+  async delete(id) {
+    this.find(id);
+
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    this.schedules.delete(id);
+    await this.store.delete(id);
+
+    logger.info(`Schedule deleted: ${id}`);
+  }
+
+  /**
+   * Run a schedule's job now, outside its timetable
+   * @param {string} id - Schedule ID
+   * @returns {object} The run as recorded in the history
+   */
+  async runNow(id) {
+    const schedule = this.find(id);
+
+    if (this.running.has(id)) {
+      throw new BrowseByMeError(`Schedule ${id} is already running`, 409);
+    }
+    return await this.run(schedule, 'manual');
+  }
+
+  /**
+   * Set the timer for a schedule's next run, if the scheduler is running
+   * @param {object} schedule - Schedule
+   */
+  arm(schedule) {
+    clearTimeout(this.timers.get(schedule.id));
+    this.timers.delete(schedule.id);
+
+    // Schedules created while the scheduler is stopped (or switched off) wait for start()
+    if (!schedule.enabled || !this.started) {
+      schedule.nextRunAt = null;
+      return;
+    }
+
+    const next = nextRun(schedule.cron);
+    schedule.nextRunAt = next.toISOString();
+
+    const delay = Math.min(next.getTime() - Date.now(), MAX_TIMER_DELAY);
+    const timer = setTimeout(() => this.fire(schedule.id, next), delay);
+
+    // Pending schedules shouldn't keep the process alive on shutdown
+    timer.unref();
+    this.timers.set(schedule.id, timer);
+  }
+
+  /**
+   * Handle a schedule's timer
+   * @param {string} id - Schedule ID
+   * @param {Date} due - When the run was due
+   */
+  async fire(id, due) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return;
+
+    // Timers for runs further off than setTimeout allows fire early and are re-armed
+    if (Date.now() < due.getTime()) {
+      this.arm(schedule);
+      return;
+    }
+
+    this.arm(schedule);
+
+    const work = this.running.has(id)
+      ? this.record(schedule, {
+        runId: uuidv4(),
+        trigger: 'schedule',
+        startedAt: new Date().toISOString(),
+        status: 'skipped',
+        error: 'The previous run was still in progress'
+      })
+      : this.run(schedule, 'schedule');
+
+    await work.catch(error => {
+      logger.error(`Scheduled run of ${schedule.name} could not be recorded: ${error.message}`);
+    });
+  }
+
+  /**
+   * Run a schedule's job in a fresh session and record the outcome
+   * @param {object} schedule - Schedule
+   * @param {string} trigger - "schedule" or "manual"
+   * @returns {object} The run as recorded in the history
+   */
+  async run(schedule, trigger) {
+    const startedAt = new Date();
+    const run = { runId: uuidv4(), trigger, startedAt: startedAt.toISOString() };
+
+    this.running.add(schedule.id);
+    logger.info(`Running schedule ${schedule.name} (${trigger})`);
+
+    try {
+      const result = await this.execute(schedule, run);
+      Object.assign(run, { status: 'succeeded', result: summarizeResult(result) });
+    } catch (error) {
+      logger.error(`Scheduled run of ${schedule.name} failed: ${error.message}`);
+      Object.assign(run, { status: 'failed', error: error.message });
+    } finally {
+      this.running.delete(schedule.id);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - startedAt.getTime();
+    return await this.record(schedule, run);
+  }
+
+  /**
+   * Run a schedule's job once it has a turn under the job queue's limits
+   * @param {object} schedule - Schedule
+   * @param {object} run - Run being recorded; gets the session ID
+   * @returns {object} Command or workflow result
+   */
+  async execute(schedule, run) {
+    if (this.jobQueue) {
+      return await this.jobQueue.runDirect(schedule.browserType, () => this.executeInSession(schedule, run));
+    }
+    return await this.executeInSession(schedule, run);
+  }
+
+  /**
+   * Open a session, run the job in it and close it again
+   * @param {object} schedule - Schedule
+   * @param {object} run - Run being recorded; gets the session ID
+   * @returns {object} Command or workflow result
+   */
+  async executeInSession(schedule, run) {
+    const session = await this.sessionManager.createSession(schedule.browserType, schedule.browserOptions, schedule.owner || null);
+    run.sessionId = session.sessionId;
+
+    try {
+      const options = { runId: run.runId, timeoutMs: schedule.timeoutMs };
+
+      if (schedule.workflow) {
+        const workflow = await this.workflowStore.get(schedule.workflow);
+        return await this.sessionManager.runWorkflow(session.sessionId, workflow, schedule.params, options);
+      }
+      return await this.sessionManager.executeCommand(session.sessionId, schedule.command, options);
+    } finally {
+      // The job itself may have closed the browser
+      if (this.sessionManager.hasSession(session.sessionId)) {
+        await this.sessionManager.closeSession(session.sessionId).catch(error => {
+          logger.error(`Failed to close scheduled session ${session.sessionId}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * Add a run to a schedule's history and counters, and save it
+   * @param {object} schedule - Schedule
+   * @param {object} run - Finished run
+   * @returns {object} The run
+   */
+  async record(schedule, run) {
+    // Deleted while it was running
+    if (!this.schedules.has(schedule.id)) {
+      return run;
+    }
+
+    schedule.history.unshift(run);
+    schedule.history.splice(this.historyLimit);
+
+    if (run.status !== 'skipped') {
+      schedule.runCount++;
+      schedule.lastRunAt = run.startedAt;
+      schedule.lastStatus = run.status;
+      schedule.lastResult = run.result || null;
+      schedule.lastError = run.error || null;
+
+      if (run.status === 'failed') {
+        schedule.failureCount++;
+        schedule.consecutiveFailures++;
+      } else {
+        schedule.consecutiveFailures = 0;
+      }
+    }
+
+    await this.store.save(schedule);
+    return run;
+  }
+
+  /**
+   * Check a schedule definition and fill in its defaults
+   * @param {object} definition - Schedule fields
+   * @returns {object} Editable fields of the schedule
+   */
+  normalize(definition) {
+    const { cron, command, workflow } = definition;
+
+    parseCron(cron);
+    // Also rejects expressions such as "0 0 30 2 *" that never fire
+    nextRun(cron);
+
+    const hasCommand = typeof command === 'string' && command.trim() !== '';
+    if (hasCommand === Boolean(workflow)) {
+      throw new BrowseByMeError('A schedule needs either a command or a workflow', 400);
+    }
+    if (workflow) {
+      this.workflowStore.checkName(workflow);
+    }
+    if (definition.params !== undefined && (typeof definition.params !== 'object' || Array.isArray(definition.params))) {
+      throw new BrowseByMeError('Schedule params must be an object', 400);
+    }
+
+    return {
+      name: definition.name || (workflow ? `workflow ${workflow}` : command.trim()),
+      cron: cron.trim(),
+      command: hasCommand ? command.trim() : undefined,
+      workflow: workflow || undefined,
+      params: definition.params || {},
+      browserType: definition.browserType || config.browser.defaultType,
+      // Nobody watches scheduled runs, so they are headless unless asked otherwise
+      browserOptions: { headless: true, ...definition.browserOptions },
+      timeoutMs: definition.timeoutMs,
+      enabled: definition.enabled !== false
+    };
+  }
+
+  /**
+   * Find a schedule by ID
+   * @param {string} id - Schedule ID
+   * @returns {object} Schedule
+   */
+  find(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) {
+      throw new BrowseByMeError(`Schedule not found: ${id}`, 404);
+    }
+    return schedule;
+  }
+
+  /**
+   * Build the public description of a schedule, without its history
+   * @param {object} schedule - Schedule
+   * @returns {object} Schedule description
+   */
+  describe(schedule) {
+    const { history, ...description } = schedule;
+    return { ...description, running: this.running.has(schedule.id) };
+  }
+}
+
+/**
+ * Shrink a result for the run history: screenshots are dropped, the rest is kept
+ * @param {object} result - Command or workflow result
+ * @returns {object} Result safe to save as JSON
+ */
+function summarizeResult(result) {
+  return JSON.parse(JSON.stringify(result === undefined ? null : result, (key, value) => {
+    const isImage = typeof value === 'string' && value.startsWith('data:image/');
+    const isBuffer = value && value.type === 'Buffer' && Array.isArray(value.data);
+    return isImage || isBuffer ? '[screenshot]' : value;
+  }));
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,131 @@
+/**
+ * Auth - API key authentication and role checks for the REST API
+ * Users are configured as "name:role:key" entries (API_USERS). A request carries its key as
+ * "Authorization: Bearer <key>" or "X-API-Key: <key>"; event streams, which browsers open without
+ * headers, may pass it as ?apiKey=. Roles build on each other:
+ * viewer (read only) < operator (drive browsers, run macros, workflows and jobs) < admin (everything).
+ * Sessions, jobs and schedules belong to the user who started them; only they or an admin may control them.
+ */
+const crypto = require('crypto');
+const { BrowseByMeError } = require('../utils/errors');
+const config = require('../config/config');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+// Short keys are too easy to guess
+const MIN_KEY_LENGTH = 16;
+
+class Auth {
+  /**
+   * @param {object} options - Optional { enabled, users } (defaults from config); users as [{ name, role, key }]
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : config.security.authEnabled;
+    this.users = new Map(); // Map of key hash -> { name, role }
+
+    for (const user of options.users || config.security.apiUsers) {
+      this.addUser(user);
+    }
+  }
+
+  /**
+   * Add a user who can call the API
+   * @param {object} user - { name, role, key }
+   */
+  addUser({ name, role, key }) {
+    if (!name || !ROLES.includes(role)) {
+      throw new Error(`API user ${name || '(unnamed)'} needs a name and one of the roles ${ROLES.join(', ')}`);
+    }
+    if (typeof key !== 'string' || key.length < MIN_KEY_LENGTH) {
+      throw new Error(`API key of ${name} must be at least ${MIN_KEY_LENGTH} characters`);
+    }
+    this.users.set(hashKey(key), { name, role });
+  }
+
+  /**
+   * Find who is making a request and check they may use an endpoint
+   * @param {object} req - Express request
+   * @param {string} role - Least role the endpoint needs
+   * @returns {object|null} User as { name, role }, or null when authentication is off
+   */
+  authorize(req, role) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const key = this.readKey(req);
+    if (!key) {
+      throw new BrowseByMeError('An API key is required. Send it as "Authorization: Bearer <key>".', 401);
+    }
+
+    const user = this.users.get(hashKey(key));
+    if (!user) {
+      throw new BrowseByMeError('Invalid API key', 401);
+    }
+    if (!this.hasRole(user, role)) {
+      throw new BrowseByMeError(`This needs the ${role} role; ${user.name} is ${user.role === 'admin' ? 'an' : 'a'} ${user.role}`, 403);
+    }
+
+    return user;
+  }
+
+  /**
+   * Check a user may control something that belongs to someone
+   * @param {object|null} user - Caller, from authorize
+   * @param {string|null} owner - Name of the user it belongs to (null if nobody started it through the API)
+   * @param {string} what - What is being controlled, for the error message, e.g. "Session abc"
+   */
+  checkOwner(user, owner, what) {
+    if (!this.enabled || this.hasRole(user, 'admin') || owner === user.name) {
+      return;
+    }
+    throw new BrowseByMeError(`${what} belongs to another user`, 403);
+  }
+
+  /**
+   * @param {object|null} user - Caller, from authorize
+   * @returns {string|undefined} The only owner whose jobs and schedules the user may see (undefined for everyone's)
+   */
+  visibleOwner(user) {
+    return !this.enabled || this.hasRole(user, 'admin') ? undefined : user.name;
+  }
+
+  /**
+   * @param {object} user - User as { name, role }
+   * @param {string} role - Role to check for
+   * @returns {boolean} True if the user's role includes the given role
+   */
+  hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * @param {object} req - Express request
+   * @returns {string|null} API key sent with the request
+   */
+  readKey(req) {
+    const authorization = req.get('authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+      return bearer[1].trim();
+    }
+    if (req.get('x-api-key')) {
+      return req.get('x-api-key').trim();
+    }
+    // Only for reading, so a key in a URL can't be used to change anything
+    if (req.method === 'GET' && typeof req.query.apiKey === 'string') {
+      return req.query.apiKey;
+    }
+    return null;
+  }
+}
+
+/**
+ * Keys are only kept hashed, and compared by hash so lookups don't leak them through timing
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hash of the key
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+module.exports = Auth;
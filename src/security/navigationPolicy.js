@@ -0,0 +1,237 @@
+/**
+ * Navigation Policy - Decides where browsers may go
+ * Enforced by BrowserController, before navigateTo, on every request a page makes and on every hop of a redirect:
+ * - only http(s) pages (and about:blank); file:// only if allowed
+ * - denied domains never, and only allowed domains if an allowlist is set
+ * - no localhost or private, loopback and link-local addresses unless allowed, including
+ *   names that resolve to them
+ * A domain in either list also covers its subdomains. Pages may load images, scripts and the like
+ * from domains outside the allowlist; denied domains and private addresses are blocked for those too.
+ * Names are looked up before the browser looks them up itself, so a DNS server that answers
+ * differently the second time (DNS rebinding) can still get past the policy.
+ */
+const dns = require('dns').promises;
+const net = require('net');
+const { PolicyViolationError } = require('../utils/errors');
+const config = require('../config/config');
+
+// IPv4 ranges that never lead to the public internet, as [first address, prefix length]
+const PRIVATE_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+];
+
+// How long a host name's lookup is reused, so pages loading many resources don't look up each one
+const LOOKUP_CACHE_MS = 30000;
+
+class NavigationPolicy {
+  /**
+   * @param {object} options - Optional { allowedDomains, deniedDomains, allowPrivateNetworks, allowFileUrls }
+   *                           (defaults from config.security.navigation)
+   */
+  constructor(options = {}) {
+    const defaults = config.security.navigation;
+    this.allowedDomains = normalizeDomains(options.allowedDomains || defaults.allowedDomains);
+    this.deniedDomains = normalizeDomains(options.deniedDomains || defaults.deniedDomains);
+    this.allowPrivateNetworks = options.allowPrivateNetworks !== undefined ? options.allowPrivateNetworks : defaults.allowPrivateNetworks;
+    this.allowFileUrls = options.allowFileUrls !== undefined ? options.allowFileUrls : defaults.allowFileUrls;
+    this.lookups = new Map(); // Map of host name -> { addresses, expiresAt }
+  }
+
+  /**
+   * Check a URL the browser is asked to go to, resolving its host name, and refuse it if it breaks the policy
+   * @param {string} url - URL to go to
+   */
+  async enforce(url) {
+    const reason = await this.checkNavigation(url);
+    if (reason) {
+      throw new PolicyViolationError(url, reason);
+    }
+  }
+
+  /**
+   * Check a page load, including where its host name resolves to
+   * @param {string} url - URL of the page
+   * @returns {string|null} Why the page is blocked, or null if it's allowed
+   */
+  async checkNavigation(url) {
+    return this.checkResolved(url, { navigation: true });
+  }
+
+  /**
+   * Check a URL, including where its host name resolves to
+   * @param {string} url - URL the browser would load
+   * @param {object} options - { navigation } - true for pages, where the allowlist applies
+   * @returns {string|null} Why the URL is blocked, or null if it's allowed
+   */
+  async checkResolved(url, options = {}) {
+    const reason = this.check(url, options);
+    if (reason || this.allowPrivateNetworks) {
+      return reason;
+    }
+
+    const { protocol, hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!/^https?:$/.test(protocol) || net.isIP(host)) {
+      return null;
+    }
+
+    const internal = (await this.lookup(host)).find(address => isPrivateAddress(address));
+    return internal ? `${host} resolves to the private address ${internal}` : null;
+  }
+
+  /**
+   * @param {string} host - Host name
+   * @returns {Array} Addresses the name resolves to (none if it doesn't resolve: it can't reach anything,
+   *                  and the browser reports the failure)
+   */
+  async lookup(host) {
+    const cached = this.lookups.get(host);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.addresses;
+    }
+
+    let addresses;
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      addresses = [];
+    }
+
+    this.lookups.set(host, { addresses, expiresAt: Date.now() + LOOKUP_CACHE_MS });
+    return addresses;
+  }
+
+  /**
+   * Check a URL without looking anything up
+   * @param {string} url - URL the browser would load
+   * @param {object} options - { navigation } - true for pages, where the allowlist applies
+   * @returns {string|null} Why the URL is blocked, or null if it's allowed
+   */
+  check(url, options = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return `${url} is not a valid URL`;
+    }
+
+    if (parsed.protocol === 'file:') {
+      return this.allowFileUrls ? null : 'file:// URLs are not allowed';
+    }
+    // Content the browser makes up itself, such as about:blank and images inlined in a page
+    if (parsed.protocol === 'about:' || parsed.protocol === 'blob:') {
+      return null;
+    }
+    if (parsed.protocol === 'data:') {
+      return options.navigation ? 'data: URLs can\'t be opened as pages' : null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return `${parsed.protocol} URLs are not allowed`;
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (matchesDomain(host, this.deniedDomains)) {
+      return `${host} is on the denied list`;
+    }
+    if (!this.allowPrivateNetworks && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+      return `${host} is a local or private network address`;
+    }
+    if (options.navigation && this.allowedDomains.length > 0 && !matchesDomain(host, this.allowedDomains)) {
+      return `${host} is not on the allowed list`;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * @param {Array} domains - Domains such as "example.com", "*.example.com" or ".example.com"
+ * @returns {Array} Domains in lower case without wildcards
+ */
+function normalizeDomains(domains) {
+  return domains.map(domain => domain.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+}
+
+/**
+ * @param {string} host - Host name
+ * @param {Array} domains - Normalized domains
+ * @returns {boolean} True if the host is one of the domains or a subdomain of one
+ */
+function matchesDomain(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address (anything else is not an address)
+ * @returns {boolean} True for loopback, private, link-local, shared, benchmarking, multicast,
+ *                    reserved and unspecified addresses
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return PRIVATE_IPV4.some(([first, prefix]) => {
+      const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+      return ((value & mask) >>> 0) === ipv4ToNumber(first);
+    });
+  }
+
+  if (net.isIPv6(address)) {
+    const words = ipv6ToWords(address);
+    const embedded = `${words[6] >> 8}.${words[6] & 255}.${words[7] >> 8}.${words[7] & 255}`;
+
+    // IPv4 addresses written as IPv6: mapped (::ffff:127.0.0.1, which the URL parser writes as
+    // ::ffff:7f00:1), compatible (::127.0.0.1) and NAT64 (64:ff9b::, 64:ff9b:1::/48)
+    const zeroPrefix = words.slice(0, 5).every(word => word === 0);
+    if ((zeroPrefix && (words[5] === 0xffff || (words[5] === 0 && words[6] !== 0)))
+      || (words[0] === 0x64 && words[1] === 0xff9b && (words[2] === 1 || words.slice(2, 6).every(word => word === 0)))) {
+      return isPrivateAddress(embedded);
+    }
+
+    // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+    return (zeroPrefix && words[5] === 0 && words[6] === 0 && words[7] <= 1)
+      || (words[0] & 0xfe00) === 0xfc00
+      || (words[0] & 0xffc0) === 0xfe80
+      || (words[0] & 0xff00) === 0xff00;
+  }
+
+  return false;
+}
+
+/**
+ * @param {string} address - IPv6 address, possibly shortened with :: or ending in dotted IPv4
+ * @returns {Array} The address as eight 16-bit numbers
+ */
+function ipv6ToWords(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(word => parseInt(word, 16)) : []);
+  const start = parse(head);
+  const end = tail !== undefined ? parse(tail) : [];
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * @param {string} address - Dotted IPv4 address
+ * @returns {number} Address as an unsigned 32-bit number
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, part) => ((value << 8) + Number(part)) >>> 0, 0);
+}
+
+module.exports = NavigationPolicy;
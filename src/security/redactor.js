@@ -0,0 +1,220 @@
+/**
+ * Redactor - Masks secrets in logs, AI prompts, conversation history, progress events and results
+ * Secrets are values typed into password fields, values filled in from the vault, values a request
+ * marks as secret, and anything that looks like a card number or SSN. Each secret is masked as a
+ * stable, random reference such as {{secret:3f9a0c1d2b4e5f60}}, so the same value reads the same
+ * everywhere and the AI can still ask for it to be typed: BrowserController.fillField reveals the real value.
+ * A reference is only revealed in a scope (the API user a command runs for) its value was seen in,
+ * so nobody can type out someone else's secret by passing its reference along.
+ * Secrets are only remembered in memory, until the server restarts.
+ */
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { BrowseByMeError } = require('../utils/errors');
+const config = require('../config/config');
+
+// Shorter values would mask ordinary words and numbers all over the logs
+const MIN_SECRET_LENGTH = 4;
+// Most secrets remembered; the oldest are forgotten first
+const MAX_SECRETS = 1000;
+
+const REFERENCE = /\{\{\s*secret:([0-9a-f]+)\s*\}\}/g;
+// 15-19 digits, optionally grouped with spaces or dashes (13-digit millisecond timestamps aren't cards)
+const CARD_NUMBER = /\b\d(?:[ -]?\d){14,18}\b/g;
+// 123-45-6789, skipping numbers that are never issued
+const SSN = /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g;
+
+class Redactor {
+  /**
+   * @param {object} options - Optional { enabled } (defaults to config.security.redaction)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : config.security.redaction;
+    this.ids = new Map(); // Map of secret value -> reference ID
+    this.secrets = new Map(); // Map of reference ID -> { value, scopes } - the scopes that may reveal it
+    this.pattern = null; // Matches every remembered secret, longest first; rebuilt when secrets change
+    this.context = new AsyncLocalStorage(); // Scope of the work in progress (see withScope)
+  }
+
+  /**
+   * Run a function in a scope; secrets seen inside it can be revealed in that scope
+   * @param {string|null} scope - Scope, such as the name of the API user a command runs for
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of the function
+   */
+  withScope(scope, fn) {
+    return this.context.run({ scope }, fn);
+  }
+
+  /**
+   * @returns {string|null|undefined} Scope of the work in progress (null for work with no user, undefined outside withScope)
+   */
+  currentScope() {
+    const store = this.context.getStore();
+    return store ? store.scope : undefined;
+  }
+
+  /**
+   * Remember a value as secret, revealable in a scope
+   * @param {string} value - Secret value
+   * @param {string|null} scope - Scope the value was seen in (defaults to the current scope; outside any, none may reveal it)
+   * @returns {string} The reference the value is masked as (the value itself if it's too short to mask)
+   */
+  addSecret(value, scope = this.currentScope()) {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) {
+      return value;
+    }
+
+    if (!this.ids.has(value)) {
+      // Random, so a reference can't be guessed from the order secrets were seen in
+      const id = crypto.randomBytes(8).toString('hex');
+      this.ids.set(value, id);
+      this.secrets.set(id, { value, scopes: new Set() });
+      this.pattern = null;
+
+      if (this.ids.size > MAX_SECRETS) {
+        const [oldest, oldestId] = this.ids.entries().next().value;
+        this.ids.delete(oldest);
+        this.secrets.delete(oldestId);
+      }
+    }
+
+    const id = this.ids.get(value);
+    if (scope !== undefined) {
+      this.secrets.get(id).scopes.add(scope);
+    }
+    return `{{secret:${id}}}`;
+  }
+
+  /**
+   * Remember values a request marks as secret
+   * @param {Array} values - Secret values
+   * @param {string|null} scope - Scope of the request (defaults to the current scope)
+   */
+  addSecrets(values, scope = this.currentScope()) {
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+      throw new BrowseByMeError('secrets must be a list of strings', 400);
+    }
+    values.forEach(value => this.addSecret(value, scope));
+  }
+
+  /**
+   * Mask secrets in a value
+   * @param {any} value - Text, or an object or array to mask deeply (other values are returned as they are)
+   * @returns {any} Copy of the value with secrets masked
+   */
+  redact(value) {
+    if (!this.enabled) {
+      return value;
+    }
+    return this.redactValue(value, new WeakSet());
+  }
+
+  /**
+   * @param {any} value - Value to mask
+   * @param {WeakSet} seen - Objects already being masked, to stop at cycles
+   * @returns {any} Copy of the value with secrets masked
+   */
+  redactValue(value, seen) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (!value || typeof value !== 'object' || seen.has(value)) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      seen.add(value);
+      return value.map(item => this.redactValue(item, seen));
+    }
+
+    // Only plain objects; Buffers, Dates and the like are left alone
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+
+    seen.add(value);
+    const redacted = {};
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = this.redactValue(item, seen);
+    }
+    return redacted;
+  }
+
+  /**
+   * @param {string} text - Text to mask
+   * @returns {string} Text with secrets masked
+   */
+  redactText(text) {
+    // Screenshots and other data URLs are binary, and long
+    if (text.startsWith('data:')) {
+      return text;
+    }
+
+    // A secret whose value turns up in a scope was known there, so that scope may reveal it too
+    let redacted = text;
+    if (this.ids.size > 0) {
+      redacted = redacted.replace(this.secretPattern(), secret => this.addSecret(secret));
+    }
+
+    return redacted
+      .replace(CARD_NUMBER, number => (passesLuhn(number.replace(/\D/g, '')) ? this.addSecret(number) : number))
+      .replace(SSN, number => this.addSecret(number));
+  }
+
+  /**
+   * Replace secret references with the values they stand for
+   * @param {string} value - Text that may contain {{secret:id}} references
+   * @param {string|null} scope - Scope revealing them (defaults to the current scope)
+   * @returns {string} Text with the real values filled in
+   */
+  reveal(value, scope = this.currentScope()) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    return value.replace(REFERENCE, (reference, id) => {
+      // Another scope's secret reads like a missing one, so references can't be probed
+      const secret = this.secrets.get(id);
+      if (!secret || !secret.scopes.has(scope)) {
+        throw new BrowseByMeError(`Unknown secret ${reference}. Secrets are forgotten when the server restarts, and only work for the user they belong to.`, 400);
+      }
+      return secret.value;
+    });
+  }
+
+  /**
+   * @returns {RegExp} Pattern matching any remembered secret
+   */
+  secretPattern() {
+    if (!this.pattern) {
+      const secrets = [...this.ids.keys()].sort((a, b) => b.length - a.length);
+      this.pattern = new RegExp(secrets.map(secret => secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+    }
+    return this.pattern;
+  }
+}
+
+/**
+ * Check a card number's checksum, so long order numbers and IDs aren't masked as cards
+ * @param {string} digits - Card number digits
+ * @returns {boolean} True if the Luhn checksum holds
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Shared by the logger, progress events, AI services, browser controller and the API
+const redactor = new Redactor();
+
+module.exports = { redactor, Redactor };
@@ -0,0 +1,284 @@
+/**
+ * Vault - Local encrypted store for site credentials and personal details
+ * Commands refer to values as {{vault:github.password}}. The references travel through the
+ * AI, logs, history and results as they are; only BrowserController.fillField swaps in the
+ * real value, right before typing it into the page.
+ * Each entry belongs to one API user, and may be limited to the sites (origins) it's for, so
+ * one user's commands can't type another user's password, or type a password into the wrong site.
+ * The vault file is encrypted with AES-256-GCM using a key derived (scrypt) from VAULT_MASTER_KEY,
+ * and is only available when ENABLE_ENCRYPTION is true.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const { redactor } = require('./redactor');
+const config = require('../config/config');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Entry and field names, e.g. "github" and "password" in {{vault:github.password}}
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const REFERENCE = /\{\{\s*vault:([A-Za-z0-9][A-Za-z0-9_-]*)\.([A-Za-z0-9][A-Za-z0-9_-]*)\s*\}\}/g;
+
+class Vault {
+  /**
+   * @param {object} options - Optional { filePath, enabled, masterKey } (defaults from config)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(config.storage.dataDir, 'vault.json');
+    this.enabled = options.enabled !== undefined ? options.enabled : config.security.enableEncryption;
+    this.masterKey = options.masterKey !== undefined ? options.masterKey : config.security.vaultMasterKey;
+    this.saving = Promise.resolve(); // Last change in progress; changes run one at a time (see change)
+  }
+
+  /**
+   * Check whether a value refers to the vault
+   * @param {string} value - Text such as a value to type
+   * @returns {boolean} True if it contains a {{vault:entry.field}} reference
+   */
+  static hasReferences(value) {
+    return typeof value === 'string' && new RegExp(REFERENCE.source).test(value);
+  }
+
+  /**
+   * Replace vault references in a value with the values they refer to
+   * @param {string} value - Text that may contain {{vault:entry.field}} references
+   * @param {object} options - Optional { owner, origin }: the API user the value is typed for
+   *   (defaults to the redactor's current scope) and the origin of the page it's typed into
+   * @returns {string} Text with the real values filled in
+   */
+  async resolve(value, options = {}) {
+    if (!Vault.hasReferences(value)) {
+      return value;
+    }
+
+    const owner = options.owner !== undefined ? options.owner : redactor.currentScope();
+    const entries = await this.read();
+    return value.replace(REFERENCE, (reference, name, field) => {
+      // Another user's entry reads like a missing one, so entries can't be probed
+      const entry = entries[name] && (entries[name].owner || null) === (owner || null) ? entries[name] : null;
+      const fields = entry ? entry.fields : {};
+      if (typeof fields[field] !== 'string') {
+        throw new BrowseByMeError(`Vault has no value for ${name}.${field}`, 400);
+      }
+      if (entry.origins && entry.origins.length > 0 && !entry.origins.includes(options.origin)) {
+        throw new BrowseByMeError(`Vault entry ${name} can't be used on ${options.origin || 'this page'}; it's for ${entry.origins.join(', ')}`, 403);
+      }
+      // The value is masked if the page ever shows it back
+      redactor.addSecret(fields[field]);
+      return fields[field];
+    });
+  }
+
+  /**
+   * List what the vault holds, without any values
+   * @returns {Array} Entries as { name, fields, owner, origins, updatedAt }, sorted by name
+   */
+  async list() {
+    const entries = await this.read();
+    return Object.keys(entries).sort().map(name => this.describe(name, entries[name]));
+  }
+
+  /**
+   * Store an entry, replacing any entry with the same name
+   * @param {string} name - Entry name, such as a site
+   * @param {object} fields - Values by field name, e.g. { username, password }
+   * @param {object} options - Optional { owner, origins }: the API user who may use the entry (null
+   *   for anyone while authentication is off) and the origins of the sites it may be typed into (any if none)
+   * @returns {object} Entry summary as { name, fields, owner, origins, updatedAt }
+   */
+  async set(name, fields, options = {}) {
+    this.checkName(name, 'Vault entry');
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new BrowseByMeError('A vault entry needs at least one field, e.g. { "password": "..." }', 400);
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      this.checkName(field, 'Vault field');
+      if (typeof value !== 'string') {
+        throw new BrowseByMeError(`Vault field ${field} must be a string`, 400);
+      }
+    }
+
+    const origins = this.normalizeOrigins(options.origins);
+
+    const entry = await this.change(entries => {
+      entries[name] = { fields, owner: options.owner || null, origins, updatedAt: new Date().toISOString() };
+      return entries[name];
+    });
+
+    logger.info(`Vault entry saved: ${name}`);
+    return this.describe(name, entry);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} name - Entry name
+   */
+  async delete(name) {
+    this.checkName(name, 'Vault entry');
+
+    await this.change(entries => {
+      if (!entries[name]) {
+        throw new BrowseByMeError(`Vault entry not found: ${name}`, 404);
+      }
+      delete entries[name];
+    });
+    logger.info(`Vault entry deleted: ${name}`);
+  }
+
+  /**
+   * Read, change and save the vault, after any change already in progress, so two changes
+   * at once can't both start from the same file and lose one of them
+   * @param {Function} update - Changes the entries in place; its result is returned
+   * @returns {any} Result of the update
+   */
+  change(update) {
+    const changed = this.saving.then(async () => {
+      const entries = await this.read();
+      const result = update(entries);
+      await this.write(entries);
+      return result;
+    });
+
+    // A failed change doesn't hold up the next one
+    this.saving = changed.catch(() => {});
+    return changed;
+  }
+
+  /**
+   * Decrypt the vault file
+   * @returns {object} Entries by name ({} before anything is stored)
+   */
+  async read() {
+    this.checkAvailable();
+
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      logger.error(`Error reading vault: ${error.message}`);
+      throw new Error(`Failed to read vault: ${error.message}`);
+    }
+
+    try {
+      const key = await this.deriveKey(Buffer.from(stored.salt, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf-8'));
+    } catch (error) {
+      // Deliberately vague: a wrong key and a tampered file look the same
+      throw new BrowseByMeError('Could not decrypt the vault. Check VAULT_MASTER_KEY.', 500);
+    }
+  }
+
+  /**
+   * Encrypt and save the vault file, with a fresh salt and IV each time
+   * @param {object} entries - Entries by name
+   */
+  async write(entries) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(salt);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf-8'), cipher.final()]);
+
+    const stored = {
+      version: 1,
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Write then rename, so a crash mid-write can't destroy the vault; the temporary file
+      // is named uniquely, so another process saving the same vault can't write into it
+      const temporary = `${this.filePath}.${process.pid}-${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(stored, null, 2), { mode: 0o600 });
+      await fs.rename(temporary, this.filePath);
+    } catch (error) {
+      logger.error(`Error saving vault: ${error.message}`);
+      throw new Error(`Failed to save vault: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Buffer} salt - Salt stored with the vault
+   * @returns {Buffer} 256-bit key derived from the master key
+   */
+  async deriveKey(salt) {
+    return await scrypt(this.masterKey, salt, 32);
+  }
+
+  /**
+   * Refuse to use the vault unless encryption is enabled and a master key is set
+   */
+  checkAvailable() {
+    if (!this.enabled) {
+      throw new BrowseByMeError('The vault is disabled. Set ENABLE_ENCRYPTION=true and VAULT_MASTER_KEY to use it.', 503);
+    }
+    if (!this.masterKey) {
+      throw new BrowseByMeError('The vault needs a master key. Set VAULT_MASTER_KEY.', 503);
+    }
+  }
+
+  /**
+   * @param {string} name - Entry name
+   * @param {object} entry - Stored entry
+   * @returns {object} Entry summary, without any values
+   */
+  describe(name, entry) {
+    return {
+      name,
+      fields: Object.keys(entry.fields).sort(),
+      owner: entry.owner || null,
+      origins: entry.origins || [],
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  /**
+   * @param {Array} origins - Sites an entry is for, such as ["https://github.com"] (optional)
+   * @returns {Array} Their origins, e.g. "https://github.com" for "https://github.com/login"
+   */
+  normalizeOrigins(origins = []) {
+    if (!Array.isArray(origins)) {
+      throw new BrowseByMeError('origins must be a list of site addresses, e.g. ["https://github.com"]', 400);
+    }
+
+    return origins.map(origin => {
+      let url;
+      try {
+        url = new URL(origin);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new BrowseByMeError(`Not a site address: ${origin}. Use e.g. "https://github.com".`, 400);
+      }
+      return url.origin;
+    });
+  }
+
+  /**
+   * Reject names that can't be written in a {{vault:entry.field}} reference
+   * @param {string} name - Entry or field name
+   * @param {string} kind - What the name is, for the error message
+   */
+  checkName(name, kind) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new BrowseByMeError(`${kind} names must be 1-64 letters, digits, "-" or "_"`, 400);
+    }
+  }
+}
+
+module.exports = Vault;
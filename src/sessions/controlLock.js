@@ -0,0 +1,74 @@
+/**
+ * Control Lock - Marks a browser session as being driven by a person
+ * While the lock is held, AI commands pause before their next step and resume when it is released.
+ */
+const { raceCancellation } = require('../utils/cancellation');
+
+class ControlLock {
+  constructor() {
+    this.holder = null;
+    this.since = null;
+    this.waiters = []; // Resolvers for commands waiting for control to be handed back
+  }
+
+  /**
+   * Check whether a person is in control
+   * @returns {boolean} True while the lock is held
+   */
+  isHeld() {
+    return this.holder !== null;
+  }
+
+  /**
+   * Take control of the session
+   * @param {string} holder - Who is taking control (shown in session status)
+   */
+  take(holder = 'user') {
+    this.holder = holder;
+    this.since = new Date();
+  }
+
+  /**
+   * Hand control back, resuming any paused commands
+   */
+  release() {
+    this.holder = null;
+    this.since = null;
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Wait until control is handed back (returns at once if it isn't held).
+   * Stops waiting if the calling command is cancelled.
+   * @returns {Promise} Resolves when the lock is free
+   */
+  async waitUntilReleased() {
+    if (!this.isHeld()) return;
+
+    let waiter;
+    const released = new Promise(resolve => {
+      waiter = resolve;
+      this.waiters.push(resolve);
+    });
+
+    try {
+      await raceCancellation(released);
+    } finally {
+      // A cancelled command stops waiting, so it mustn't stay in line
+      this.waiters = this.waiters.filter(resolve => resolve !== waiter);
+    }
+  }
+
+  /**
+   * Describe the lock for session status
+   * @returns {object} { humanInControl, holder, since }
+   */
+  describe() {
+    return { humanInControl: this.isHeld(), holder: this.holder, since: this.since };
+  }
+}
+
+module.exports = ControlLock;
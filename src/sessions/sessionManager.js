@@ -0,0 +1,287 @@
+/**
+ * Session Manager - Owns API browser sessions, each with its own command parser
+ */
+const { logger } = require('../utils/logger');
+const { BrowseByMeError } = require('../utils/errors');
+const CommandParser = require('../commands/commandParser');
+const GoalAgent = require('../agent/goalAgent');
+
+class SessionManager {
+  constructor(browserController) {
+    this.browserController = browserController;
+    this.sessions = new Map(); // Map of sessionId -> managed session entry
+  }
+
+  /**
+   * Create a new session with its own browser and command parser
+   * @param {string} browserType - Type of browser (chromium, firefox, webkit)
+   * @param {object} options - Browser launch options
+   * @param {string|null} owner - Name of the API user the session belongs to
+   * @returns {object} Session information
+   */
+  async createSession(browserType, options = {}, owner = null) {
+    const launchResult = await this.browserController.launchBrowser(browserType, options);
+
+    // Each session gets its own parser so command state and AI history stay isolated
+    const commandParser = new CommandParser(this.browserController, {
+      sessionId: launchResult.sessionId,
+      owner
+    });
+
+    const entry = {
+      sessionId: launchResult.sessionId,
+      type: launchResult.type,
+      options: launchResult.options,
+      owner,
+      commandParser,
+      createdAt: new Date(),
+      lastCommandAt: null,
+      busy: false
+    };
+
+    this.sessions.set(entry.sessionId, entry);
+    logger.info(`Session created: ${entry.sessionId}`);
+
+    return this.describeSession(entry);
+  }
+
+  /**
+   * Check whether a managed session exists and its browser is still open
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if the session exists
+   */
+  hasSession(sessionId) {
+    this.pruneClosedSession(sessionId);
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Get a managed session entry
+   * @param {string} sessionId - Session ID
+   * @returns {object} Managed session entry
+   */
+  getSession(sessionId) {
+    if (!this.hasSession(sessionId)) {
+      throw new BrowseByMeError(`Session not found: ${sessionId}`, 404);
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * List all managed sessions
+   * @returns {Array} Array of session descriptions
+   */
+  listSessions() {
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      this.pruneClosedSession(sessionId);
+    }
+    return Array.from(this.sessions.values()).map(entry => this.describeSession(entry));
+  }
+
+  /**
+   * Execute a text command in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} command - Text command to execute
+   * @param {object} options - Execution options passed to the command parser
+   * @returns {object} Command execution result
+   */
+  async executeCommand(sessionId, command, options = {}) {
+    return await this.runExclusive(sessionId, entry => entry.commandParser.parseAndExecute(command, options));
+  }
+
+  /**
+   * Run a goal-driven agent in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} goal - What the user wants to achieve
+   * @param {object} budget - Step, time, cost and token limits for the run
+   * @param {object} options - Run options such as step screenshots
+   * @returns {object} Agent outcome
+   */
+  async runAgent(sessionId, goal, budget = {}, options = {}) {
+    return await this.runExclusive(sessionId, entry => new GoalAgent(entry.commandParser, budget, options).run(goal));
+  }
+
+  /**
+   * Cancel the command or agent run in progress in a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if something was running and has been cancelled
+   */
+  cancel(sessionId) {
+    const entry = this.getSession(sessionId);
+    return entry.commandParser.cancel() > 0;
+  }
+
+  /**
+   * Replay a saved macro in a session
+   * @param {string} sessionId - Session ID
+   * @param {object} macro - Macro as { name, actions }
+   * @param {object} options - Execution options (see CommandParser.replayMacro)
+   * @returns {object} Replay result
+   */
+  async replayMacro(sessionId, macro, options = {}) {
+    return await this.runExclusive(sessionId, entry => entry.commandParser.replayMacro(macro, options));
+  }
+
+  /**
+   * Run a workflow in a session
+   * @param {string} sessionId - Session ID
+   * @param {object} workflow - Workflow as { name, params, steps }
+   * @param {object} params - Values for the workflow's variables
+   * @param {object} options - Execution options (see CommandParser.runWorkflow)
+   * @returns {object} Workflow result
+   */
+  async runWorkflow(sessionId, workflow, params = {}, options = {}) {
+    return await this.runExclusive(sessionId, entry => entry.commandParser.runWorkflow(workflow, params, options));
+  }
+
+  /**
+   * Start recording a session's actions into a macro
+   * @param {string} sessionId - Session ID
+   * @param {string} name - Macro name
+   * @param {string} description - What the macro does
+   * @returns {object} Recording status
+   */
+  startRecording(sessionId, name, description) {
+    return this.getSession(sessionId).commandParser.startRecording(name, description);
+  }
+
+  /**
+   * Stop recording a session's actions
+   * @param {string} sessionId - Session ID
+   * @returns {object} The recording as { name, description, actions, startedAt }
+   */
+  stopRecording(sessionId) {
+    return this.getSession(sessionId).commandParser.stopRecording();
+  }
+
+  /**
+   * Get the actions a session has run since its browser was opened
+   * @param {string} sessionId - Session ID
+   * @returns {Array} Resolved actions, oldest first
+   */
+  getActionLog(sessionId) {
+    return this.getSession(sessionId).commandParser.actionLog.slice();
+  }
+
+  /**
+   * Hand a session to a person, pausing its AI commands, or hand it back
+   * @param {string} sessionId - Session ID
+   * @param {boolean} human - True to take control, false to hand it back
+   * @param {string} holder - Who is taking control
+   * @returns {object} Control status
+   */
+  setControl(sessionId, human, holder) {
+    const entry = this.getSession(sessionId);
+    return human ? entry.commandParser.takeControl(holder) : entry.commandParser.releaseControl();
+  }
+
+  /**
+   * Forward a person's input to a session's page. Allowed while the session is busy,
+   * since its AI command is paused while a person is in control.
+   * @param {string} sessionId - Session ID
+   * @param {object} input - Input event (see BrowserController.sendInput)
+   * @returns {object} Input result
+   */
+  async sendInput(sessionId, input) {
+    const entry = this.getSession(sessionId);
+    return await entry.commandParser.sendInput(input);
+  }
+
+  /**
+   * Run work in a session, marking it busy while it runs
+   * @param {string} sessionId - Session ID
+   * @param {Function} work - Async function given the managed session entry
+   * @returns {any} Result of the work
+   */
+  async runExclusive(sessionId, work) {
+    const entry = this.getSession(sessionId);
+
+    // Commands in the same session share one page, so they must not overlap. Routes check this
+    // first, but two requests can both pass that check before either starts
+    if (entry.busy) {
+      throw new BrowseByMeError(`Session ${sessionId} is busy with another command`, 409);
+    }
+
+    entry.busy = true;
+    entry.lastCommandAt = new Date();
+
+    try {
+      return await work(entry);
+    } finally {
+      entry.busy = false;
+      // A "close" command may have shut the browser down
+      this.pruneClosedSession(sessionId);
+    }
+  }
+
+  /**
+   * Close a session and its browser
+   * @param {string} sessionId - Session ID
+   * @returns {object} Close result
+   */
+  async closeSession(sessionId) {
+    const entry = this.getSession(sessionId);
+
+    this.sessions.delete(sessionId);
+    entry.commandParser.llmService.clearHistory();
+
+    if (this.browserController.browsers.has(sessionId)) {
+      await this.browserController.closeBrowser(sessionId);
+    }
+
+    logger.info(`Session closed: ${sessionId}`);
+    return { success: true, sessionId };
+  }
+
+  /**
+   * Close all managed sessions
+   */
+  async closeAll() {
+    const promises = Array.from(this.sessions.keys()).map(sessionId =>
+      this.closeSession(sessionId).catch(error => {
+        logger.error(`Failed to close session ${sessionId}: ${error.message}`);
+      })
+    );
+    await Promise.all(promises);
+  }
+
+  /**
+   * Drop a session entry whose browser is no longer open
+   * @param {string} sessionId - Session ID
+   */
+  pruneClosedSession(sessionId) {
+    if (this.sessions.has(sessionId) && !this.browserController.browsers.has(sessionId)) {
+      this.sessions.delete(sessionId);
+      logger.info(`Session removed after browser closed: ${sessionId}`);
+    }
+  }
+
+  /**
+   * Build the public description of a session
+   * @param {object} entry - Managed session entry
+   * @returns {object} Session description
+   */
+  describeSession(entry) {
+    let url = null;
+    try {
+      url = this.browserController.getSession(entry.sessionId).page.url();
+    } catch (error) {
+      // Browser may be closing - report without a URL
+    }
+
+    return {
+      sessionId: entry.sessionId,
+      type: entry.type,
+      options: entry.options,
+      owner: entry.owner,
+      url,
+      busy: entry.busy,
+      control: entry.commandParser.controlLock.describe(),
+      recording: entry.commandParser.recording ? entry.commandParser.recording.name : null,
+      createdAt: entry.createdAt,
+      lastCommandAt: entry.lastCommandAt
+    };
+  }
+}
+
+module.exports = SessionManager;
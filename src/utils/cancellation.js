@@ -0,0 +1,106 @@
+/**
+ * Cancellation helpers
+ * Commands run with an abort signal and deadline kept in their run context (see progressEvents),
+ * so code anywhere below the parser can stop waiting or refuse to act once a command is cancelled.
+ */
+const { progressEvents } = require('./progressEvents');
+const { CommandCancelledError } = require('./errors');
+
+/**
+ * Get the abort signal of the run the caller is executing in
+ * @returns {AbortSignal|null} Signal, or null outside a cancellable run
+ */
+function currentSignal() {
+  const run = progressEvents.currentRun();
+  return run && run.signal ? run.signal : null;
+}
+
+/**
+ * Get the error a signal was aborted with
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {CommandCancelledError} Cancellation error
+ */
+function cancellationError(signal) {
+  return signal.reason instanceof CommandCancelledError ? signal.reason : new CommandCancelledError('Command cancelled');
+}
+
+/**
+ * Throw if the current run has been cancelled
+ * @param {AbortSignal} signal - Signal to check (defaults to the current run's)
+ */
+function throwIfCancelled(signal = currentSignal()) {
+  if (signal && signal.aborted) {
+    throw cancellationError(signal);
+  }
+}
+
+/**
+ * Settle with a promise, or reject as soon as the run is cancelled.
+ * The promise itself keeps running; callers must not act on it after cancellation.
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Signal to watch (defaults to the current run's)
+ * @returns {Promise} Promise settling with the work or the cancellation
+ */
+function raceCancellation(promise, signal = currentSignal()) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(cancellationError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancellationError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Wait for a number of milliseconds, stopping early if the run is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal to watch (defaults to the current run's)
+ * @returns {Promise} Resolves after the delay, rejects on cancellation
+ */
+function cancellableDelay(ms, signal = currentSignal()) {
+  let timer;
+  const delay = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+
+  return raceCancellation(delay, signal).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Limit a timeout to the time left before the current run's deadline
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {number} The timeout, or the time left if that is shorter (at least 1ms)
+ */
+function timeLeft(timeout) {
+  const run = progressEvents.currentRun();
+
+  if (!run || !run.deadline) {
+    return timeout;
+  }
+  return Math.max(Math.min(timeout, run.deadline - Date.now()), 1);
+}
+
+module.exports = {
+  currentSignal,
+  cancellationError,
+  throwIfCancelled,
+  raceCancellation,
+  cancellableDelay,
+  timeLeft
+};
@@ -0,0 +1,113 @@
+/**
+ * Error types shared across BrowseByMe
+ * Each carries the HTTP status the API should answer with
+ */
+
+class BrowseByMeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status for API responses
+   */
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+
+  /**
+   * Build the JSON body returned by the API
+   * @returns {object} Response body
+   */
+  toJSON() {
+    return { error: this.message };
+  }
+}
+
+class ActionValidationError extends BrowseByMeError {
+  /**
+   * @param {Array} errors - Validation errors as { index, path, code, message }
+   * @param {object|Array} plan - The action or plan that failed validation
+   */
+  constructor(errors, plan) {
+    const summary = errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    super(`Invalid action plan - ${summary}`, 422);
+    this.errors = errors;
+    this.plan = plan;
+  }
+
+  /**
+   * Build the JSON body returned by the API
+   * @returns {object} Response body including each validation error
+   */
+  toJSON() {
+    return { error: this.message, validationErrors: this.errors, plan: this.plan };
+  }
+}
+
+class PlanExecutionError extends BrowseByMeError {
+  /**
+   * @param {string} message - Why execution stopped
+   * @param {Array} trace - Every step attempt and re-plan made before stopping
+   */
+  constructor(message, trace) {
+    super(message, 500);
+    this.trace = trace;
+  }
+
+  /**
+   * Build the JSON body returned by the API
+   * @returns {object} Response body including the execution trace
+   */
+  toJSON() {
+    return { error: this.message, trace: this.trace };
+  }
+}
+
+class CommandCancelledError extends BrowseByMeError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} reason - "cancelled" (by a user) or "timeout" (the command deadline passed)
+   * @param {Array} trace - Steps run before the command stopped, if it was running a plan
+   */
+  constructor(message, reason = 'cancelled', trace = null) {
+    super(message, reason === 'timeout' ? 504 : 409);
+    this.reason = reason;
+    this.trace = trace;
+  }
+
+  /**
+   * Build the JSON body returned by the API
+   * @returns {object} Response body with the reason and any trace
+   */
+  toJSON() {
+    return this.trace ? { error: this.message, reason: this.reason, trace: this.trace } : { error: this.message, reason: this.reason };
+  }
+}
+
+class PolicyViolationError extends BrowseByMeError {
+  /**
+   * @param {string} url - URL the browser was stopped from loading
+   * @param {string} reason - Which rule it broke
+   */
+  constructor(url, reason) {
+    super(`Navigation to ${url} blocked by policy: ${reason}`, 403);
+    this.url = url;
+    this.reason = reason;
+  }
+
+  /**
+   * Build the JSON body returned by the API
+   * @returns {object} Response body with the blocked URL and the reason
+   */
+  toJSON() {
+    return { error: this.message, policyViolation: { url: this.url, reason: this.reason } };
+  }
+}
+
+module.exports = {
+  BrowseByMeError,
+  ActionValidationError,
+  PlanExecutionError,
+  CommandCancelledError,
+  PolicyViolationError
+};
@@ -0,0 +1,35 @@
+/**
+ * LLM provider registry
+ * Creates the language model service selected in config
+ */
+const config = require('../config/config');
+const GeminiService = require('./geminiService');
+const OpenAIService = require('./openAIService');
+const LocalLLMService = require('./localLLMService');
+const MockLLMService = require('./mockLLMService');
+
+/**
+ * Create a language model service
+ * @param {string} provider - Provider name (gemini, openai, local, mock)
+ * @param {object} options - Provider-specific options
+ * @returns {LLMService} Language model service
+ */
+function createLLMService(provider = config.llm.provider, options = {}) {
+  switch ((provider || 'gemini').toLowerCase()) {
+    case 'gemini':
+      return new GeminiService(options.apiKey !== undefined ? options.apiKey : config.llm.gemini.apiKey, options);
+    case 'openai':
+      return new OpenAIService(options);
+    case 'local':
+    case 'ollama':
+      return new LocalLLMService(options);
+    case 'mock':
+      return new MockLLMService(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  createLLMService
+};
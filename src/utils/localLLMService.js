@@ -0,0 +1,79 @@
+/**
+ * Local AI Service
+ * Runs commands against a locally hosted model through an Ollama-style /api/chat endpoint
+ */
+const { logger } = require('./logger');
+const config = require('../config/config');
+const LLMService = require('./llmService');
+
+class LocalLLMService extends LLMService {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.baseUrl - Server URL, e.g. http://localhost:11434
+   * @param {string} options.model - Model name, e.g. llama3
+   */
+  constructor(options = {}) {
+    const providerConfig = config.llm.local;
+
+    super({
+      name: 'local',
+      model: options.model || providerConfig.model,
+      ...options
+    });
+
+    this.baseUrl = (options.baseUrl || providerConfig.baseUrl).replace(/\/+$/, '');
+    this.requestTimeout = options.requestTimeout || config.llm.requestTimeout;
+
+    logger.info(`Local AI service initialized (${this.baseUrl}, model: ${this.model})`);
+  }
+
+  /**
+   * Check whether the provider can be called
+   * @returns {boolean} True if an endpoint and model are configured
+   */
+  isAvailable() {
+    return Boolean(this.baseUrl && this.model);
+  }
+
+  /**
+   * Send a prompt to the local model server
+   * @param {string} prompt - Prompt text
+   * @param {Array} history - Prior conversation turns as { role, content }
+   * @returns {string} Raw model response text
+   */
+  async generateResponse(prompt, history = []) {
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [...history, { role: 'user', content: prompt }],
+        stream: false,
+        options: {
+          temperature: this.temperature,
+          num_predict: this.maxOutputTokens
+        }
+      }),
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Local model request failed with status ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.message || typeof data.message.content !== 'string') {
+      throw new Error('Local model response did not contain a message');
+    }
+
+    if (data.prompt_eval_count !== undefined || data.eval_count !== undefined) {
+      this.lastUsage = { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+    }
+
+    return data.message.content;
+  }
+}
+
+module.exports = LocalLLMService;
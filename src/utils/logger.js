@@ -1,7 +1,10 @@
 /**
  * Logger utility for BrowseByMe
  */
+const { Writable } = require('stream');
 const winston = require('winston');
+const { progressEvents } = require('./progressEvents');
+const { redactor } = require('../security/redactor');
 
 // Define the custom format
 const logFormat = winston.format.combine(
@@ -11,11 +14,44 @@ const logFormat = winston.format.combine(
   )
 );
 
+// Tag entries logged while a command runs with that run, so they can be streamed as progress
+const runContext = winston.format(info => {
+  const run = progressEvents.currentRun();
+  if (run) {
+    info.runId = run.runId;
+    info.sessionId = run.sessionId || null;
+  }
+  return info;
+});
+
+// Mask secrets before anything is written or streamed
+const redaction = winston.format(info => {
+  info.message = redactor.redact(info.message);
+  return info;
+});
+
+// Forward tagged entries to the progress event bus
+const progressStream = new Writable({
+  objectMode: true,
+  write(info, encoding, callback) {
+    if (info.runId) {
+      progressEvents.publish('log', {
+        runId: info.runId,
+        sessionId: info.sessionId,
+        level: info.level,
+        message: info.message
+      });
+    }
+    callback();
+  }
+});
+
 // Create the logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
-  format: logFormat,
+  format: winston.format.combine(redaction(), runContext(), logFormat),
   transports: [
+    new winston.transports.Stream({ stream: progressStream }),
     new winston.transports.Console(),
     new winston.transports.File({ 
       filename: 'logs/error.log', 
@@ -0,0 +1,314 @@
+/**
+ * Mock AI Service
+ * Deterministic, fixture-driven provider for tests and offline demos.
+ * Maps command text (exact or regex) to canned action JSON and records every prompt it receives.
+ */
+const fs = require('fs');
+const { logger } = require('./logger');
+const config = require('../config/config');
+const LLMService = require('./llmService');
+
+class MockLLMService extends LLMService {
+  /**
+   * @param {object} options - Provider options
+   * @param {Array} options.fixtures - Fixtures as { match, response, responses, raw, malformed, error, kind }
+   * @param {string} options.fixturesPath - JSON file to load fixtures from
+   * @param {object|Array|string} options.defaultResponse - Response when no fixture matches
+   */
+  constructor(options = {}) {
+    super({ name: 'mock', model: 'mock', ...options });
+
+    this.fixtures = [];
+    this.defaultResponse = options.defaultResponse;
+
+    // Every call made to the provider, in order
+    this.prompts = [];
+    this.currentCall = null;
+
+    const fixturesPath = options.fixturesPath !== undefined ? options.fixturesPath : config.llm.mock.fixturesPath;
+    if (fixturesPath) {
+      this.loadFixtures(fixturesPath);
+    }
+
+    for (const fixture of options.fixtures || []) {
+      this.addFixture(fixture.match, fixture.response, fixture);
+    }
+
+    logger.info(`Mock AI service initialized with ${this.fixtures.length} fixtures`);
+  }
+
+  /**
+   * The mock provider is always available
+   * @returns {boolean} True
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Load fixtures from a JSON file
+   * @param {string} fixturesPath - Path to a JSON array of fixtures
+   */
+  loadFixtures(fixturesPath) {
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf-8'));
+
+    if (!Array.isArray(fixtures)) {
+      throw new Error(`Mock fixtures file must contain an array: ${fixturesPath}`);
+    }
+
+    for (const fixture of fixtures) {
+      this.addFixture(fixture.match, fixture.response, fixture);
+    }
+  }
+
+  /**
+   * Register a fixture
+   * @param {string|RegExp|object} match - Exact command text, a RegExp, or { pattern, flags }
+   * @param {object|Array} response - Action JSON to return; "$1"-style captures are filled in for regex matches
+   * @param {object} options - Fixture options
+   * @param {string} options.raw - Raw response text, returned verbatim instead of response
+   * @param {boolean} options.malformed - Return the response as broken JSON to exercise repair
+   * @param {string} options.error - Throw an error with this message instead of responding
+   * @param {string} options.kind - Kind of request answered: "command" (default), "correction", "replan" or "agent"
+   * @param {Array} options.responses - Responses returned in turn on each match (the last one repeats), instead of response
+   * @returns {MockLLMService} This service, for chaining
+   */
+  addFixture(match, response, options = {}) {
+    let matcher = match;
+
+    if (match && typeof match === 'object' && !(match instanceof RegExp)) {
+      matcher = new RegExp(match.pattern, match.flags || '');
+    }
+
+    if (!(matcher instanceof RegExp) && typeof matcher !== 'string') {
+      throw new Error('Mock fixture needs a string or regex "match"');
+    }
+
+    this.fixtures.push({
+      matcher,
+      response,
+      responses: Array.isArray(options.responses) ? options.responses : null,
+      calls: 0,
+      raw: options.raw,
+      malformed: Boolean(options.malformed),
+      error: options.error,
+      kind: options.kind || 'command'
+    });
+
+    return this;
+  }
+
+  /**
+   * Process a command, recording the call before delegating to the shared pipeline
+   * @param {string} userCommand - User's text command
+   * @param {object} currentState - Current browser state
+   * @returns {object} Structured command object
+   */
+  async processCommand(userCommand, currentState = {}) {
+    this.recordCall('command', userCommand, currentState);
+    return await super.processCommand(userCommand, currentState);
+  }
+
+  /**
+   * Ask for a corrected plan, recording the call (answered by "correction" fixtures)
+   * @param {string} userCommand - User's text command
+   * @param {object|Array} invalidPlan - Plan that failed validation
+   * @param {Array} errors - Validation errors
+   * @param {object} currentState - Current browser state
+   * @returns {object|Array|null} Corrected plan
+   */
+  async correctPlan(userCommand, invalidPlan, errors, currentState = {}) {
+    this.recordCall('correction', userCommand, currentState, { invalidPlan, errors });
+    return await super.correctPlan(userCommand, invalidPlan, errors, currentState);
+  }
+
+  /**
+   * Ask for a revised plan after a failed step, recording the call (answered by "replan" fixtures)
+   * @param {string} userCommand - User's text command
+   * @param {object} progress - Completed, failed and remaining steps plus the error
+   * @param {object} currentState - Browser state after the failure
+   * @returns {object|Array|null} Revised plan
+   */
+  async replan(userCommand, progress, currentState = {}) {
+    this.recordCall('replan', userCommand, currentState, { progress });
+    return await super.replan(userCommand, progress, currentState);
+  }
+
+  /**
+   * Ask for the next agent action, recording the call (answered by "agent" fixtures matching the goal)
+   * @param {string} goal - What the user wants to achieve
+   * @param {Array} steps - Steps taken so far
+   * @param {object} observation - Current browser state plus page text
+   * @returns {object|null} Next action
+   */
+  async decideNextAction(goal, steps, observation = {}) {
+    this.recordCall('agent', goal, observation, { steps: [...steps] });
+    return await super.decideNextAction(goal, steps, observation);
+  }
+
+  /**
+   * Record a call to the provider
+   * @param {string} kind - Kind of request (command, correction, replan, agent)
+   * @param {string} command - User's text command
+   * @param {object} currentState - Current browser state
+   * @param {object} details - Extra details for this kind of request
+   */
+  recordCall(kind, command, currentState = {}, details = {}) {
+    this.currentCall = {
+      kind,
+      command,
+      state: currentState,
+      stateInfo: this.formatStateInfo(currentState),
+      domSnapshot: currentState.domSnapshot || null,
+      ...details,
+      prompt: null,
+      history: null,
+      response: null
+    };
+    this.prompts.push(this.currentCall);
+  }
+
+  /**
+   * Answer a prompt from the fixtures
+   * @param {string} prompt - Prompt text
+   * @param {Array} history - Prior conversation turns
+   * @returns {string} Raw response text
+   */
+  async generateResponse(prompt, history = []) {
+    const call = this.currentCall || { kind: 'command', command: prompt };
+    call.prompt = prompt;
+    call.history = history;
+
+    const { fixture, captures } = this.findFixture(call.command, call.kind);
+
+    if (fixture && fixture.error) {
+      throw new Error(fixture.error);
+    }
+
+    let responseText;
+    if (!fixture) {
+      // Unmatched commands get text the JSON repair can't use, unless a default is set
+      responseText = this.defaultResponse !== undefined
+        ? this.renderResponse(this.defaultResponse)
+        : `No mock fixture for command: ${call.command}`;
+    } else if (fixture.raw !== undefined) {
+      responseText = fixture.raw;
+    } else {
+      const response = this.fillCaptures(this.nextResponse(fixture), captures);
+      responseText = fixture.malformed ? this.renderMalformed(response) : this.renderResponse(response);
+    }
+
+    call.response = responseText;
+    return responseText;
+  }
+
+  /**
+   * Find the first fixture matching a command
+   * @param {string} command - Command text
+   * @param {string} kind - Kind of request the fixture must answer
+   * @returns {object} Matching fixture (or null) and regex captures
+   */
+  findFixture(command, kind = 'command') {
+    const text = (command || '').trim();
+
+    for (const fixture of this.fixtures) {
+      if (fixture.kind !== kind) continue;
+
+      if (fixture.matcher instanceof RegExp) {
+        const match = text.match(fixture.matcher);
+        if (match) {
+          return { fixture, captures: match };
+        }
+      } else if (fixture.matcher.trim().toLowerCase() === text.toLowerCase()) {
+        return { fixture, captures: [] };
+      }
+    }
+
+    return { fixture: null, captures: [] };
+  }
+
+  /**
+   * Get a fixture's response for this match, stepping through its sequence if it has one
+   * @param {object} fixture - Matched fixture
+   * @returns {any} Response value
+   */
+  nextResponse(fixture) {
+    if (!fixture.responses) {
+      return fixture.response;
+    }
+
+    const index = Math.min(fixture.calls++, fixture.responses.length - 1);
+    return fixture.responses[index];
+  }
+
+  /**
+   * Replace "$1"-style placeholders in string values with regex captures
+   * @param {any} value - Response value
+   * @param {Array} captures - Regex match array
+   * @returns {any} Value with captures filled in
+   */
+  fillCaptures(value, captures) {
+    if (typeof value === 'string') {
+      return value.replace(/\$(\d+)/g, (placeholder, index) =>
+        captures[index] !== undefined ? captures[index] : placeholder
+      );
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.fillCaptures(item, captures));
+    }
+
+    if (value && typeof value === 'object') {
+      const filled = {};
+      for (const [key, item] of Object.entries(value)) {
+        filled[key] = this.fillCaptures(item, captures);
+      }
+      return filled;
+    }
+
+    return value;
+  }
+
+  /**
+   * Render a response as the model would send it
+   * @param {object|Array|string} response - Response value
+   * @returns {string} Response text
+   */
+  renderResponse(response) {
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * Render a response as JSON with the kinds of mistakes models make:
+   * a markdown fence, chatter around it, single quotes and trailing commas
+   * @param {object|Array} response - Response value
+   * @returns {string} Malformed response text
+   */
+  renderMalformed(response) {
+    const json = JSON.stringify(response, null, 2)
+      .replace(/"([^"\n]*)"/g, "'$1'")
+      .replace(/(\n\s*)(\}|\])/g, ',$1$2');
+
+    return `Sure! Here is the plan:\n\`\`\`json\n${json}\n\`\`\`\nLet me know if you need anything else.`;
+  }
+
+  /**
+   * Get the most recent recorded call
+   * @returns {object|null} Last call with kind, command, state, stateInfo, domSnapshot, prompt and response
+   */
+  getLastPrompt() {
+    return this.prompts.length > 0 ? this.prompts[this.prompts.length - 1] : null;
+  }
+
+  /**
+   * Clear recorded prompts and conversation history
+   */
+  reset() {
+    this.prompts = [];
+    this.currentCall = null;
+    this.fixtures.forEach(fixture => { fixture.calls = 0; });
+    this.clearHistory();
+  }
+}
+
+module.exports = MockLLMService;
@@ -0,0 +1,86 @@
+/**
+ * OpenAI-compatible AI Service
+ * Talks to any server implementing the OpenAI chat completions API
+ * (OpenAI, Azure-style gateways, vLLM, llama.cpp server, LM Studio, ...)
+ */
+const { logger } = require('./logger');
+const config = require('../config/config');
+const LLMService = require('./llmService');
+
+class OpenAIService extends LLMService {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - API key (optional for local servers)
+   * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} options.model - Model name
+   */
+  constructor(options = {}) {
+    const providerConfig = config.llm.openai;
+
+    super({
+      name: 'openai',
+      model: options.model || providerConfig.model,
+      ...options
+    });
+
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : providerConfig.apiKey;
+    this.baseUrl = (options.baseUrl || providerConfig.baseUrl).replace(/\/+$/, '');
+    this.requestTimeout = options.requestTimeout || config.llm.requestTimeout;
+
+    logger.info(`OpenAI-compatible AI service initialized (${this.baseUrl}, model: ${this.model})`);
+  }
+
+  /**
+   * Check whether the provider can be called
+   * @returns {boolean} True if an API key is set or a custom endpoint is used
+   */
+  isAvailable() {
+    // Self-hosted OpenAI-compatible servers usually don't need a key
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+  }
+
+  /**
+   * Send a prompt to the chat completions endpoint
+   * @param {string} prompt - Prompt text
+   * @param {Array} history - Prior conversation turns as { role, content }
+   * @returns {string} Raw model response text
+   */
+  async generateResponse(prompt, history = []) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [...history, { role: 'user', content: prompt }],
+        temperature: this.temperature,
+        max_tokens: this.maxOutputTokens
+      }),
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Chat completions request failed with status ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('Chat completions response did not contain a message');
+    }
+
+    if (data.usage) {
+      this.lastUsage = { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens };
+    }
+
+    return content;
+  }
+}
+
+module.exports = OpenAIService;
@@ -0,0 +1,101 @@
+/**
+ * Progress Events - In-process event bus for live command progress
+ * Every event is stamped with the run (one command or agent goal) and session it belongs to,
+ * so streams can follow a single session. The current run is tracked with AsyncLocalStorage,
+ * which lets deep code such as BrowserController publish events without passing IDs around.
+ */
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { redactor } = require('../security/redactor');
+
+class ProgressEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.runs = new AsyncLocalStorage();
+    this.active = new Map(); // Map of runId -> context of the runs in progress
+
+    // One listener per open stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Run a function as a tracked run; events published inside it carry its IDs
+   * @param {object} context - Run context such as { sessionId, command, owner }; a runId is generated unless given
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<any>} Result of the function
+   */
+  runWith(context, fn) {
+    const run = { ...context, runId: context.runId || uuidv4() };
+    this.active.set(run.runId, run);
+
+    return this.runs.run(run, async () => {
+      try {
+        return await fn();
+      } finally {
+        // A client may reuse a runId; only the latest run under it is kept
+        if (this.active.get(run.runId) === run) {
+          this.active.delete(run.runId);
+        }
+      }
+    });
+  }
+
+  /**
+   * Find a run in progress
+   * @param {string} runId - Run ID
+   * @returns {object|null} Run context, or null if no run with that ID is in progress
+   */
+  findRun(runId) {
+    return this.active.get(runId) || null;
+  }
+
+  /**
+   * Get the run the caller is executing in
+   * @returns {object|null} Run context with runId and sessionId, or null outside a run
+   */
+  currentRun() {
+    return this.runs.getStore() || null;
+  }
+
+  /**
+   * Listen for progress events matching a filter
+   * @param {object} filter - Only pass events with this { sessionId, runId }, and with an owner only
+   *   those of runs belonging to that API user (any of them may be omitted)
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(filter, listener) {
+    const onProgress = (event, owner) => {
+      if (filter.sessionId && event.sessionId !== filter.sessionId) return;
+      if (filter.runId && event.runId !== filter.runId) return;
+      if (filter.owner !== undefined && owner !== filter.owner) return;
+      listener(event);
+    };
+
+    this.on('progress', onProgress);
+    return () => this.off('progress', onProgress);
+  }
+
+  /**
+   * Publish a progress event
+   * @param {string} type - Event type such as "step:start" or "browser:finish"
+   * @param {object} data - Event details (a sessionId here overrides the run's); secrets in them are masked
+   */
+  publish(type, data = {}) {
+    const run = this.currentRun();
+
+    this.emit('progress', {
+      type,
+      time: new Date().toISOString(),
+      runId: run ? run.runId : null,
+      sessionId: run ? run.sessionId || null : null,
+      ...redactor.redact(data)
+    }, run ? run.owner : undefined);
+  }
+}
+
+// Shared by the parser, browser controller, logger and the streaming API
+const progressEvents = new ProgressEvents();
+
+module.exports = { progressEvents, ProgressEvents };
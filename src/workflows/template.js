@@ -0,0 +1,99 @@
+/**
+ * Workflow templates - Fills {{variables}} in workflow steps from run-time parameters
+ * Only plain names (letters, digits, "_", "-" and ".") are variables, so other placeholders
+ * such as {{vault:github.password}} pass through untouched.
+ */
+const { BrowseByMeError } = require('../utils/errors');
+
+const VARIABLE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const WHOLE_VARIABLE = /^\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}$/;
+
+/**
+ * List the variables used anywhere in a value
+ * @param {any} value - String, array or object to search
+ * @param {Set} found - Names found so far (when recursing)
+ * @returns {Array} Variable names, each listed once
+ */
+function findVariables(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(VARIABLE)) {
+      found.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => findVariables(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findVariables(item, found));
+  }
+
+  return Array.from(found);
+}
+
+/**
+ * Replace variables in a value with parameters. A string that is just one variable
+ * takes the parameter as it is, so numbers and booleans keep their type.
+ * @param {any} value - String, array or object to fill in
+ * @param {object} params - Parameter values by name
+ * @returns {any} Copy of the value with variables replaced
+ */
+function renderTemplate(value, params) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_VARIABLE);
+    if (whole) {
+      return lookup(params, whole[1]);
+    }
+    return value.replace(VARIABLE, (match, name) => String(lookup(params, name)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, params));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, params)]));
+  }
+
+  return value;
+}
+
+/**
+ * Work out the parameters for one run of a workflow
+ * @param {object} workflow - Workflow as { name, params, steps }
+ * @param {object} values - Parameters supplied for the run
+ * @param {Array} provided - Variables the workflow defines itself, such as forEach items
+ * @returns {object} Every parameter the steps use, with declared defaults applied
+ */
+function resolveParams(workflow, values = {}, provided = []) {
+  const declared = workflow.params || {};
+  const params = {};
+  const missing = [];
+
+  for (const name of findVariables(workflow.steps)) {
+    const given = values[name] !== undefined && values[name] !== null ? values[name] : (declared[name] || {}).default;
+    if (given !== undefined && given !== null) {
+      params[name] = given;
+    } else if (!provided.includes(name)) {
+      missing.push(name);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new BrowseByMeError(`Missing workflow parameters: ${missing.join(', ')}`, 400);
+  }
+
+  return params;
+}
+
+/**
+ * Get a parameter by name
+ * @param {object} params - Parameter values by name
+ * @param {string} name - Variable name
+ * @returns {any} Parameter value
+ */
+function lookup(params, name) {
+  if (!Object.prototype.hasOwnProperty.call(params, name) || params[name] === undefined || params[name] === null) {
+    throw new BrowseByMeError(`Missing workflow parameter: ${name}`, 400);
+  }
+  return params[name];
+}
+
+module.exports = { findVariables, renderTemplate, resolveParams };
@@ -0,0 +1,404 @@
+/**
+ * Workflow Runner - Runs workflow steps, including control flow, without the language model
+ * Action steps run through CommandParser.runStep. Control-flow steps are:
+ *   { if: condition, then: [...], else: [...] }
+ *   { forEach: selector, as: "row", steps: [...] } - {{row}} is a CSS selector for the current match, {{index}} its position from 0
+ *   { repeat: [...], until: condition, max: 10 }
+ *   { assert: condition, message: "..." }
+ * Conditions are { exists: selector }, { missing: selector }, { text, selector }, { url: pattern },
+ * { count: selector, equals, min, max } or { not: condition }.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { progressEvents } = require('../utils/progressEvents');
+const { currentSignal, cancellationError, cancellableDelay } = require('../utils/cancellation');
+const { resolveActionName, validateAction } = require('../commands/actionSchema');
+const { BrowseByMeError, ActionValidationError, PlanExecutionError, CommandCancelledError } = require('../utils/errors');
+const { findVariables, renderTemplate } = require('./template');
+
+const CONTROL_STEPS = ['if', 'forEach', 'repeat', 'assert'];
+const CONDITIONS = ['exists', 'missing', 'text', 'url', 'count', 'not'];
+const DEFAULT_REPEAT_MAX = 10;
+const DEFAULT_FOREACH_MAX = 100;
+
+/**
+ * Get what kind of step a workflow step is
+ * @param {object} step - Workflow step
+ * @returns {string} "if", "forEach", "repeat", "assert" or "action"
+ */
+function stepKind(step) {
+  return CONTROL_STEPS.find(key => step[key] !== undefined) || 'action';
+}
+
+/**
+ * Check the structure of workflow steps. Actions without variables are fully validated;
+ * actions with variables are validated when they run, once the variables are filled in.
+ * @param {Array} steps - Workflow steps
+ * @param {string} path - Path of the steps, e.g. "3.then"
+ * @returns {Array} Errors as { path, message }
+ */
+function validateWorkflowSteps(steps, path = '') {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return [{ path: path || '(root)', message: 'must be a non-empty list of steps' }];
+  }
+
+  const errors = [];
+  steps.forEach((step, index) => {
+    const stepPath = path ? `${path}.${index + 1}` : `${index + 1}`;
+
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push({ path: stepPath, message: 'must be an object' });
+      return;
+    }
+
+    switch (stepKind(step)) {
+      case 'if':
+        errors.push(...validateCondition(step.if, `${stepPath}.if`));
+        errors.push(...validateWorkflowSteps(step.then, `${stepPath}.then`));
+        if (step.else !== undefined) {
+          errors.push(...validateWorkflowSteps(step.else, `${stepPath}.else`));
+        }
+        break;
+
+      case 'forEach':
+        if (typeof step.forEach !== 'string' || !step.forEach) {
+          errors.push({ path: `${stepPath}.forEach`, message: 'must be a selector' });
+        }
+        errors.push(...validateWorkflowSteps(step.steps, `${stepPath}.steps`));
+        break;
+
+      case 'repeat':
+        errors.push(...validateWorkflowSteps(step.repeat, `${stepPath}.repeat`));
+        errors.push(...validateCondition(step.until, `${stepPath}.until`));
+        break;
+
+      case 'assert':
+        errors.push(...validateCondition(step.assert, `${stepPath}.assert`));
+        break;
+
+      default:
+        if (!resolveActionName(step.action)) {
+          errors.push({ path: stepPath, message: `"${step.action}" is not a supported action or control-flow step` });
+        } else if (findVariables(step).length === 0) {
+          errors.push(...validateAction(step, stepPath).errors);
+        }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the structure of a condition
+ * @param {object} condition - Condition such as { exists: "#banner" }
+ * @param {string} path - Path of the condition
+ * @returns {Array} Errors as { path, message }
+ */
+function validateCondition(condition, path) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [{ path, message: 'must be a condition object' }];
+  }
+
+  const kinds = CONDITIONS.filter(key => condition[key] !== undefined);
+  if (kinds.length !== 1) {
+    return [{ path, message: `must have exactly one of ${CONDITIONS.join(', ')}` }];
+  }
+
+  if (kinds[0] === 'not') {
+    return validateCondition(condition.not, `${path}.not`);
+  }
+
+  if (typeof condition[kinds[0]] !== 'string' || !condition[kinds[0]]) {
+    return [{ path: `${path}.${kinds[0]}`, message: 'must be a non-empty string' }];
+  }
+  return [];
+}
+
+/**
+ * List the variables that forEach loops define, which parameters don't need to supply
+ * @param {Array} steps - Workflow steps
+ * @param {Set} found - Names found so far (when recursing)
+ * @returns {Array} Variable names
+ */
+function loopVariables(steps, found = new Set()) {
+  for (const step of Array.isArray(steps) ? steps : []) {
+    if (!step || typeof step !== 'object') continue;
+
+    if (step.forEach !== undefined) {
+      found.add(step.as || 'item');
+      found.add('index');
+    }
+    [step.then, step.else, step.steps, step.repeat].forEach(nested => loopVariables(nested, found));
+  }
+
+  return Array.from(found);
+}
+
+class WorkflowRunner {
+  /**
+   * @param {CommandParser} commandParser - Parser whose session the workflow runs in
+   * @param {object} options - Run options
+   * @param {boolean} options.screenshots - Capture before/after screenshots of each action
+   */
+  constructor(commandParser, options = {}) {
+    this.commandParser = commandParser;
+    this.browserController = commandParser.browserController;
+    this.screenshots = Boolean(options.screenshots);
+    this.signal = currentSignal();
+    this.trace = [];
+    this.stepCount = 0; // Actions started
+    this.actionCount = 0; // Actions that succeeded
+    this.runId = uuidv4().slice(0, 8); // Tells this run's loop items apart from earlier runs' on the same page
+    this.loopCount = 0;
+  }
+
+  /**
+   * Run workflow steps
+   * @param {Array} steps - Workflow steps
+   * @param {object} params - Values for the steps' {{variables}}
+   * @returns {object} Sequence result with the number of actions run and the trace of every step
+   */
+  async run(steps, params = {}) {
+    const errors = validateWorkflowSteps(steps);
+    if (errors.length > 0) {
+      throw new ActionValidationError(errors, steps);
+    }
+
+    await this.runSteps(steps, params, '');
+
+    return {
+      action: 'sequence',
+      steps: this.actionCount,
+      message: `Executed ${this.actionCount} actions`,
+      trace: this.trace
+    };
+  }
+
+  /**
+   * Run a list of steps in order
+   * @param {Array} steps - Workflow steps
+   * @param {object} scope - Variable values
+   * @param {string} path - Path of the list, e.g. "3.then"
+   */
+  async runSteps(steps, scope, path) {
+    for (const [index, step] of steps.entries()) {
+      const stepPath = path ? `${path}.${index + 1}` : `${index + 1}`;
+
+      this.stopIfCancelled();
+      await this.commandParser.waitForControl().catch(() => this.stopIfCancelled());
+
+      switch (stepKind(step)) {
+        case 'if':
+          await this.runIf(step, scope, stepPath);
+          break;
+        case 'forEach':
+          await this.runForEach(step, scope, stepPath);
+          break;
+        case 'repeat':
+          await this.runRepeat(step, scope, stepPath);
+          break;
+        case 'assert':
+          await this.runAssert(step, scope, stepPath);
+          break;
+        default:
+          await this.runAction(step, scope, stepPath);
+      }
+    }
+  }
+
+  /**
+   * Run an action step through the command parser
+   * @param {object} step - Action step
+   * @param {object} scope - Variable values
+   * @param {string} path - Step path
+   */
+  async runAction(step, scope, path) {
+    const validation = validateAction(renderTemplate(step, scope), path);
+    if (!validation.valid) {
+      throw new ActionValidationError(validation.errors, step);
+    }
+
+    // Brief pause between actions, as for AI plans
+    if (this.stepCount > 0) {
+      await cancellableDelay(500).catch(() => this.stopIfCancelled());
+    }
+
+    this.stepCount++;
+    const { report } = await this.commandParser.runStep(validation.action, { step: this.stepCount, screenshots: this.screenshots });
+    this.trace.push({ type: 'step', path, ...report });
+
+    if (report.status === 'failed') {
+      this.stopIfCancelled();
+      throw new PlanExecutionError(`Step ${path} (${report.action}) failed: ${report.error}`, this.trace);
+    }
+    this.actionCount++;
+  }
+
+  /**
+   * Run the "then" or "else" branch of an if step
+   * @param {object} step - { if, then, else }
+   * @param {object} scope - Variable values
+   * @param {string} path - Step path
+   */
+  async runIf(step, scope, path) {
+    const check = await this.check(step.if, scope, path, 'if');
+    const branch = check.passed ? 'then' : step.else ? 'else' : null;
+
+    this.trace.push({ type: 'if', path, condition: check.description, passed: check.passed, branch });
+    if (branch) {
+      await this.runSteps(step[branch], scope, `${path}.${branch}`);
+    }
+  }
+
+  /**
+   * Run steps once for each element matching a selector (counted when the loop starts)
+   * @param {object} step - { forEach, as, steps, max }
+   * @param {object} scope - Variable values
+   * @param {string} path - Step path
+   */
+  async runForEach(step, scope, path) {
+    const selector = renderTemplate(step.forEach, scope);
+    const max = step.max !== undefined ? Number(renderTemplate(step.max, scope)) : DEFAULT_FOREACH_MAX;
+    // Tagging the matches keeps each item a plain CSS selector, so steps can add to it, as in "{{row}} .price"
+    const marker = `${this.runId}-${++this.loopCount}`;
+    const matches = await this.browserController.markElements(this.sessionId(), selector, marker);
+    const count = Math.min(matches, max);
+
+    this.trace.push({ type: 'forEach', path, selector, matches, count });
+    progressEvents.publish('workflow:loop', { path, selector, count });
+
+    for (let index = 0; index < count; index++) {
+      const item = { [step.as || 'item']: `[data-browsebyme-item="${marker}-${index}"]`, index };
+      await this.runSteps(step.steps, { ...scope, ...item }, `${path}[${index}]`);
+    }
+  }
+
+  /**
+   * Run steps until a condition holds, checking it after each pass
+   * @param {object} step - { repeat, until, max }
+   * @param {object} scope - Variable values
+   * @param {string} path - Step path
+   */
+  async runRepeat(step, scope, path) {
+    const max = step.max !== undefined ? Number(renderTemplate(step.max, scope)) : DEFAULT_REPEAT_MAX;
+    let check = null;
+
+    for (let iteration = 0; iteration < max; iteration++) {
+      await this.runSteps(step.repeat, scope, `${path}[${iteration}]`);
+
+      check = await this.check(step.until, scope, path, 'until');
+      if (check.passed) {
+        this.trace.push({ type: 'repeat', path, iterations: iteration + 1, condition: check.description, passed: true });
+        return;
+      }
+    }
+
+    this.trace.push({ type: 'repeat', path, iterations: max, condition: check ? check.description : null, passed: false });
+    throw new PlanExecutionError(`Step ${path} (repeat) gave up after ${max} passes: ${check ? check.description : 'nothing ran'}`, this.trace);
+  }
+
+  /**
+   * Check an assertion, failing the workflow if it doesn't hold
+   * @param {object} step - { assert, message }
+   * @param {object} scope - Variable values
+   * @param {string} path - Step path
+   */
+  async runAssert(step, scope, path) {
+    const check = await this.check(step.assert, scope, path, 'assert');
+
+    this.trace.push({ type: 'assert', path, condition: check.description, status: check.passed ? 'passed' : 'failed' });
+    if (!check.passed) {
+      const message = step.message ? `${renderTemplate(step.message, scope)} (${check.description})` : check.description;
+      throw new PlanExecutionError(`Assertion failed at step ${path}: ${message}`, this.trace);
+    }
+  }
+
+  /**
+   * Evaluate a condition against the page and publish the outcome
+   * @param {object} condition - Condition with its variables not yet filled in
+   * @param {object} scope - Variable values
+   * @param {string} path - Step path
+   * @param {string} kind - "if", "until" or "assert"
+   * @returns {object} { passed, description } - the description says what was found
+   */
+  async check(condition, scope, path, kind) {
+    const result = await this.evaluate(renderTemplate(condition, scope));
+    progressEvents.publish('workflow:check', { path, kind, condition: result.description, passed: result.passed });
+    return result;
+  }
+
+  /**
+   * Evaluate a condition against the page
+   * @param {object} condition - Condition with its variables filled in
+   * @returns {object} { passed, description }
+   */
+  async evaluate(condition) {
+    const sessionId = this.sessionId();
+
+    if (condition.not !== undefined) {
+      const inner = await this.evaluate(condition.not);
+      return { passed: !inner.passed, description: `not (${inner.description})` };
+    }
+
+    if (condition.exists !== undefined || condition.missing !== undefined) {
+      const selector = condition.exists !== undefined ? condition.exists : condition.missing;
+      const count = await this.browserController.countElements(sessionId, selector);
+      const passed = condition.exists !== undefined ? count > 0 : count === 0;
+      return { passed, description: `${count} element(s) match ${selector}` };
+    }
+
+    if (condition.text !== undefined) {
+      const where = condition.selector || 'body';
+      const text = await this.browserController.getElementText(sessionId, where);
+      const passed = text.toLowerCase().includes(String(condition.text).toLowerCase());
+      return { passed, description: `"${condition.text}" ${passed ? 'found' : 'not found'} in ${where}` };
+    }
+
+    if (condition.url !== undefined) {
+      const url = this.browserController.getSession(sessionId).page.url();
+      const passed = new RegExp(condition.url).test(url);
+      return { passed, description: `URL ${url} ${passed ? 'matches' : 'does not match'} ${condition.url}` };
+    }
+
+    // A count without limits just needs a match
+    const count = await this.browserController.countElements(sessionId, condition.count);
+    const limits = [];
+    let passed = condition.equals !== undefined || condition.min !== undefined || condition.max !== undefined || count > 0;
+    if (condition.equals !== undefined) {
+      passed = passed && count === Number(condition.equals);
+      limits.push(`exactly ${condition.equals}`);
+    }
+    if (condition.min !== undefined) {
+      passed = passed && count >= Number(condition.min);
+      limits.push(`at least ${condition.min}`);
+    }
+    if (condition.max !== undefined) {
+      passed = passed && count <= Number(condition.max);
+      limits.push(`at most ${condition.max}`);
+    }
+    const expected = limits.length > 0 ? ` (expected ${limits.join(' and ')})` : '';
+    return { passed, description: `${count} element(s) match ${condition.count}${expected}` };
+  }
+
+  /**
+   * Get the session conditions are checked in
+   * @returns {string} Active session ID
+   */
+  sessionId() {
+    if (!this.commandParser.activeSession) {
+      throw new BrowseByMeError('No active browser session to check conditions in', 409);
+    }
+    return this.commandParser.activeSession;
+  }
+
+  /**
+   * Stop if the run was cancelled, keeping the trace so far
+   */
+  stopIfCancelled() {
+    if (this.signal && this.signal.aborted) {
+      const { message, reason } = cancellationError(this.signal);
+      throw new CommandCancelledError(message, reason, this.trace);
+    }
+  }
+}
+
+module.exports = { WorkflowRunner, validateWorkflowSteps, loopVariables };
@@ -0,0 +1,204 @@
+/**
+ * Workflow Store - Loads reusable workflow files (JSON or YAML) from disk
+ * A workflow is a named list of steps whose URLs, values and selectors may contain
+ * {{variables}} that are supplied each time it runs.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { logger } = require('../utils/logger');
+const { BrowseByMeError, ActionValidationError } = require('../utils/errors');
+const { findVariables } = require('./template');
+const { validateWorkflowSteps, loopVariables } = require('./workflowRunner');
+const config = require('../config/config');
+
+// Workflow names double as file names
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+class WorkflowStore {
+  /**
+   * @param {string} directory - Directory holding one <name>.json, .yaml or .yml file per workflow
+   */
+  constructor(directory = path.join(config.storage.dataDir, 'workflows')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Load a workflow
+   * @param {string} name - Workflow name
+   * @returns {object} Workflow as { name, description, params, variables, steps }
+   */
+  async get(name) {
+    this.checkName(name);
+
+    for (const extension of EXTENSIONS) {
+      const filePath = path.join(this.directory, `${name}${extension}`);
+      let text;
+      try {
+        text = await fs.readFile(filePath, 'utf-8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        logger.error(`Error reading workflow ${name}: ${error.message}`);
+        throw new Error(`Failed to read workflow: ${error.message}`);
+      }
+
+      let definition;
+      try {
+        definition = extension === '.json' ? JSON.parse(text) : yaml.safeLoad(text);
+      } catch (error) {
+        throw new BrowseByMeError(`Workflow ${name} could not be parsed: ${error.message}`, 422);
+      }
+      return this.normalize(name, definition);
+    }
+
+    throw new BrowseByMeError(`Workflow not found: ${name}`, 404);
+  }
+
+  /**
+   * List saved workflows
+   * @returns {Array} Summaries as { name, description, variables, steps }, sorted by name
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to list workflows: ${error.message}`);
+    }
+
+    const names = new Set(files
+      .filter(file => EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.basename(file, path.extname(file))));
+    const workflows = [];
+
+    for (const name of Array.from(names).sort()) {
+      try {
+        const { description, variables, steps } = await this.get(name);
+        workflows.push({ name, description, variables, steps: steps.length });
+      } catch (error) {
+        logger.warn(`Skipping unreadable workflow ${name}: ${error.message}`);
+      }
+    }
+
+    return workflows;
+  }
+
+  /**
+   * Save a workflow as JSON, replacing any workflow with the same name
+   * @param {string} name - Workflow name (letters, digits, "-" and "_")
+   * @param {object} definition - Workflow as { description, params, steps }
+   * @returns {object} Saved workflow
+   */
+  async save(name, definition) {
+    this.checkName(name);
+    const workflow = this.normalize(name, definition);
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await this.removeFiles(name);
+      await fs.writeFile(path.join(this.directory, `${name}.json`), JSON.stringify({
+        description: workflow.description,
+        params: workflow.params,
+        steps: workflow.steps
+      }, null, 2));
+    } catch (error) {
+      logger.error(`Error saving workflow ${name}: ${error.message}`);
+      throw new Error(`Failed to save workflow: ${error.message}`);
+    }
+
+    logger.info(`Workflow saved: ${name} (${workflow.steps.length} steps)`);
+    return workflow;
+  }
+
+  /**
+   * Delete a workflow
+   * @param {string} name - Workflow name
+   */
+  async delete(name) {
+    this.checkName(name);
+
+    if (await this.removeFiles(name) === 0) {
+      throw new BrowseByMeError(`Workflow not found: ${name}`, 404);
+    }
+    logger.info(`Workflow deleted: ${name}`);
+  }
+
+  /**
+   * Check a workflow definition and fill in its defaults.
+   * Steps with variables are fully validated when they run, once the variables are filled in.
+   * @param {string} name - Workflow name
+   * @param {object} definition - Parsed workflow file
+   * @returns {object} Workflow as { name, description, params, variables, steps }
+   */
+  normalize(name, definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new BrowseByMeError(`Workflow ${name} must be an object with a list of steps`, 422);
+    }
+
+    const { steps } = definition;
+    const errors = validateWorkflowSteps(steps, 'steps');
+    if (errors.length > 0) {
+      throw new ActionValidationError(errors, steps);
+    }
+
+    return {
+      name,
+      description: definition.description || '',
+      params: this.normalizeParams(definition.params),
+      // Variables the caller supplies (forEach items are filled in by the workflow itself)
+      variables: findVariables(steps).filter(variable => !loopVariables(steps).includes(variable)),
+      steps
+    };
+  }
+
+  /**
+   * Normalize declared parameters to { name: { description, default } }.
+   * A list of names, or a map of names to defaults, are accepted as shorthands.
+   * @param {object|Array} params - Declared parameters
+   * @returns {object} Parameters by name
+   */
+  normalizeParams(params = {}) {
+    if (Array.isArray(params)) {
+      return Object.fromEntries(params.map(name => [String(name), {}]));
+    }
+
+    return Object.fromEntries(Object.entries(params || {}).map(([name, param]) => [
+      name,
+      param && typeof param === 'object' ? param : { default: param }
+    ]));
+  }
+
+  /**
+   * Remove every file saved for a workflow name
+   * @param {string} name - Workflow name
+   * @returns {number} Number of files removed
+   */
+  async removeFiles(name) {
+    let removed = 0;
+
+    for (const extension of EXTENSIONS) {
+      try {
+        await fs.unlink(path.join(this.directory, `${name}${extension}`));
+        removed++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Reject names that aren't safe to use as file names
+   * @param {string} name - Workflow name
+   */
+  checkName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new BrowseByMeError('Workflow names must be 1-64 letters, digits, "-" or "_"', 400);
+    }
+  }
+}
+
+module.exports = WorkflowStore;
@@ -0,0 +1,91 @@
+const {
+  validateAction,
+  validatePlan,
+  normalizePlan,
+  getActionJSONSchema,
+  resolveActionName
+} = require('../src/commands/actionSchema');
+const { ActionValidationError } = require('../src/utils/errors');
+
+describe('actionSchema', () => {
+  test('resolves action aliases to canonical names', () => {
+    expect(resolveActionName('Go')).toBe('navigate');
+    expect(resolveActionName('fill')).toBe('type');
+    expect(resolveActionName('refresh')).toBe('reload');
+    expect(resolveActionName('teleport')).toBeNull();
+  });
+
+  test('normalizes field aliases, coerces types and applies defaults', () => {
+    expect(validateAction({ action: 'fill', field: 'email', text: 42 })).toEqual({
+      valid: true,
+      action: { action: 'type', target: 'email', value: '42' },
+      errors: []
+    });
+
+    expect(validateAction({ action: 'scroll', amount: '500px' }).action)
+      .toEqual({ action: 'scroll', direction: 'down', amount: 500 });
+
+    expect(validateAction({ action: 'open', browserType: 'firefox', headless: 'true', timezone: 'Europe/Paris' }).action)
+      .toEqual({ action: 'open', browser: 'firefox', headless: true, timezoneId: 'Europe/Paris' });
+  });
+
+  test('canonical fields win over aliases', () => {
+    expect(validateAction({ action: 'search', query: 'alias', value: 'canonical' }).action.value).toBe('canonical');
+    expect(validateAction({ action: 'search', value: 'canonical', query: 'alias' }).action.value).toBe('canonical');
+  });
+
+  test('drops unknown fields but keeps originalCommand and booking details', () => {
+    expect(validateAction({ action: 'click', selector: '#buy', reason: 'because', originalCommand: 'buy it' }).action)
+      .toEqual({ action: 'click', selector: '#buy', originalCommand: 'buy it' });
+
+    expect(validateAction({ action: 'book', type: 'hotel', guests: 2 }).action)
+      .toEqual({ action: 'book', type: 'hotel', guests: 2 });
+  });
+
+  test('reports missing, mistyped and out-of-range fields', () => {
+    const { valid, errors } = validatePlan([
+      { action: 'navigate' },
+      { action: 'click' },
+      { action: 'scroll', direction: 'sideways', amount: -5 },
+      { action: 'draw', color: 'red', points: [{ x: 1 }] }
+    ]);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { index: 0, path: '[0].url', code: 'required', message: 'is required' },
+      { index: 1, path: '[1]', code: 'any_of', message: 'click needs selector or target' },
+      { index: 2, path: '[2].direction', code: 'enum', message: 'must be one of up, down, left, right, top, bottom' },
+      { index: 2, path: '[2].amount', code: 'minimum', message: 'must be at least 0' },
+      { index: 3, path: '[3].color', code: 'pattern', message: 'must match ^#[0-9a-fA-F]{6}$' },
+      { index: 3, path: '[3].points[0].y', code: 'required', message: 'is required' }
+    ]);
+  });
+
+  test('rejects unknown actions, non-objects and empty plans', () => {
+    expect(validateAction({ action: 'teleport' }).errors[0].code).toBe('unknown_action');
+    expect(validateAction('click #buy').errors[0].code).toBe('type');
+    expect(validatePlan([]).errors[0].code).toBe('empty_plan');
+  });
+
+  test('normalizePlan throws a structured error for invalid plans', () => {
+    expect(normalizePlan({ action: 'go', url: 'example.com' })).toEqual({ action: 'navigate', url: 'example.com' });
+
+    try {
+      normalizePlan({ action: 'type', selector: '#q' });
+      throw new Error('expected normalizePlan to throw');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ActionValidationError);
+      expect(error.statusCode).toBe(422);
+      expect(error.toJSON().validationErrors).toEqual([
+        { path: 'value', code: 'required', message: 'is required' }
+      ]);
+    }
+  });
+
+  test('builds a JSON schema including the action field', () => {
+    const schema = getActionJSONSchema('navigate');
+
+    expect(schema.properties.action).toEqual({ const: 'navigate' });
+    expect(schema.required).toEqual(['action', 'url']);
+  });
+});
@@ -0,0 +1,182 @@
+const BrowserController = require('../src/browser/browserController');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describeWithBrowser('BrowserController against fixture pages', () => {
+  let server;
+  let browserController;
+  let sessionId;
+
+  const page = () => browserController.getSession(sessionId).page;
+  const open = name => browserController.navigateTo(server.url(name), sessionId);
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController();
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  describe('fillField', () => {
+    beforeEach(() => open('form.html'));
+
+    test('fills a field by CSS selector and fires input events', async () => {
+      const result = await browserController.fillField('#email', 'ada@example.com', sessionId);
+
+      expect(result).toEqual({ success: true, selector: '#email' });
+      expect(await page().inputValue('#email')).toBe('ada@example.com');
+      expect(await page().textContent('#echo')).toBe('ada@example.com');
+    });
+
+    test('replaces an existing value', async () => {
+      await browserController.fillField('#fullname', 'Ada', sessionId);
+      await browserController.fillField('#fullname', 'Ada Lovelace', sessionId);
+
+      expect(await page().inputValue('#fullname')).toBe('Ada Lovelace');
+    });
+
+    test('resolves a field from its placeholder', async () => {
+      const result = await browserController.fillField('Your email', 'grace@example.com', sessionId);
+
+      expect(result.selector).toBe('[placeholder="Your email"]');
+      expect(await page().inputValue('#email')).toBe('grace@example.com');
+    });
+
+    test('fills the host page field rather than one inside an iframe', async () => {
+      await open('iframe.html');
+      const framedField = page().frameLocator('#embedded').locator('#name');
+      await framedField.waitFor();
+
+      await browserController.fillField('#name', 'Host', sessionId);
+
+      expect(await page().inputValue('#name')).toBe('Host');
+      expect(await framedField.inputValue()).toBe('');
+    });
+  });
+
+  describe('clickElement', () => {
+    test('clicks a button by selector', async () => {
+      await open('form.html');
+
+      const result = await browserController.clickElement('#subscribe', sessionId);
+
+      expect(result).toEqual({ success: true, selector: '#subscribe' });
+      expect(await page().textContent('#status')).toBe('subscribed');
+    });
+
+    test('clicks a product link by position in the grid', async () => {
+      await open('products.html');
+
+      await browserController.clickElement('.product-item:nth-child(2) a', sessionId);
+
+      expect(page().url()).toMatch(/#product-2$/);
+    });
+
+    test('accepts confirm dialogs opened by a click', async () => {
+      await open('dialogs.html');
+
+      await browserController.clickElement('#delete', sessionId);
+
+      expect(await page().textContent('#result')).toBe('confirmed');
+    });
+
+    test('clicks buttons inside an open <dialog>', async () => {
+      await open('dialogs.html');
+
+      await browserController.clickElement('#dismiss', sessionId);
+
+      expect(await page().textContent('#result')).toBe('dismissed');
+      expect(await page().isVisible('#newsletter')).toBe(false);
+    });
+
+    test('reports elements that do not exist', async () => {
+      await open('form.html');
+
+      // Words such as "button" in a selector would let it fall back to any button on the page
+      await expect(browserController.clickElement('#missing', sessionId))
+        .rejects.toThrow('Failed to click element #missing');
+    });
+  });
+
+  describe('findBestSelector', () => {
+    test('returns a visible CSS selector unchanged', async () => {
+      await open('form.html');
+
+      expect(await browserController.findBestSelector('#password', sessionId)).toBe('#password');
+    });
+
+    test('falls back to a text selector for visible text', async () => {
+      await open('form.html');
+
+      expect(await browserController.findBestSelector('Subscribe', sessionId)).toBe('text=Subscribe');
+    });
+
+    test('maps positional product selectors onto the grid the page uses', async () => {
+      await open('products.html');
+
+      expect(await browserController.findBestSelector('.product-card:nth-child(3) a', sessionId))
+        .toBe('.product-item:nth-child(3)');
+    });
+  });
+
+  describe('findElementsByNameOrText', () => {
+    test('ranks the element whose id and name match first', async () => {
+      await open('form.html');
+
+      const results = await browserController.findElementsByNameOrText('email', sessionId);
+
+      expect(results.length).toBeGreaterThan(0);
+      expect(results[0].selector).toBe('#email');
+      expect(results[0].score).toBeGreaterThan(results[results.length - 1].score);
+    });
+
+    test('matches elements by their text content', async () => {
+      await open('products.html');
+
+      const results = await browserController.findElementsByNameOrText('Pro laptop', sessionId);
+      const tags = results.map(result => result.element.tag);
+
+      expect(tags).toContain('a');
+    });
+
+    test('returns nothing when no element matches', async () => {
+      await open('form.html');
+
+      expect(await browserController.findElementsByNameOrText('no such thing', sessionId)).toEqual([]);
+    });
+  });
+
+  describe('drawOnCanvas', () => {
+    test('strokes a path with the requested colour', async () => {
+      await open('canvas.html');
+
+      const result = await browserController.drawOnCanvas(
+        '#sketch',
+        [{ x: 10, y: 10 }, { x: 90, y: 90 }],
+        { color: '#ff0000', lineWidth: 4 },
+        sessionId
+      );
+
+      expect(result).toEqual({ success: true });
+
+      const [red, green, blue, alpha] = await page().evaluate(() =>
+        Array.from(document.getElementById('sketch').getContext('2d').getImageData(50, 50, 1, 1).data)
+      );
+      expect(red).toBeGreaterThan(200);
+      expect(green).toBeLessThan(50);
+      expect(blue).toBeLessThan(50);
+      expect(alpha).toBeGreaterThan(200);
+    });
+
+    test('fails when the canvas cannot be found', async () => {
+      await open('canvas.html');
+
+      await expect(browserController.drawOnCanvas('#missing-canvas', [{ x: 0, y: 0 }], {}, sessionId))
+        .rejects.toThrow('Could not find canvas matching: #missing-canvas');
+    });
+  });
+});
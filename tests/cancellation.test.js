@@ -0,0 +1,61 @@
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const GoalAgent = require('../src/agent/goalAgent');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { CommandCancelledError } = require('../src/utils/errors');
+const { cancellableDelay, raceCancellation } = require('../src/utils/cancellation');
+
+describe('Command cancellation', () => {
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(new BrowserController(), { llmService: mock });
+    mock.addFixture('wait a long time', [{ action: 'wait', duration: 10000 }, { action: 'wait', duration: 5 }]);
+  });
+
+  test('cancels a running plan and stops waiting straight away', async () => {
+    const startedAt = Date.now();
+    const running = parser.parseAndExecute('wait a long time', { runId: 'slow-run' });
+    setTimeout(() => parser.cancel('slow-run'), 50);
+
+    const error = await running.catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandCancelledError);
+    expect(error.reason).toBe('cancelled');
+    expect(error.statusCode).toBe(409);
+    expect(error.trace.map(entry => entry.status)).toEqual(['failed']);
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(parser.runs.size).toBe(0);
+  });
+
+  test('cancels a command that passes its deadline', async () => {
+    const error = await parser.parseAndExecute('wait a long time', { timeoutMs: 50 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandCancelledError);
+    expect(error.reason).toBe('timeout');
+    expect(error.statusCode).toBe(504);
+    expect(error.toJSON()).toEqual(expect.objectContaining({ reason: 'timeout', trace: expect.any(Array) }));
+  });
+
+  test('reports when there is nothing to cancel', () => {
+    expect(parser.cancel()).toBe(0);
+  });
+
+  test('stops an agent run that is cancelled or runs out of time', async () => {
+    mock.addFixture('wait forever', null, { kind: 'agent', responses: [{ action: 'wait', duration: 10000 }] });
+
+    const agent = new GoalAgent(parser, {}, { runId: 'agent-run' });
+    const running = agent.run('wait forever');
+    setTimeout(() => parser.cancel('agent-run'), 50);
+
+    expect((await running).stopReason).toBe('cancelled');
+    expect((await new GoalAgent(parser, { maxDurationMs: 50 }).run('wait forever')).stopReason).toBe('max_duration');
+  });
+
+  test('leaves work outside a cancellable run alone', async () => {
+    await expect(raceCancellation(Promise.resolve('done'))).resolves.toBe('done');
+    await expect(cancellableDelay(1)).resolves.toBeUndefined();
+  });
+});
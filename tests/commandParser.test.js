@@ -0,0 +1,343 @@
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { ActionValidationError, PlanExecutionError } = require('../src/utils/errors');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('CommandParser rule-based helpers', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new CommandParser(new BrowserController(), {
+      llmService: new MockLLMService({ fixturesPath: null })
+    });
+  });
+
+  test('extracts URLs and bare domains but not email addresses', () => {
+    expect(parser.extractUrl('go to http://localhost:3000/docs')).toBe('http://localhost:3000/docs');
+    expect(parser.extractUrl('visit example.com')).toBe('https://example.com');
+    expect(parser.extractUrl('email ada@example.com')).toBeNull();
+  });
+
+  test('extracts launch options from a command', () => {
+    expect(parser.extractLaunchOptions('open chromium headless with viewport 1024x768')).toEqual({
+      headless: true,
+      viewport: { width: 1024, height: 768 }
+    });
+  });
+
+  test('extracts CSS selectors and ordinal product selectors', () => {
+    expect(parser.extractSelector('click #subscribe')).toBe('#subscribe');
+    expect(parser.extractSelector('click the second product')).toBe('.product-item:nth-child(2) a');
+  });
+
+  test('only closes the browsers it opened when told to close all', async () => {
+    // Stands in for browsers; one belongs to an API session
+    const { browserController } = parser;
+    const close = jest.spyOn(browserController, 'closeBrowser').mockImplementation(async id => browserController.browsers.delete(id));
+    let launches = 0;
+    jest.spyOn(browserController, 'launchBrowser').mockImplementation(async () => {
+      const sessionId = `mine-${++launches}`;
+      browserController.browsers.set(sessionId, {});
+      return { sessionId, options: {} };
+    });
+    browserController.browsers.set('someone-else', {});
+
+    await parser.handleOpenCommand('open chromium');
+    await parser.handleOpenCommand('open chromium');
+    const result = await parser.handleCloseCommand('close all browsers', parser.activeSession);
+
+    expect(result).toMatchObject({ closed: ['mine-1', 'mine-2'], message: 'Closed 2 browser(s)' });
+    expect(close).not.toHaveBeenCalledWith('someone-else');
+    expect(Array.from(browserController.browsers.keys())).toEqual(['someone-else']);
+  });
+
+  test('only runs scripts for an admin when authentication is on', async () => {
+    const config = require('../src/config/config');
+    const original = { ...config.security };
+    Object.assign(config.security, {
+      authEnabled: true,
+      apiUsers: [{ name: 'ada', role: 'admin', key: 'admin-key-0123456789' }, { name: 'bob', role: 'operator', key: 'operator-key-0123456789' }]
+    });
+    // Stands in for the page
+    const executeScript = jest.spyOn(parser.browserController, 'executeScript').mockResolvedValue('Title');
+
+    try {
+      parser.claim('bob');
+      parser.activeSession = 'page';
+      await expect(parser.parseAndExecute('execute document.title')).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Running scripts needs the admin role; bob is not an admin'
+      });
+      expect(executeScript).not.toHaveBeenCalled();
+
+      parser.claim('ada');
+      parser.activeSession = 'page';
+      await expect(parser.parseAndExecute('execute document.title')).resolves.toBe('Title');
+    } finally {
+      Object.assign(config.security, original);
+    }
+  });
+});
+
+describe('CommandParser plan validation', () => {
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(new BrowserController(), { llmService: mock });
+  });
+
+  test('asks the model to correct an invalid plan and runs the corrected one', async () => {
+    mock.addFixture('pause briefly', { action: 'wait', duration: 'a moment' });
+    mock.addFixture('pause briefly', { action: 'wait', duration: 10 }, { kind: 'correction' });
+
+    const result = await parser.parseAndExecute('pause briefly');
+
+    expect(result).toEqual(expect.objectContaining({ action: 'wait', duration: 10 }));
+
+    const correction = mock.getLastPrompt();
+    expect(correction.kind).toBe('correction');
+    expect(correction.errors).toEqual([
+      { path: 'duration', code: 'type', message: 'must be of type integer, got string' }
+    ]);
+    expect(correction.prompt).toContain('"const":"wait"');
+  });
+
+  test('rejects plans that are still invalid with structured errors', async () => {
+    mock.addFixture('teleport me', { action: 'teleport', destination: 'home' });
+
+    const error = await parser.parseAndExecute('teleport me').catch(e => e);
+
+    expect(error).toBeInstanceOf(ActionValidationError);
+    expect(error.errors[0]).toEqual(expect.objectContaining({ path: 'action', code: 'unknown_action' }));
+    expect(mock.prompts.map(call => call.kind)).toEqual(['command', 'correction']);
+  });
+
+  test('validates actions passed straight to executeAICommand', async () => {
+    await expect(parser.executeAICommand({ action: 'type', selector: '#email' }))
+      .rejects.toBeInstanceOf(ActionValidationError);
+  });
+});
+
+describeWithBrowser('CommandParser against fixture pages', () => {
+  let server;
+  let browserController;
+  let sessionId;
+  let mock;
+  let parser;
+
+  const page = () => browserController.getSession(sessionId).page;
+  const open = name => browserController.navigateTo(server.url(name), sessionId);
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController();
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(browserController, { sessionId, llmService: mock });
+  });
+
+  describe('handleExtractCommand', () => {
+    beforeEach(() => open('article.html'));
+
+    test('extracts headings, paragraphs and lists from the main content', async () => {
+      const { success, result } = await parser.handleExtractCommand([], sessionId);
+
+      expect(success).toBe(true);
+      expect(result).toEqual(expect.arrayContaining([
+        { type: 'heading', level: 1, text: 'Release notes' },
+        { type: 'paragraph', text: 'This release adds offline mode.' },
+        { type: 'unordered_list', items: ['Offline mode', 'Dark theme'] }
+      ]));
+    });
+
+    test('extracts a table by selector', async () => {
+      const result = await parser.handleExtractCommand(['#prices'], sessionId);
+
+      expect(result).toEqual({
+        type: 'table',
+        headers: ['Plan', 'Price'],
+        rows: [['Basic', '$5'], ['Pro', '$15']]
+      });
+    });
+
+    test('extracts a list by selector', async () => {
+      const result = await parser.handleExtractCommand(['#features'], sessionId);
+
+      expect(result).toEqual({ type: 'unordered_list', items: ['Offline mode', 'Dark theme'] });
+    });
+
+    test('reports selectors that match nothing', async () => {
+      const result = await parser.handleExtractCommand(['#missing-table'], sessionId);
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('parseAndExecute with the mock provider', () => {
+    beforeEach(() => open('form.html'));
+
+    test('runs a multi-step plan and sends page state to the provider', async () => {
+      mock.addFixture('sign me up as ada', [
+        { action: 'type', selector: '#email', value: 'ada@example.com' },
+        { action: 'click', selector: '#subscribe' }
+      ]);
+
+      const result = await parser.parseAndExecute('sign me up as ada');
+
+      expect(result).toEqual(expect.objectContaining({ action: 'sequence', steps: 2 }));
+      expect(await page().inputValue('#email')).toBe('ada@example.com');
+      expect(await page().textContent('#status')).toBe('subscribed');
+
+      const call = mock.getLastPrompt();
+      expect(call.stateInfo).toContain(server.url('form.html'));
+      expect(call.domSnapshot).toContain('<form#signup>');
+      expect(call.prompt).toContain('Analyze the following user request: "sign me up as ada"');
+    });
+
+    test('captures before and after screenshots of each step on request', async () => {
+      mock.addFixture('subscribe ada', [
+        { action: 'type', selector: '#email', value: 'ada@example.com' },
+        { action: 'click', selector: '#subscribe' }
+      ]);
+
+      const { trace } = await parser.parseAndExecute('subscribe ada', { screenshots: true });
+
+      expect(trace).toHaveLength(2);
+      for (const step of trace) {
+        expect(step.status).toBe('succeeded');
+        expect(step.selector).toEqual(expect.any(String));
+        expect(step.screenshots.before).toMatch(/^data:image\/png;base64,/);
+        expect(step.screenshots.after).toMatch(/^data:image\/png;base64,/);
+      }
+    });
+
+    test('repairs malformed JSON from the provider', async () => {
+      mock.addFixture({ pattern: '^press (.+)$', flags: 'i' }, { action: 'click', selector: '$1' }, { malformed: true });
+
+      await parser.parseAndExecute('press #subscribe');
+
+      expect(await page().textContent('#status')).toBe('subscribed');
+    });
+
+    test('falls back to the rule-based parser when no fixture matches', async () => {
+      const result = await parser.parseAndExecute('click #subscribe');
+
+      expect(result.selector).toBe('#subscribe');
+      expect(await page().textContent('#status')).toBe('subscribed');
+    });
+  });
+});
+
+describe('CommandParser re-planning', () => {
+  const config = require('../src/config/config');
+  const originalAgentConfig = { ...config.agent };
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(new BrowserController(), { llmService: mock });
+  });
+
+  afterEach(() => {
+    Object.assign(config.agent, originalAgentConfig);
+  });
+
+  // Waiting for a selector needs a browser session, so it fails here; plain waits don't
+  const plan = [
+    { action: 'wait', duration: 5 },
+    { action: 'wait', selector: '#results' },
+    { action: 'scroll', direction: 'down' }
+  ];
+
+  test('asks for a revised plan after a failed step and records the trace', async () => {
+    mock.addFixture('show the results', plan);
+    mock.addFixture('show the results', [{ action: 'wait', duration: 5 }], { kind: 'replan' });
+
+    const result = await parser.parseAndExecute('show the results');
+
+    expect(result).toEqual(expect.objectContaining({ action: 'sequence', steps: 2, replans: 1 }));
+    expect(result.trace.map(entry => `${entry.type}:${entry.status || ''}`)).toEqual([
+      'step:succeeded',
+      'step:failed',
+      'replan:',
+      'step:succeeded'
+    ]);
+
+    const { progress } = mock.getLastPrompt();
+    expect(progress.completedSteps).toEqual([plan[0]]);
+    expect(progress.failedStep).toEqual(plan[1]);
+    expect(progress.remainingSteps).toEqual([expect.objectContaining({ action: 'scroll' })]);
+    expect(progress.error).toEqual(expect.any(String));
+  });
+
+  test('reports each step with its input, selector, status and timing', async () => {
+    mock.addFixture('show the results', plan);
+    mock.addFixture('show the results', [{ action: 'wait', duration: 5 }], { kind: 'replan' });
+
+    const { trace } = await parser.parseAndExecute('show the results');
+
+    expect(trace[0]).toEqual({
+      type: 'step',
+      plan: 0,
+      step: 1,
+      action: 'wait',
+      input: { duration: 5 },
+      selector: null,
+      status: 'succeeded',
+      result: expect.objectContaining({ success: true }),
+      durationMs: expect.any(Number)
+    });
+    expect(trace[1]).toEqual(expect.objectContaining({
+      step: 2,
+      action: 'wait',
+      input: { selector: '#results' },
+      selector: '#results',
+      status: 'failed',
+      error: expect.any(String)
+    }));
+    expect(trace[1]).not.toHaveProperty('screenshots');
+  });
+
+  test('stops with the trace when the re-plan budget is used up', async () => {
+    config.agent.maxReplans = 0;
+    mock.addFixture('show the results', plan);
+
+    const error = await parser.parseAndExecute('show the results').catch(e => e);
+
+    expect(error).toBeInstanceOf(PlanExecutionError);
+    expect(error.message).toContain('Step 2 (wait) failed after 0 re-plans');
+    expect(error.toJSON().trace).toHaveLength(2);
+    expect(mock.prompts.map(call => call.kind)).toEqual(['command']);
+  });
+
+  test('stops when the model has no revised plan', async () => {
+    mock.addFixture('show the results', plan);
+
+    const error = await parser.parseAndExecute('show the results').catch(e => e);
+
+    expect(error).toBeInstanceOf(PlanExecutionError);
+    expect(error.message).toContain('no revised plan was returned');
+  });
+
+  test('stops when the step budget is used up', async () => {
+    config.agent.maxSteps = 1;
+    mock.addFixture('show the results', plan);
+
+    const error = await parser.parseAndExecute('show the results').catch(e => e);
+
+    expect(error.message).toBe('Stopped after 1 steps without finishing the command');
+  });
+});
@@ -0,0 +1,117 @@
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const GoalAgent = require('../src/agent/goalAgent');
+const ControlLock = require('../src/sessions/controlLock');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { CommandCancelledError } = require('../src/utils/errors');
+const { progressEvents } = require('../src/utils/progressEvents');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('ControlLock', () => {
+  test('reports who is in control and wakes waiters when released', async () => {
+    const lock = new ControlLock();
+    await expect(lock.waitUntilReleased()).resolves.toBeUndefined();
+
+    lock.take('alice');
+    expect(lock.describe()).toEqual({ humanInControl: true, holder: 'alice', since: expect.any(Date) });
+
+    const waiting = lock.waitUntilReleased();
+    lock.release();
+    await expect(waiting).resolves.toBeUndefined();
+    expect(lock.describe()).toEqual({ humanInControl: false, holder: null, since: null });
+  });
+});
+
+describe('CommandParser remote control', () => {
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(new BrowserController(), { llmService: mock });
+    mock.addFixture('pause twice', [{ action: 'wait', duration: 5 }, { action: 'wait', duration: 5 }]);
+  });
+
+  test('pauses commands while a person is in control', async () => {
+    const events = [];
+    const unsubscribe = progressEvents.subscribe({ runId: 'paused-run' }, event => events.push(event.type));
+
+    parser.takeControl('tester');
+    const startedAt = Date.now();
+    setTimeout(() => parser.releaseControl(), 100);
+
+    const result = await parser.parseAndExecute('pause twice', { runId: 'paused-run' });
+    unsubscribe();
+
+    expect(result).toEqual(expect.objectContaining({ action: 'sequence', steps: 2 }));
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    expect(events.slice(0, 2)).toEqual(['command:start', 'control:waiting']);
+  });
+
+  test('cancels a command waiting for control', async () => {
+    parser.takeControl();
+    const running = parser.parseAndExecute('pause twice', { runId: 'waiting-run' });
+    setTimeout(() => parser.cancel('waiting-run'), 20);
+
+    const error = await running.catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandCancelledError);
+    expect(error.reason).toBe('cancelled');
+    expect(parser.controlLock.isHeld()).toBe(true);
+    expect(parser.controlLock.waiters).toEqual([]);
+  });
+
+  test('pauses agent runs until control is handed back', async () => {
+    mock.addFixture('finish up', null, { kind: 'agent', responses: [{ action: 'done', answer: 'finished' }] });
+    parser.takeControl();
+    setTimeout(() => parser.releaseControl(), 50);
+
+    const result = await new GoalAgent(parser).run('finish up');
+
+    expect(result.stopReason).toBe('done');
+    expect(result.durationMs).toBeGreaterThanOrEqual(40);
+  });
+
+  test('only forwards input while a person is in control', async () => {
+    parser.activeSession = 'some-session';
+
+    await expect(parser.sendInput({ type: 'click', x: 1, y: 1 })).rejects.toMatchObject({ statusCode: 409 });
+
+    parser.takeControl();
+    await expect(parser.sendInput({ type: 'click', x: 1, y: 1 })).rejects.toThrow('Browser session not found');
+  });
+});
+
+describeWithBrowser('BrowserController.sendInput against fixture pages', () => {
+  let server;
+  let browserController;
+  let sessionId;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController();
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  test('clicks and types on the page', async () => {
+    await browserController.navigateTo(server.url('form.html'), sessionId);
+    const { page } = browserController.getSession(sessionId);
+    const box = await page.locator('#email').boundingBox();
+
+    await browserController.sendInput(sessionId, { type: 'click', x: box.x + 5, y: box.y + 5 });
+    await browserController.sendInput(sessionId, { type: 'type', text: 'me@example.com' });
+
+    expect(await page.textContent('#echo')).toBe('me@example.com');
+  });
+
+  test('rejects malformed input', async () => {
+    await expect(browserController.sendInput(sessionId, { type: 'click' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(browserController.sendInput(sessionId, { type: 'hover' })).rejects.toThrow('Unknown input type');
+  });
+});
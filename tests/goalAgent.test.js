@@ -0,0 +1,121 @@
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const GoalAgent = require('../src/agent/goalAgent');
+const MockLLMService = require('../src/utils/mockLLMService');
+const config = require('../src/config/config');
+
+describe('GoalAgent', () => {
+  const originalPricing = { ...config.llm.pricing };
+  const goal = 'find the cheapest monitor';
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(new BrowserController(), { llmService: mock });
+  });
+
+  afterEach(() => {
+    Object.assign(config.llm.pricing, originalPricing);
+  });
+
+  // Plain waits run without a browser session; waiting for a selector fails without one
+  const agentFixture = responses => mock.addFixture(goal, null, { kind: 'agent', responses });
+
+  test('runs actions until the model reports it is done', async () => {
+    agentFixture([
+      { action: 'wait', duration: 5 },
+      { action: 'done', answer: 'Acme 27" at $199' }
+    ]);
+
+    const result = await new GoalAgent(parser).run(goal);
+
+    expect(result).toEqual(expect.objectContaining({
+      goal,
+      status: 'completed',
+      success: true,
+      answer: 'Acme 27" at $199',
+      stopReason: 'done'
+    }));
+    expect(result.steps).toEqual([
+      expect.objectContaining({ step: 1, action: 'wait', input: { duration: 5 }, status: 'succeeded', durationMs: expect.any(Number) })
+    ]);
+    expect(result.usage.requests).toBe(2);
+    expect(result.usage.totalTokens).toBeGreaterThan(0);
+
+    const [first, second] = mock.prompts;
+    expect(first.kind).toBe('agent');
+    expect(first.steps).toEqual([]);
+    expect(second.steps).toHaveLength(1);
+    expect(second.prompt).toContain(`working autonomously towards this goal: "${goal}"`);
+    expect(second.prompt).toContain('1. {"action":"wait","duration":5} succeeded');
+  });
+
+  test('feeds failed and invalid actions back to the model', async () => {
+    agentFixture([
+      { action: 'wait', selector: '#results' },
+      { action: 'teleport' },
+      { action: 'done', answer: 'No monitors found', success: false }
+    ]);
+
+    const result = await new GoalAgent(parser).run(goal);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'completed', success: false, answer: 'No monitors found' }));
+    expect(result.steps.map(step => step.status)).toEqual(['failed', 'failed']);
+    expect(result.steps[1].error).toContain('Invalid action');
+    expect(mock.getLastPrompt().prompt).toContain('2. {"action":"teleport"} failed -> Invalid action');
+  });
+
+  test('stops when the step budget is used up', async () => {
+    agentFixture([{ action: 'wait', duration: 5 }]);
+
+    const result = await new GoalAgent(parser, { maxSteps: 3 }).run(goal);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'stopped', success: false, answer: null, stopReason: 'max_steps' }));
+    expect(result.steps).toHaveLength(3);
+  });
+
+  test('stops when the token budget is used up', async () => {
+    agentFixture([{ action: 'wait', duration: 5 }]);
+
+    const result = await new GoalAgent(parser, { maxTokens: 1 }).run(goal);
+
+    expect(result.stopReason).toBe('max_tokens');
+    expect(result.steps).toHaveLength(1);
+  });
+
+  test('stops when the cost budget is used up', async () => {
+    config.llm.pricing.inputPer1k = 1;
+    agentFixture([{ action: 'wait', duration: 5 }]);
+
+    const result = await new GoalAgent(parser, { maxCost: 0.0001, maxTokens: 0 }).run(goal);
+
+    expect(result.stopReason).toBe('max_cost');
+    expect(result.usage.cost).toBeGreaterThan(0);
+  });
+
+  test('stops when the model gives no usable action', async () => {
+    const result = await new GoalAgent(parser).run(goal);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'stopped', stopReason: 'no_action', steps: [] }));
+  });
+
+  test('keeps a run\'s budget within the configured limits', () => {
+    const original = { ...config.agent };
+    Object.assign(config.agent, { maxSteps: 20, maxDurationMs: 60000, maxCost: 0, maxTokens: 1000 });
+
+    try {
+      expect(new GoalAgent(parser, { maxSteps: 5, maxDurationMs: 1e9, maxCost: 2.5, maxTokens: 0 }).budget)
+        .toEqual({ maxSteps: 5, maxDurationMs: 60000, maxCost: 2.5, maxTokens: 1000 });
+      expect(new GoalAgent(parser, null).budget).toEqual({ maxSteps: 20, maxDurationMs: 60000, maxCost: 0, maxTokens: 1000 });
+
+      for (const budget of [{ maxSteps: 0 }, { maxDurationMs: -1 }, { maxCost: Infinity }, { maxTokens: '500' }, { maxSteps: NaN }]) {
+        expect(() => new GoalAgent(parser, budget)).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('must be a positive number') }));
+      }
+      expect(() => new GoalAgent(parser, { steps: 5 })).toThrow('Unknown agent budget field(s): steps');
+      expect(() => new GoalAgent(parser, [5])).toThrow('The agent budget must be an object');
+    } finally {
+      Object.assign(config.agent, original);
+    }
+  });
+});
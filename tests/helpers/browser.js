@@ -0,0 +1,22 @@
+/**
+ * Browser test helpers
+ */
+const fs = require('fs');
+const { chromium } = require('playwright');
+
+/**
+ * Check whether Playwright's chromium build is installed
+ * @returns {boolean} True if headless chromium can be launched
+ */
+function hasChromium() {
+  try {
+    return fs.existsSync(chromium.executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+// Browser suites are skipped (not failed) where `npx playwright install chromium` hasn't been run
+const describeWithBrowser = hasChromium() ? describe : describe.skip;
+
+module.exports = { hasChromium, describeWithBrowser };
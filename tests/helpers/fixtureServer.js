@@ -0,0 +1,49 @@
+/**
+ * Fixture Server - Serves the HTML pages in tests/fixtures from an in-process HTTP server,
+ * and redirects from /redirect?to=<url>
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Start a fixture server on a free local port
+ * @returns {object} Server handle with baseUrl, url(name) and close()
+ */
+async function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    const { pathname: encoded, searchParams } = new URL(req.url, 'http://localhost');
+    const pathname = decodeURIComponent(encoded);
+
+    // /redirect?to=<url> answers with a redirect, for checking where redirects may lead
+    if (pathname === '/redirect') {
+      res.writeHead(302, { Location: searchParams.get('to') });
+      res.end();
+      return;
+    }
+    const filePath = path.join(FIXTURES_DIR, path.normalize(pathname));
+
+    // Only serve files from the fixtures directory
+    if (!filePath.startsWith(FIXTURES_DIR) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    url: name => `${baseUrl}/${name}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../src/jobs/jobQueue');
+const JobStore = require('../src/jobs/jobStore');
+const { CommandCancelledError } = require('../src/utils/errors');
+
+describe('JobQueue', () => {
+  let directory;
+  let sessionManager;
+  let pending;
+  let queue;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-jobs-'));
+    pending = new Map(); // command -> { resolve, reject } for commands that are running
+
+    // Stands in for real browser sessions; commands run until the test finishes them
+    let sessions = 0;
+    const open = new Map([['existing', { type: 'chromium', busy: false, commandParser: { cancel: jest.fn() } }]]);
+    sessionManager = {
+      createSession: jest.fn(async browserType => {
+        const sessionId = `session-${++sessions}`;
+        open.set(sessionId, { type: browserType, busy: false, commandParser: { cancel: jest.fn() } });
+        return { sessionId };
+      }),
+      executeCommand: jest.fn((sessionId, command) => new Promise((resolve, reject) => pending.set(command, { resolve, reject }))),
+      hasSession: jest.fn(sessionId => open.has(sessionId)),
+      getSession: jest.fn(sessionId => open.get(sessionId)),
+      closeSession: jest.fn(async sessionId => open.delete(sessionId))
+    };
+    queue = createQueue();
+  });
+
+  afterEach(async () => {
+    queue.stop();
+    // Saves still under way would create the directory again
+    await queue.saving;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createQueue = (options = {}) => new JobQueue(sessionManager, {
+    store: new JobStore(directory),
+    concurrency: 2,
+    perBrowser: { firefox: 1 },
+    ...options
+  });
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  const started = () => sessionManager.executeCommand.mock.calls.map(call => call[1]);
+
+  test('runs jobs in fresh sessions up to the global limit, highest priority first', async () => {
+    const first = await queue.submit({ command: 'first' });
+    await queue.submit({ command: 'second' });
+    const low = await queue.submit({ command: 'low', priority: -1 });
+    const urgent = await queue.submit({ command: 'urgent', priority: 5 });
+    await settle();
+
+    expect(started()).toEqual(['first', 'second']);
+    expect(queue.get(urgent.id)).toEqual(expect.objectContaining({ status: 'queued', position: 1 }));
+    expect(queue.get(low.id).position).toBe(2);
+
+    pending.get('first').resolve({ success: true, message: 'done' });
+    expect(await queue.waitFor(first.id)).toEqual(expect.objectContaining({
+      status: 'succeeded',
+      sessionId: 'session-1',
+      result: { success: true, message: 'done' }
+    }));
+    await settle();
+
+    expect(started()).toEqual(['first', 'second', 'urgent']);
+    expect(sessionManager.closeSession).toHaveBeenCalledWith('session-1');
+  });
+
+  test('keeps each browser engine under its own limit', async () => {
+    const firefox = await queue.submit({ command: 'firefox one', browserType: 'firefox' });
+    await queue.submit({ command: 'firefox two', browserType: 'firefox' });
+    await queue.submit({ command: 'chrome', browserType: 'chrome' });
+    await settle();
+
+    expect(started()).toEqual(['firefox one', 'chrome']);
+    expect(sessionManager.createSession).toHaveBeenCalledWith('firefox', { headless: true }, null);
+
+    pending.get('firefox one').reject(new Error('Element not found'));
+    await queue.waitFor(firefox.id);
+    await settle();
+    expect(started()).toEqual(['firefox one', 'chrome', 'firefox two']);
+    expect(queue.list({ status: 'failed' })[0]).toEqual(expect.objectContaining({ command: 'firefox one', error: 'Element not found' }));
+  });
+
+  test('waits for a busy session before running a job in it', async () => {
+    sessionManager.getSession('existing').busy = true;
+    const job = await queue.submit({ command: 'in session', sessionId: 'existing' });
+    await settle();
+    expect(started()).toEqual([]);
+
+    sessionManager.getSession('existing').busy = false;
+    queue.pump();
+    pending.get('in session').resolve({ success: true });
+
+    expect(await queue.waitFor(job.id)).toEqual(expect.objectContaining({ status: 'succeeded', sessionId: 'existing' }));
+    expect(sessionManager.createSession).not.toHaveBeenCalled();
+    expect(sessionManager.closeSession).not.toHaveBeenCalled();
+  });
+
+  test('cancels queued and running jobs', async () => {
+    const running = await queue.submit({ command: 'running', sessionId: 'existing' });
+    const other = await queue.submit({ command: 'other' });
+    const waiting = await queue.submit({ command: 'waiting' });
+    await settle();
+
+    expect((await queue.cancel(waiting.id)).status).toBe('cancelled');
+    await expect(queue.cancel(waiting.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    await queue.cancel(running.id);
+    expect(sessionManager.getSession('existing').commandParser.cancel).toHaveBeenCalledWith(running.id);
+    pending.get('running').reject(new CommandCancelledError('Command cancelled'));
+
+    expect((await queue.waitFor(running.id)).status).toBe('cancelled');
+    expect(queue.get(other.id).status).toBe('running');
+  });
+
+  test('cancels a job whose fresh session is still opening before its work starts', async () => {
+    const launch = sessionManager.createSession.getMockImplementation();
+    let opened;
+    sessionManager.createSession.mockImplementationOnce(browserType => new Promise(resolve => {
+      opened = () => resolve(launch(browserType));
+    }));
+    const job = await queue.submit({ command: 'slow start' });
+    await settle();
+
+    expect((await queue.cancel(job.id)).status).toBe('running');
+    opened();
+
+    expect(await queue.waitFor(job.id)).toEqual(expect.objectContaining({ status: 'cancelled', error: 'Job cancelled before it started' }));
+    expect(started()).toEqual([]);
+    expect(sessionManager.closeSession).toHaveBeenCalledWith('session-1');
+  });
+
+  test('makes work sent straight to sessions wait for a turn under the same limits', async () => {
+    const firefox = await queue.submit({ command: 'firefox job', browserType: 'firefox' });
+    await settle();
+
+    const order = [];
+    const direct = (browserType, name) => queue.runDirect(browserType, async () => {
+      order.push(name);
+      return name;
+    });
+    const waiting = direct('firefox', 'direct firefox');
+    await expect(direct('chromium', 'direct chromium')).resolves.toBe('direct chromium');
+    await settle();
+    expect(order).toEqual(['direct chromium']);
+
+    pending.get('firefox job').resolve({ success: true });
+    await queue.waitFor(firefox.id);
+    await expect(waiting).resolves.toBe('direct firefox');
+    expect(queue.running.size).toBe(0);
+  });
+
+  test('picks up queued jobs after a restart and fails the ones that were interrupted', async () => {
+    queue = createQueue({ concurrency: 1 });
+    const interrupted = await queue.submit({ command: 'interrupted' });
+    const queued = await queue.submit({ command: 'queued', browserType: 'firefox', priority: 1 });
+    await settle();
+    await queue.saving;
+
+    // Nothing runs in the old queue any more; the new one reads what was saved
+    queue.stop();
+    sessionManager.executeCommand.mockClear();
+    queue = createQueue();
+    await queue.start();
+    await settle();
+
+    expect(queue.get(interrupted.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'Interrupted by a server restart' }));
+    expect(queue.get(queued.id).status).toBe('running');
+    expect(started()).toEqual(['queued']);
+  });
+
+  test('rejects jobs without exactly one thing to run', async () => {
+    await expect(queue.submit({})).rejects.toMatchObject({ statusCode: 400 });
+    await expect(queue.submit({ command: 'a', goal: 'b' })).rejects.toThrow('exactly one of command, goal, workflow or macro');
+    await expect(queue.submit({ workflow: '../etc' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(queue.submit({ command: 'a', priority: 'urgent' })).rejects.toThrow('priority must be a number');
+    await expect(queue.submit({ goal: 'a', budget: { maxSteps: -1 } })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(queue.submit({ command: 'a', sessionId: 'missing' })).rejects.toMatchObject({ statusCode: 404 });
+    expect(() => queue.get('missing')).toThrow('Job not found: missing');
+  });
+});
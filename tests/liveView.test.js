@@ -0,0 +1,69 @@
+const BrowserController = require('../src/browser/browserController');
+const LiveView = require('../src/browser/liveView');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('LiveView', () => {
+  test('refuses sessions that do not exist', async () => {
+    const liveView = new LiveView(new BrowserController());
+
+    await expect(liveView.watch('missing', () => {})).rejects.toThrow('Browser session not found: missing');
+    expect(liveView.views.size).toBe(0);
+  });
+});
+
+describeWithBrowser('LiveView against fixture pages', () => {
+  let server;
+  let browserController;
+  let liveView;
+  let sessionId;
+
+  const nextFrame = async () => {
+    let receive;
+    const frame = new Promise(resolve => { receive = resolve; });
+    const stop = await liveView.watch(sessionId, receive);
+    const first = await frame;
+    await stop();
+    return first;
+  };
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController();
+    liveView = new LiveView(browserController);
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+    await browserController.navigateTo(server.url('article.html'), sessionId);
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  test('streams screencast frames with the page URL and title', async () => {
+    const frame = await nextFrame();
+
+    expect(frame).toEqual(expect.objectContaining({
+      sessionId,
+      format: 'jpeg',
+      data: expect.any(String),
+      url: server.url('article.html'),
+      title: expect.any(String)
+    }));
+    expect(liveView.views.size).toBe(0);
+  });
+
+  test('shares one capture between viewers and ends it when the page closes', async () => {
+    const ended = [];
+    await liveView.watch(sessionId, () => {}, () => ended.push('first'));
+    await liveView.watch(sessionId, () => {}, () => ended.push('second'));
+
+    expect(liveView.views.get(sessionId).viewers.size).toBe(2);
+
+    await browserController.closeBrowser(sessionId);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(ended).toEqual(['first', 'second']);
+    expect(liveView.views.size).toBe(0);
+  });
+});
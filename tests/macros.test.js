@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MacroStore = require('../src/macros/macroStore');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { ActionValidationError, PlanExecutionError } = require('../src/utils/errors');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('MacroStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-macros-'));
+    store = new MacroStore(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('saves, lists, loads and deletes macros', async () => {
+    const saved = await store.save('daily-export', [{ action: 'goto', url: 'https://example.com' }], { description: 'Export' });
+
+    expect(saved.actions).toEqual([{ action: 'navigate', url: 'https://example.com' }]);
+    expect(await store.list()).toEqual([
+      { name: 'daily-export', description: 'Export', steps: 1, createdAt: expect.any(String) }
+    ]);
+    expect(await store.get('daily-export')).toEqual(saved);
+
+    await store.delete('daily-export');
+    expect(await store.list()).toEqual([]);
+    await expect(store.get('daily-export')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('rejects unsafe names, empty macros and invalid actions', async () => {
+    await expect(store.save('../escape', [{ action: 'wait' }])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(store.save('empty', [])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(store.save('broken', [{ action: 'teleport' }])).rejects.toBeInstanceOf(ActionValidationError);
+  });
+
+  test('lists nothing before any macro is saved', async () => {
+    expect(await new MacroStore(path.join(directory, 'missing')).list()).toEqual([]);
+  });
+});
+
+describe('CommandParser macros', () => {
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(new BrowserController(), { llmService: mock });
+  });
+
+  test('records the actions that ran', async () => {
+    mock.addFixture('pause twice', [{ action: 'wait', duration: 5 }, { action: 'sleep', time: 10 }]);
+
+    parser.startRecording('pauses', 'Two short pauses');
+    await parser.parseAndExecute('pause twice');
+    const recording = parser.stopRecording();
+
+    expect(recording).toEqual(expect.objectContaining({
+      name: 'pauses',
+      description: 'Two short pauses',
+      actions: [{ action: 'wait', duration: 5 }, { action: 'wait', duration: 10 }]
+    }));
+    expect(parser.recording).toBeNull();
+  });
+
+  test('does not record failed steps and refuses overlapping recordings', async () => {
+    mock.addFixture('wait for results', { action: 'wait', selector: '#results' });
+
+    parser.startRecording('results');
+    await expect(parser.parseAndExecute('wait for results')).rejects.toThrow();
+
+    expect(() => parser.startRecording('other')).toThrow('Already recording macro "results"');
+    expect(parser.stopRecording().actions).toEqual([]);
+    expect(() => parser.stopRecording()).toThrow('No macro is being recorded');
+  });
+
+  test('replays a macro without calling the model', async () => {
+    const result = await parser.replayMacro({ name: 'pauses', actions: [{ action: 'wait', duration: 5 }, { action: 'wait', duration: 5 }] });
+
+    expect(result).toEqual(expect.objectContaining({ action: 'sequence', macro: 'pauses', steps: 2 }));
+    expect(mock.prompts).toHaveLength(0);
+  });
+
+  test('stops a replay at the first failed step instead of re-planning', async () => {
+    const actions = [{ action: 'wait', selector: '#results' }, { action: 'wait', duration: 5 }];
+
+    const error = await parser.replayMacro({ name: 'results', actions }).catch(e => e);
+
+    expect(error).toBeInstanceOf(PlanExecutionError);
+    expect(error.trace).toHaveLength(1);
+    expect(mock.prompts).toHaveLength(0);
+  });
+});
+
+describeWithBrowser('CommandParser macros against fixture pages', () => {
+  let server;
+  let browserController;
+  let mock;
+  let parser;
+  let sessionId;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController();
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(browserController, { sessionId, llmService: mock });
+    await browserController.navigateTo(server.url('form.html'), sessionId);
+  });
+
+  test('records the selector an element was resolved to and replays it', async () => {
+    mock.addFixture('subscribe', { action: 'click', target: 'Subscribe' });
+
+    parser.startRecording('subscribe');
+    await parser.parseAndExecute('subscribe');
+    const { actions } = parser.stopRecording();
+
+    expect(actions).toEqual([{ action: 'click', selector: expect.any(String) }]);
+
+    await browserController.navigateTo(server.url('form.html'), sessionId);
+    await parser.replayMacro({ name: 'subscribe', actions });
+
+    const { page } = browserController.getSession(sessionId);
+    expect(await page.textContent('#status')).toBe('subscribed');
+    expect(mock.prompts).toHaveLength(1);
+  });
+});
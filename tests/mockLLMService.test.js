@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { createLLMService } = require('../src/utils/llmProviders');
+
+describe('MockLLMService', () => {
+  const state = {
+    activeSessionId: 'chromium-test',
+    url: 'http://127.0.0.1/form.html',
+    domSnapshot: '<main>\n  <form#signup>\n</main>'
+  };
+
+  test('returns canned actions for exact and regex matches', async () => {
+    const mock = new MockLLMService({
+      fixturesPath: null,
+      fixtures: [
+        { match: 'Go to the docs', response: { action: 'navigate', url: 'https://example.com/docs' } },
+        { match: { pattern: '^search for (.+)$', flags: 'i' }, response: { action: 'search', query: '$1' } }
+      ]
+    });
+
+    expect(await mock.processCommand('go to the docs', state))
+      .toEqual({ action: 'navigate', url: 'https://example.com/docs' });
+    expect(await mock.processCommand('Search for wireless mice', state))
+      .toEqual({ action: 'search', query: 'wireless mice' });
+  });
+
+  test('records the prompt, state info and DOM snapshot of each call', async () => {
+    const mock = new MockLLMService({ fixturesPath: null })
+      .addFixture('reload', { action: 'reload' });
+
+    await mock.processCommand('reload', state);
+
+    const call = mock.getLastPrompt();
+    expect(call.command).toBe('reload');
+    expect(call.stateInfo).toContain('Current URL: http://127.0.0.1/form.html');
+    expect(call.domSnapshot).toBe(state.domSnapshot);
+    expect(call.prompt).toContain('<form#signup>');
+    expect(call.response).toBe('{"action":"reload"}');
+  });
+
+  test('sends earlier turns as history', async () => {
+    const mock = new MockLLMService({ fixturesPath: null, defaultResponse: { action: 'reload' } });
+
+    await mock.processCommand('first', state);
+    await mock.processCommand('second', state);
+
+    expect(mock.prompts[0].history).toEqual([]);
+    expect(mock.prompts[1].history.map(turn => turn.role)).toEqual(['user', 'assistant']);
+  });
+
+  test('malformed responses are repaired by extractAndRepairJSON', async () => {
+    const plan = [
+      { action: 'type', selector: '#email', value: 'ada@example.com' },
+      { action: 'click', selector: '#subscribe' }
+    ];
+    const mock = new MockLLMService({ fixturesPath: null })
+      .addFixture('sign up', plan, { malformed: true });
+
+    const result = await mock.processCommand('sign up', state);
+
+    expect(() => JSON.parse(mock.getLastPrompt().response)).toThrow();
+    expect(result).toEqual(plan);
+  });
+
+  test('falls back when nothing matches or the provider errors', async () => {
+    const mock = new MockLLMService({ fixturesPath: null })
+      .addFixture('model down', null, { error: 'Service unavailable' });
+
+    expect(await mock.processCommand('no fixture for this', state))
+      .toEqual(expect.objectContaining({ fallback: true }));
+    expect(await mock.processCommand('model down', state))
+      .toEqual(expect.objectContaining({ fallback: true }));
+  });
+
+  test('returns raw responses verbatim', async () => {
+    const mock = new MockLLMService({ fixturesPath: null })
+      .addFixture('raw', null, { raw: 'Result: {"action": "back"}' });
+
+    expect(await mock.processCommand('raw', state)).toEqual({ action: 'back' });
+    expect(mock.getLastPrompt().response).toBe('Result: {"action": "back"}');
+  });
+
+  test('loads fixtures from a file and is available through the provider registry', async () => {
+    const fixturesPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-')), 'fixtures.json');
+    fs.writeFileSync(fixturesPath, JSON.stringify([
+      { match: { pattern: 'scroll (up|down)' }, response: { action: 'scroll', direction: '$1' } }
+    ]));
+
+    const mock = createLLMService('mock', { fixturesPath });
+
+    expect(mock).toBeInstanceOf(MockLLMService);
+    expect(await mock.processCommand('scroll down', state)).toEqual({ action: 'scroll', direction: 'down' });
+
+    fs.rmSync(path.dirname(fixturesPath), { recursive: true, force: true });
+  });
+
+  test('reset clears recorded prompts and history', async () => {
+    const mock = new MockLLMService({ fixturesPath: null, defaultResponse: { action: 'reload' } });
+
+    await mock.processCommand('first', state);
+    mock.reset();
+
+    expect(mock.prompts).toEqual([]);
+    expect(mock.prepareChatHistory()).toEqual([]);
+  });
+});
@@ -0,0 +1,232 @@
+const dns = require('dns');
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MockLLMService = require('../src/utils/mockLLMService');
+const NavigationPolicy = require('../src/security/navigationPolicy');
+const { PolicyViolationError } = require('../src/utils/errors');
+const { progressEvents } = require('../src/utils/progressEvents');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('NavigationPolicy', () => {
+  const policy = new NavigationPolicy({ deniedDomains: ['*.ads.example', 'tracker.test'], allowPrivateNetworks: false, allowFileUrls: false });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('blocks file:// and other non-web URLs', () => {
+    expect(policy.check('file:///etc/passwd')).toBe('file:// URLs are not allowed');
+    expect(policy.check('javascript:alert(1)')).toBe('javascript: URLs are not allowed');
+    expect(policy.check('data:text/html,<h1>hi</h1>', { navigation: true })).toMatch(/data: URLs/);
+    expect(policy.check('data:image/png;base64,AAAA')).toBeNull();
+    expect(policy.check('about:blank', { navigation: true })).toBeNull();
+    expect(new NavigationPolicy({ allowFileUrls: true }).check('file:///tmp/page.html')).toBeNull();
+  });
+
+  test('blocks denied domains and their subdomains', () => {
+    expect(policy.check('https://tracker.test/pixel.gif')).toBe('tracker.test is on the denied list');
+    expect(policy.check('https://cdn.TRACKER.test/x.js')).toBe('cdn.tracker.test is on the denied list');
+    expect(policy.check('https://eu.ads.example/')).toBe('eu.ads.example is on the denied list');
+    expect(policy.check('https://nottracker.test/')).toBeNull();
+  });
+
+  test('blocks localhost and private addresses however they are written', () => {
+    for (const url of [
+      'http://localhost:3000/',
+      'http://app.localhost/',
+      'http://127.0.0.1/',
+      'http://2130706433/',
+      'http://10.1.2.3/',
+      'http://172.20.0.1/',
+      'http://192.168.1.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[::ffff:a00:1]/',
+      'http://[64:ff9b::a9fe:a9fe]/',
+      'http://[fd12:3456::1]/',
+      'http://[fe80::1]/',
+      'http://0.0.0.0/',
+      'http://100.64.0.1/',
+      'http://198.18.0.1/'
+    ]) {
+      expect(policy.check(url)).toMatch(/is a local or private network address$/);
+    }
+
+    expect(policy.check('http://172.32.0.1/')).toBeNull();
+    expect(policy.check('http://8.8.8.8/')).toBeNull();
+    expect(policy.check('http://[::ffff:808:808]/')).toBeNull();
+    expect(policy.check('http://[2606:4700::1111]/')).toBeNull();
+    expect(new NavigationPolicy({ allowPrivateNetworks: true }).check('http://localhost:3000/')).toBeNull();
+  });
+
+  test('applies an allowlist to pages but not to what they load', () => {
+    const allowlist = new NavigationPolicy({ allowedDomains: ['example.com'], deniedDomains: ['evil.example.com'] });
+
+    expect(allowlist.check('https://www.example.com/', { navigation: true })).toBeNull();
+    expect(allowlist.check('https://example.org/', { navigation: true })).toBe('example.org is not on the allowed list');
+    expect(allowlist.check('https://cdn.example.net/app.js')).toBeNull();
+    expect(allowlist.check('https://evil.example.com/', { navigation: true })).toBe('evil.example.com is on the denied list');
+  });
+
+  test('blocks page loads of names that resolve to private addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async host => (
+      host === 'intranet.corp.test' ? [{ address: '10.0.0.5', family: 4 }] : [{ address: '93.184.216.34', family: 4 }]
+    ));
+
+    await expect(policy.enforce('https://intranet.corp.test/wiki')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Navigation to https://intranet.corp.test/wiki blocked by policy: intranet.corp.test resolves to the private address 10.0.0.5'
+    });
+    await expect(policy.enforce('https://example.com/')).resolves.toBeUndefined();
+  });
+
+  test('looks up the names of images, scripts and other requests too', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+    const policy = new NavigationPolicy({ allowPrivateNetworks: false });
+
+    await expect(policy.checkResolved('https://intranet.corp.test/api')).resolves
+      .toBe('intranet.corp.test resolves to the private address 10.0.0.5');
+    await policy.checkResolved('https://intranet.corp.test/logo.png');
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Navigation policy in the browser controller', () => {
+  let browserController;
+  let page;
+
+  beforeEach(() => {
+    // Stands in for a page; navigation is checked before the page is touched
+    browserController = new BrowserController({ navigationPolicy: new NavigationPolicy({ allowPrivateNetworks: false }) });
+    page = { goto: jest.fn(), mainFrame: () => 'main frame' };
+    browserController.browsers.set('page', { page, options: {} });
+  });
+
+  test('refuses to navigate anywhere the policy blocks', async () => {
+    await expect(browserController.navigateTo('file:///etc/passwd', 'page')).rejects.toThrow(PolicyViolationError);
+    await expect(browserController.navigateTo('localhost:8080/admin', 'page')).rejects.toMatchObject({
+      statusCode: 403,
+      url: 'https://localhost:8080/admin',
+      reason: 'localhost is a local or private network address'
+    });
+    expect(page.goto).not.toHaveBeenCalled();
+  });
+
+  test('aborts blocked requests and reports blocked page loads of the main frame', async () => {
+    const route = url => ({
+      request: () => ({ url: () => url, isNavigationRequest: () => true, frame: () => 'main frame' }),
+      continue: jest.fn(async () => {}),
+      abort: jest.fn(async () => {})
+    });
+
+    const blocked = route('http://192.168.0.1/');
+    await browserController.enforcePolicy(blocked, 'page');
+    expect(blocked.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(browserController.takeBlockedNavigation('page')).toMatchObject({ url: 'http://192.168.0.1/' });
+    expect(browserController.takeBlockedNavigation('page')).toBeNull();
+
+    const allowed = route('https://example.com/');
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    await browserController.enforcePolicy(allowed, 'page');
+    expect(allowed.continue).toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  test('stops an AI plan at a policy violation instead of re-planning', async () => {
+    const mock = new MockLLMService({ fixturesPath: null });
+    const parser = new CommandParser(browserController, { sessionId: 'page', llmService: mock });
+    mock.addFixture('read the instance metadata', [
+      { action: 'navigate', url: 'http://169.254.169.254/latest/meta-data/' },
+      { action: 'extract' }
+    ]);
+
+    await expect(parser.parseAndExecute('read the instance metadata')).rejects.toMatchObject({
+      name: 'PolicyViolationError',
+      reason: '169.254.169.254 is a local or private network address'
+    });
+    expect(mock.prompts.map(call => call.kind)).toEqual(['command']);
+  });
+
+  test('reports a policy violation from a rule-based command as such', async () => {
+    // No fixture matches, so the command goes to the rule-based parser
+    const parser = new CommandParser(browserController, { sessionId: 'page', llmService: new MockLLMService({ fixturesPath: null }) });
+
+    await expect(parser.parseAndExecute('go to http://169.254.169.254/latest')).rejects.toMatchObject({
+      name: 'PolicyViolationError',
+      statusCode: 403,
+      reason: '169.254.169.254 is a local or private network address'
+    });
+    expect(page.goto).not.toHaveBeenCalled();
+  });
+});
+
+describeWithBrowser('Navigation policy against fixture pages', () => {
+  let server;
+  let browserController;
+  let sessionId;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController({
+      navigationPolicy: new NavigationPolicy({ deniedDomains: ['blocked.test', 'localhost'], allowPrivateNetworks: true })
+    });
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+    await browserController.navigateTo(server.url('form.html'), sessionId);
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  test('blocks requests the page makes to denied domains', async () => {
+    const { page } = browserController.getSession(sessionId);
+    const outcome = await page.evaluate(() => fetch('http://blocked.test/data.json').then(() => 'loaded', () => 'blocked'));
+
+    expect(outcome).toBe('blocked');
+  });
+
+  test('keeps the page where it is when it tries to open a denied domain', async () => {
+    const { page } = browserController.getSession(sessionId);
+    const blocked = new Promise(resolve => {
+      const unsubscribe = progressEvents.subscribe({ sessionId }, event => {
+        if (event.type === 'policy:blocked') {
+          unsubscribe();
+          resolve(event);
+        }
+      });
+    });
+
+    await page.evaluate(() => { location.href = 'http://blocked.test/'; });
+
+    expect(await blocked).toMatchObject({ url: 'http://blocked.test/', reason: 'blocked.test is on the denied list' });
+    expect(page.url()).toBe(server.url('form.html'));
+  });
+
+  test('refuses a page that redirects somewhere the policy blocks', async () => {
+    // The fixture server also answers as localhost, which is denied here
+    const target = server.url('article.html').replace('127.0.0.1', 'localhost');
+    const { page } = browserController.getSession(sessionId);
+
+    await expect(browserController.navigateTo(server.url(`redirect?to=${encodeURIComponent(target)}`), sessionId)).rejects.toMatchObject({
+      name: 'PolicyViolationError',
+      url: target,
+      reason: 'localhost is on the denied list'
+    });
+    expect(page.url()).toBe('about:blank');
+    expect(await page.content()).not.toContain('Release notes');
+  });
+
+  test('clears the page when something it loads redirects somewhere the policy blocks', async () => {
+    await browserController.navigateTo(server.url('form.html'), sessionId);
+    const target = server.url('article.html').replace('127.0.0.1', 'localhost');
+
+    await expect(browserController.executeScript(
+      `fetch('/redirect?to=${encodeURIComponent(target)}', { mode: 'no-cors' }).then(() => 'loaded', () => 'failed')`,
+      sessionId
+    )).rejects.toMatchObject({ name: 'PolicyViolationError', reason: 'localhost is on the denied list' });
+    expect(browserController.getSession(sessionId).page.url()).toBe('about:blank');
+  });
+});
@@ -0,0 +1,67 @@
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { toPlaywrightTest } = require('../src/export/playwrightExporter');
+
+describe('toPlaywrightTest', () => {
+  test('writes a Playwright statement for each action', () => {
+    const code = toPlaywrightTest([
+      { action: 'navigate', url: 'example.com/login' },
+      { action: 'type', selector: '#email', value: 'ada@example.com' },
+      { action: 'click', selector: 'button:has-text("Sign in")' },
+      { action: 'select', selector: '#country', value: 'NZ' },
+      { action: 'scroll', direction: 'down', amount: 500 },
+      { action: 'wait', selector: '.dashboard' },
+      { action: 'wait', duration: 250 },
+      { action: 'search', selector: 'input[name="q"]', value: 'shoes' }
+    ], { name: 'signs in' });
+
+    expect(code).toContain("const { test, expect } = require('@playwright/test');");
+    expect(code).toContain("test('signs in', async ({ page }) => {");
+    expect(code.split('\n').filter(line => line.startsWith('  '))).toEqual([
+      "  await page.goto('https://example.com/login');",
+      "  await page.locator('#email').fill('ada@example.com');",
+      "  await page.locator('button:has-text(\"Sign in\")').click();",
+      "  await page.locator('#country').selectOption('NZ');",
+      '  await page.evaluate(() => window.scrollBy(0, 500));',
+      "  await page.locator('.dashboard').waitFor();",
+      '  await page.waitForTimeout(250);',
+      "  await page.locator('input[name=\"q\"]').fill('shoes');",
+      "  await page.locator('input[name=\"q\"]').press('Enter');"
+    ]);
+  });
+
+  test('escapes quotes and comments out actions a test cannot replay', () => {
+    const code = toPlaywrightTest([
+      { action: 'open', browser: 'chromium' },
+      { action: 'type', selector: "input[placeholder='Name']", value: "O'Brien\nJr" },
+      { action: 'click', target: 'the mystery button' },
+      { action: 'close' }
+    ], { name: "Ada's session" });
+
+    expect(code).toContain("test('Ada\\'s session'");
+    expect(code).toContain("await page.locator('input[placeholder=\\'Name\\']').fill('O\\'Brien\\nJr');");
+    expect(code).toContain('// click: no selector was resolved for "the mystery button"');
+    expect(code).toContain('// open: Playwright Test launches the browser');
+    expect(code).toContain('// close: Playwright Test closes the browser');
+  });
+
+  test('produces an empty test when nothing has run', () => {
+    expect(toPlaywrightTest([])).toContain('  // No actions were recorded');
+  });
+});
+
+describe('CommandParser action log', () => {
+  test('logs the actions that ran, ready to export', async () => {
+    const mock = new MockLLMService({ fixturesPath: null });
+    const parser = new CommandParser(new BrowserController(), { llmService: mock });
+    mock.addFixture('pause twice', [{ action: 'wait', duration: 5 }, { action: 'wait', duration: 10 }]);
+    mock.addFixture('wait for results', { action: 'wait', selector: '#results' });
+
+    await parser.parseAndExecute('pause twice');
+    await expect(parser.parseAndExecute('wait for results')).rejects.toThrow();
+
+    expect(parser.actionLog).toEqual([{ action: 'wait', duration: 5 }, { action: 'wait', duration: 10 }]);
+    expect(toPlaywrightTest(parser.actionLog)).toContain('  await page.waitForTimeout(10);');
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const ProfileStore = require('../src/profiles/profileStore');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { validateAction } = require('../src/commands/actionSchema');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+const cookie = { name: 'sid', value: 'abc123', domain: 'example.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' };
+
+describe('ProfileStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-profiles-'));
+    store = new ProfileStore(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('saves, lists, exports and wipes profiles', async () => {
+    const origins = [{ origin: 'https://example.com', localStorage: [{ name: 'theme', value: 'dark' }] }];
+
+    expect(await store.saveState('Work', { cookies: [cookie], origins })).toEqual(expect.objectContaining({
+      name: 'work',
+      cookies: 1,
+      origins: ['https://example.com']
+    }));
+    expect(await store.list()).toEqual([expect.objectContaining({ name: 'work', cookies: 1 })]);
+    expect((await store.get('work')).storageState).toEqual({ cookies: [cookie], origins });
+
+    await store.delete('WORK');
+    expect(await store.loadState('work')).toBeNull();
+    await expect(store.delete('work')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('keeps the creation time when a profile is saved again', async () => {
+    const first = await store.saveState('personal', { cookies: [], origins: [] });
+    const second = await store.saveState('personal', { cookies: [cookie], origins: [] });
+
+    expect(second.createdAt).toBe(first.createdAt);
+    expect(await store.loadState('personal')).toEqual({ cookies: [cookie], origins: [] });
+  });
+
+  test('rejects unsafe names and anything that is not a storage state', async () => {
+    await expect(store.saveState('../escape', { cookies: [], origins: [] })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(store.saveState('work', { cookies: 'sid=abc' })).rejects.toThrow('"cookies" and "origins" lists');
+    expect(await store.list()).toEqual([]);
+  });
+});
+
+describe('Choosing a profile', () => {
+  test('reads the profile from open commands and AI actions', () => {
+    const parser = new CommandParser(new BrowserController(), { llmService: new MockLLMService({ fixturesPath: null }) });
+
+    expect(parser.extractLaunchOptions('open chrome with profile Work')).toEqual({ profile: 'work' });
+    expect(parser.pickLaunchOptions(validateAction({ action: 'open', browser: 'chrome', profile: 'work' }).action)).toEqual({ profile: 'work' });
+  });
+
+  test('reports the profile with the launch options', () => {
+    const browserController = new BrowserController();
+
+    expect(browserController.resolveLaunchOptions({ profile: 'Work' }).profile).toBe('work');
+    expect(browserController.resolveLaunchOptions({}).profile).toBeNull();
+    expect(() => browserController.resolveLaunchOptions({ profile: 'no/slashes' })).toThrow('Profile names must be');
+  });
+});
+
+describeWithBrowser('Profiles against fixture pages', () => {
+  let server;
+  let directory;
+  let browserController;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-profiles-'));
+    browserController = new BrowserController({ profileStore: new ProfileStore(directory) });
+  });
+
+  afterEach(async () => {
+    await browserController.closeAll();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('restores cookies and local storage in the next session with the profile', async () => {
+    const first = await browserController.launchBrowser('chromium', { headless: true, profile: 'work' });
+    await browserController.navigateTo(server.url('form.html'), first.sessionId);
+    const { page, context } = browserController.getSession(first.sessionId);
+    await context.addCookies([{ name: 'sid', value: 'abc123', url: server.url('') }]);
+    await page.evaluate(() => localStorage.setItem('theme', 'dark'));
+    await browserController.closeBrowser(first.sessionId);
+
+    const second = await browserController.launchBrowser('chromium', { headless: true, profile: 'work' });
+    await browserController.navigateTo(server.url('form.html'), second.sessionId);
+    const reopened = browserController.getSession(second.sessionId);
+
+    expect(second.options.profile).toBe('work');
+    expect((await reopened.context.cookies()).map(saved => saved.value)).toContain('abc123');
+    expect(await reopened.page.evaluate(() => localStorage.getItem('theme'))).toBe('dark');
+    expect(browserController.isProfileInUse('work')).toBe(true);
+  });
+});
@@ -0,0 +1,102 @@
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { progressEvents, ProgressEvents } = require('../src/utils/progressEvents');
+
+describe('ProgressEvents', () => {
+  test('stamps events with the run they were published in', async () => {
+    const bus = new ProgressEvents();
+    const events = [];
+    bus.subscribe({}, event => events.push(event));
+
+    await bus.runWith({ runId: 'run-1', sessionId: 'session-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      bus.publish('step:start', { step: 1 });
+    });
+    bus.publish('outside');
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'step:start', runId: 'run-1', sessionId: 'session-1', step: 1, time: expect.any(String) }),
+      expect.objectContaining({ type: 'outside', runId: null, sessionId: null })
+    ]);
+  });
+
+  test('filters subscriptions by run and session', async () => {
+    const bus = new ProgressEvents();
+    const events = [];
+    const unsubscribe = bus.subscribe({ sessionId: 'a' }, event => events.push(event.type));
+
+    await bus.runWith({ sessionId: 'a' }, async () => bus.publish('first'));
+    await bus.runWith({ sessionId: 'b' }, async () => bus.publish('other'));
+    unsubscribe();
+    await bus.runWith({ sessionId: 'a' }, async () => bus.publish('late'));
+
+    expect(events).toEqual(['first']);
+  });
+
+  test('keeps the runs in progress, and can pass only the events of one owner\'s runs', async () => {
+    const bus = new ProgressEvents();
+    const events = [];
+    bus.subscribe({ owner: 'bob' }, event => events.push(event.type));
+
+    await bus.runWith({ runId: 'run-1', owner: 'bob' }, async () => {
+      expect(bus.findRun('run-1')).toEqual(expect.objectContaining({ runId: 'run-1', owner: 'bob' }));
+      bus.publish('mine');
+    });
+    await bus.runWith({ owner: 'dan' }, async () => bus.publish('theirs'));
+    bus.publish('outside');
+
+    expect(events).toEqual(['mine']);
+    expect(bus.findRun('run-1')).toBeNull();
+  });
+});
+
+describe('CommandParser progress events', () => {
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    events = [];
+    unsubscribe = progressEvents.subscribe({ runId: 'test-run' }, event => events.push(event));
+  });
+
+  afterEach(() => unsubscribe());
+
+  test('publishes the plan, each step and the browser actions of a command', async () => {
+    const mock = new MockLLMService({ fixturesPath: null });
+    const parser = new CommandParser(new BrowserController(), { llmService: mock });
+    mock.addFixture('pause twice', [{ action: 'wait', duration: 5 }, { action: 'wait', duration: 5 }]);
+
+    await parser.parseAndExecute('pause twice', { runId: 'test-run' });
+
+    expect(events.map(event => event.type)).toEqual([
+      'command:start',
+      'command:plan',
+      'step:start',
+      'browser:start',
+      'browser:finish',
+      'step:finish',
+      'step:start',
+      'browser:start',
+      'browser:finish',
+      'step:finish',
+      'command:finish'
+    ]);
+    expect(events[3]).toEqual(expect.objectContaining({ action: 'waitFor', duration: 5 }));
+    expect(events[5]).toEqual(expect.objectContaining({ step: 1, action: 'wait', status: 'succeeded' }));
+    expect(events[5]).not.toHaveProperty('result');
+  });
+
+  test('publishes failures', async () => {
+    const mock = new MockLLMService({ fixturesPath: null });
+    const parser = new CommandParser(new BrowserController(), { llmService: mock });
+    mock.addFixture('wait for results', [{ action: 'wait', duration: 5 }, { action: 'wait', selector: '#results' }]);
+
+    await expect(parser.parseAndExecute('wait for results', { runId: 'test-run' })).rejects.toThrow();
+
+    expect(events.find(event => event.type === 'browser:error')).toEqual(
+      expect.objectContaining({ action: 'waitFor', selector: '#results', error: expect.any(String) })
+    );
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({ type: 'command:error', command: 'wait for results' }));
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MacroStore = require('../src/macros/macroStore');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { toPlaywrightTest } = require('../src/export/playwrightExporter');
+const { Redactor, redactor } = require('../src/security/redactor');
+const { progressEvents } = require('../src/utils/progressEvents');
+
+describe('Redactor', () => {
+  let secrets;
+
+  beforeEach(() => {
+    secrets = new Redactor({ enabled: true });
+  });
+
+  test('masks each secret as the same unguessable reference everywhere', () => {
+    secrets.addSecrets(['hunter2-pass', 'hunter2'], null);
+    const long = secrets.addSecret('hunter2-pass');
+    const short = secrets.addSecret('hunter2');
+
+    expect(long).toMatch(/^\{\{secret:[0-9a-f]{16}\}\}$/);
+    expect(short).not.toBe(long);
+    expect(secrets.redact('login hunter2-pass, then hunter2')).toBe(`login ${long}, then ${short}`);
+    expect(secrets.redact({ steps: [{ value: 'hunter2' }], count: 2 })).toEqual({ steps: [{ value: short }], count: 2 });
+    expect(secrets.reveal(`${long}/${short.replace('secret:', ' secret:')}`, null)).toBe('hunter2-pass/hunter2');
+  });
+
+  test('recognises card numbers and SSNs without masking ordinary numbers', () => {
+    const card = secrets.withScope(null, () => secrets.redact('4111 1111 1111 1111'));
+
+    expect(secrets.redact('card 4111 1111 1111 1111 and ssn 123-45-6789')).toBe(`card ${card} and ssn ${secrets.addSecret('123-45-6789')}`);
+    expect(secrets.redact('card 4111-1111-1111-1111')).toMatch(/^card \{\{secret:[0-9a-f]+\}\}$/);
+    expect(secrets.reveal(card, null)).toBe('4111 1111 1111 1111');
+
+    const ordinary = 'order 4111111111111112 at 1760875200000 on 2026-10-19, call 555-123-4567, id 000-12-3456';
+    expect(secrets.redact(ordinary)).toBe(ordinary);
+  });
+
+  test('leaves data URLs, buffers and short values alone', () => {
+    const screenshot = Buffer.from('4111111111111111');
+    secrets.addSecret('abc');
+
+    expect(secrets.redact({ screenshot, image: 'data:image/png;base64,4111111111111111' }))
+      .toEqual({ screenshot, image: 'data:image/png;base64,4111111111111111' });
+    expect(secrets.redact('abc')).toBe('abc');
+  });
+
+  test('can be switched off, and rejects unknown references and bad secrets', () => {
+    const disabled = new Redactor({ enabled: false });
+    disabled.addSecret('hunter2');
+
+    expect(disabled.redact('hunter2 4111111111111111')).toBe('hunter2 4111111111111111');
+    expect(() => secrets.reveal('{{secret:9}}')).toThrow('Unknown secret {{secret:9}}');
+    expect(() => secrets.addSecrets('hunter2')).toThrow('secrets must be a list of strings');
+  });
+
+  test('only reveals a secret to the scopes it was seen in', () => {
+    const reference = secrets.withScope('ada', () => secrets.addSecret('ada-password'));
+    secrets.addSecrets(['bob-password'], 'bob');
+
+    expect(secrets.withScope('ada', () => secrets.reveal(reference))).toBe('ada-password');
+    expect(() => secrets.withScope('bob', () => secrets.reveal(reference))).toThrow(`Unknown secret ${reference}`);
+    expect(() => secrets.reveal(reference)).toThrow(`Unknown secret ${reference}`);
+    expect(() => secrets.reveal(reference, null)).toThrow(`Unknown secret ${reference}`);
+    expect(() => secrets.reveal(secrets.redact('bob-password'), 'ada')).toThrow('Unknown secret');
+
+    // Bob can only use Ada's secret once it turns up in his own work
+    secrets.withScope('bob', () => secrets.redact('my password is ada-password'));
+    expect(secrets.reveal(reference, 'bob')).toBe('ada-password');
+  });
+});
+
+describe('Redaction in commands', () => {
+  let browserController;
+  let page;
+  let mock;
+  let parser;
+
+  beforeEach(() => {
+    // Stands in for a page; only fillField touches it
+    browserController = new BrowserController();
+    page = { waitForSelector: jest.fn(), evaluate: jest.fn(), fill: jest.fn(), url: () => 'https://shop.example.com/checkout' };
+    browserController.browsers.set('page', { page, options: {} });
+    browserController.findBestSelector = jest.fn(async selector => selector);
+
+    mock = new MockLLMService({ fixturesPath: null });
+    parser = new CommandParser(browserController, { sessionId: 'page', llmService: mock });
+  });
+
+  test('types a masked card number but never shows it to the AI, events or result', async () => {
+    const reference = redactor.redact('5555 5555 5555 4444');
+    mock.addFixture(/^pay with/, { action: 'type', selector: '#card', value: reference });
+    const events = [];
+    const unsubscribe = progressEvents.subscribe({}, event => events.push(event));
+
+    const result = await parser.parseAndExecute('pay with 5555 5555 5555 4444');
+    unsubscribe();
+
+    expect(page.fill).toHaveBeenCalledWith('#card', '5555 5555 5555 4444');
+    expect(mock.prompts[0].prompt).toContain(reference);
+    expect(JSON.stringify([result, events, mock.prompts[0].prompt, mock.history])).not.toContain('5555 5555');
+  });
+
+  test('will not type a secret another user\'s commands saw', async () => {
+    const otherMock = new MockLLMService({ fixturesPath: null });
+    const other = new CommandParser(browserController, { sessionId: 'page', llmService: otherMock, owner: 'mallory' });
+    mock.addFixture(/^log in as ada/, { action: 'type', selector: '#password', value: 'ada-secret-99' });
+    page.evaluate.mockResolvedValue(true);
+
+    parser.owner = 'ada';
+    await parser.parseAndExecute('log in as ada');
+    const reference = redactor.redact('ada-secret-99');
+    otherMock.addFixture(/^type the reference/, { action: 'type', selector: '#search', value: reference });
+
+    await expect(other.parseAndExecute('type the reference')).rejects.toThrow(`Unknown secret ${reference}`);
+    expect(page.fill).toHaveBeenCalledTimes(1);
+    expect(page.fill).not.toHaveBeenCalledWith('#search', 'ada-secret-99');
+  });
+
+  test('masks whatever was typed into a password field from then on', async () => {
+    page.evaluate.mockResolvedValue(true);
+
+    const result = await parser.handleTypeCommand('type', { selector: '#password', text: 'correct-horse-42' });
+
+    expect(page.fill).toHaveBeenCalledWith('#password', 'correct-horse-42');
+    expect(result.message).toMatch(/^Typed "\{\{secret:[0-9a-f]+\}\}" into #password$/);
+
+    mock.addToHistory('user', 'my password is correct-horse-42');
+    expect(JSON.stringify(mock.history)).not.toContain('correct-horse-42');
+  });
+
+  test('keeps typed passwords out of recorded macros and exported tests', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-redaction-'));
+    page.evaluate.mockResolvedValue(true);
+    mock.addFixture(/^log in/, { action: 'type', selector: '#password', value: 'hunter2secret' });
+
+    parser.startRecording('login');
+    await parser.parseAndExecute('log in with hunter2secret');
+    const { name, actions } = parser.stopRecording();
+    await new MacroStore(directory).save(name, actions);
+
+    expect(page.fill).toHaveBeenCalledWith('#password', 'hunter2secret');
+    expect(fs.readFileSync(path.join(directory, 'login.json'), 'utf-8')).not.toContain('hunter2secret');
+    expect(toPlaywrightTest(parser.actionLog)).not.toContain('hunter2secret');
+    expect(actions[0].value).toMatch(/^\{\{secret:\w+\}\}$/);
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
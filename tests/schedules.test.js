@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../src/schedules/scheduler');
+const ScheduleStore = require('../src/schedules/scheduleStore');
+const WorkflowStore = require('../src/workflows/workflowStore');
+const { parseCron, nextRun } = require('../src/schedules/cron');
+
+describe('cron', () => {
+  // Friday 16 October 2026, 09:30 local time
+  const friday = new Date(2026, 9, 16, 9, 30);
+
+  test('finds the next matching minute', () => {
+    expect(nextRun('0 9 * * 1-5', friday)).toEqual(new Date(2026, 9, 19, 9, 0));
+    expect(nextRun('*/15 * * * *', friday)).toEqual(new Date(2026, 9, 16, 9, 45));
+    expect(nextRun('30 9 * * fri', friday)).toEqual(new Date(2026, 9, 23, 9, 30));
+    expect(nextRun('@monthly', friday)).toEqual(new Date(2026, 10, 1, 0, 0));
+    expect(nextRun('0 12 1 jan *', friday)).toEqual(new Date(2027, 0, 1, 12, 0));
+  });
+
+  test('runs on either day field when both are restricted', () => {
+    expect(nextRun('0 0 1 * mon', friday)).toEqual(new Date(2026, 9, 19, 0, 0));
+    expect(parseCron('0 0 * * 7').weekdays).toEqual(new Set([0]));
+  });
+
+  test('treats a day field starting with * as unrestricted, as cron does', () => {
+    // Odd days of the month that are also Mondays, not odd days or Mondays
+    expect(nextRun('0 0 */2 * 1', friday)).toEqual(new Date(2026, 9, 19, 0, 0));
+    expect(nextRun('0 0 1 * */2', friday)).toEqual(new Date(2026, 10, 1, 0, 0));
+  });
+
+  test('rejects malformed expressions and ones that never fire', () => {
+    expect(() => parseCron('* * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('bad minute "61"');
+    expect(() => parseCron('0 9 * * mon-fry')).toThrow('bad day of week "mon-fry"');
+    expect(() => parseCron('*/0 * * * *')).toThrow('bad minute');
+    expect(() => nextRun('0 0 30 2 *', friday)).toThrow('never fires');
+  });
+});
+
+describe('Scheduler', () => {
+  let directory;
+  let sessionManager;
+  let scheduler;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-schedules-'));
+
+    // Stands in for real browser sessions
+    let sessions = 0;
+    sessionManager = {
+      createSession: jest.fn(async () => ({ sessionId: `session-${++sessions}` })),
+      executeCommand: jest.fn(async (sessionId, command) => ({ success: true, message: `Ran ${command}` })),
+      runWorkflow: jest.fn(async () => ({ action: 'sequence', steps: 1, workflow: 'prices' })),
+      hasSession: jest.fn(() => true),
+      closeSession: jest.fn(async sessionId => ({ success: true, sessionId }))
+    };
+    scheduler = createScheduler();
+    await scheduler.start();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createScheduler = () => new Scheduler(sessionManager, {
+    store: new ScheduleStore(path.join(directory, 'schedules')),
+    workflowStore: new WorkflowStore(path.join(directory, 'workflows')),
+    historyLimit: 3
+  });
+
+  test('creates schedules with defaults and their next run time', async () => {
+    const schedule = await scheduler.create({ cron: '0 9 * * 1-5', command: 'check price of the blue kettle' });
+
+    expect(schedule).toEqual(expect.objectContaining({
+      name: 'check price of the blue kettle',
+      browserOptions: { headless: true },
+      enabled: true,
+      runCount: 0,
+      running: false
+    }));
+    expect(new Date(schedule.nextRunAt).getHours()).toBe(9);
+    expect(scheduler.list()).toHaveLength(1);
+
+    const paused = await scheduler.update(schedule.id, { enabled: false });
+    expect(paused.nextRunAt).toBeNull();
+  });
+
+  test('does not arm schedules while the scheduler is not started', async () => {
+    scheduler.stop();
+    const schedule = await scheduler.create({ cron: '* * * * *', command: 'check price of X' });
+
+    expect(schedule.nextRunAt).toBeNull();
+    expect(scheduler.timers.size).toBe(0);
+
+    await scheduler.update(schedule.id, { cron: '@hourly' });
+    expect(scheduler.timers.size).toBe(0);
+
+    await scheduler.start();
+    expect(scheduler.get(schedule.id).nextRunAt).not.toBeNull();
+    expect(scheduler.timers.size).toBe(1);
+  });
+
+  test('rejects schedules without a valid cron expression or a single job', async () => {
+    await expect(scheduler.create({ cron: 'every day', command: 'hi' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(scheduler.create({ cron: '@daily' })).rejects.toThrow('either a command or a workflow');
+    await expect(scheduler.create({ cron: '@daily', command: 'hi', workflow: 'prices' })).rejects.toThrow('either a command or a workflow');
+    await expect(scheduler.update('missing', {})).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('runs each job in a fresh session and closes it afterwards', async () => {
+    const schedule = await scheduler.create({ cron: '@hourly', command: 'check price of X', browserType: 'firefox' });
+
+    const run = await scheduler.runNow(schedule.id);
+
+    expect(run).toEqual(expect.objectContaining({
+      trigger: 'manual',
+      status: 'succeeded',
+      sessionId: 'session-1',
+      result: { success: true, message: 'Ran check price of X' }
+    }));
+    expect(sessionManager.createSession).toHaveBeenCalledWith('firefox', { headless: true }, null);
+    expect(sessionManager.executeCommand).toHaveBeenCalledWith('session-1', 'check price of X', expect.objectContaining({ runId: run.runId }));
+    expect(sessionManager.closeSession).toHaveBeenCalledWith('session-1');
+  });
+
+  test('waits for a turn under the job queue limits', async () => {
+    const jobQueue = { runDirect: jest.fn((browserType, work) => work()) };
+    scheduler = new Scheduler(sessionManager, { store: new ScheduleStore(path.join(directory, 'schedules')), jobQueue });
+    const schedule = await scheduler.create({ cron: '@hourly', command: 'check price of X', browserType: 'firefox' });
+
+    expect((await scheduler.runNow(schedule.id)).status).toBe('succeeded');
+    expect(jobQueue.runDirect).toHaveBeenCalledWith('firefox', expect.any(Function));
+  });
+
+  test('runs workflows with their parameters', async () => {
+    fs.mkdirSync(path.join(directory, 'workflows'));
+    fs.writeFileSync(path.join(directory, 'workflows', 'prices.json'), JSON.stringify({ steps: [{ action: 'navigate', url: '{{url}}' }] }));
+    const schedule = await scheduler.create({ cron: '@daily', workflow: 'prices', params: { url: 'https://shop.example.com' } });
+
+    await scheduler.runNow(schedule.id);
+
+    expect(sessionManager.runWorkflow).toHaveBeenCalledWith(
+      'session-1',
+      expect.objectContaining({ name: 'prices' }),
+      { url: 'https://shop.example.com' },
+      expect.any(Object)
+    );
+  });
+
+  test('counts failures, keeps recent history and saves it across restarts', async () => {
+    const schedule = await scheduler.create({ cron: '@hourly', command: 'check price of X' });
+    sessionManager.executeCommand.mockRejectedValue(new Error('Element not found: price'));
+
+    for (let i = 0; i < 4; i++) {
+      await scheduler.runNow(schedule.id);
+    }
+    sessionManager.executeCommand.mockResolvedValue({ success: true, screenshot: 'data:image/png;base64,AAAA' });
+    await scheduler.fire(schedule.id, new Date(0));
+
+    scheduler.stop();
+    scheduler = createScheduler();
+    await scheduler.start();
+    const saved = scheduler.get(schedule.id);
+
+    expect(saved).toEqual(expect.objectContaining({
+      runCount: 5,
+      failureCount: 4,
+      consecutiveFailures: 0,
+      lastStatus: 'succeeded',
+      lastResult: { success: true, screenshot: '[screenshot]' },
+      lastError: null
+    }));
+    expect(saved.history.map(run => run.status)).toEqual(['succeeded', 'failed', 'failed']);
+    expect(saved.history[1].error).toBe('Element not found: price');
+    expect(sessionManager.closeSession).toHaveBeenCalledTimes(5);
+  });
+
+  test('skips a scheduled run while the previous one is still going', async () => {
+    let finish;
+    sessionManager.executeCommand.mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+    const schedule = await scheduler.create({ cron: '@hourly', command: 'slow job' });
+
+    const first = scheduler.runNow(schedule.id);
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(scheduler.runNow(schedule.id)).rejects.toMatchObject({ statusCode: 409 });
+    await scheduler.fire(schedule.id, new Date(0));
+
+    finish({ success: true });
+    await first;
+
+    expect(scheduler.get(schedule.id).history.map(run => run.status)).toEqual(['succeeded', 'skipped']);
+    expect(scheduler.get(schedule.id).runCount).toBe(1);
+  });
+});
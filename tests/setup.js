@@ -0,0 +1,9 @@
+/**
+ * Jest setup - keep application logging out of test output, and let browsers reach the
+ * fixture server on 127.0.0.1, which the navigation policy would otherwise block
+ */
+process.env.NAV_ALLOW_PRIVATE_NETWORKS = process.env.NAV_ALLOW_PRIVATE_NETWORKS || 'true';
+
+const { logger } = require('../src/utils/logger');
+
+logger.silent = process.env.LOG_LEVEL === undefined;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const MockLLMService = require('../src/utils/mockLLMService');
+const Vault = require('../src/security/vault');
+const { progressEvents } = require('../src/utils/progressEvents');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('Vault', () => {
+  let directory;
+  let filePath;
+  let vault;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-vault-'));
+    filePath = path.join(directory, 'vault.json');
+    vault = new Vault({ filePath, enabled: true, masterKey: 'correct horse battery staple' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('stores entries encrypted and lists them without their values', async () => {
+    await vault.set('github', { username: 'ada', password: 's3cret-Pa55' });
+
+    expect(fs.readFileSync(filePath, 'utf-8')).not.toMatch(/s3cret|ada|github/);
+    expect(await vault.list()).toEqual([{ name: 'github', fields: ['password', 'username'], owner: null, origins: [], updatedAt: expect.any(String) }]);
+
+    await vault.delete('github');
+    expect(await vault.list()).toEqual([]);
+    await expect(vault.delete('github')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('fills in references and leaves other text alone', async () => {
+    await vault.set('github', { username: 'ada', password: 's3cret-Pa55' });
+
+    expect(await vault.resolve('{{vault:github.username}}:{{ vault:github.password }}')).toBe('ada:s3cret-Pa55');
+    expect(await vault.resolve('plain text')).toBe('plain text');
+    await expect(vault.resolve('{{vault:github.pin}}')).rejects.toThrow('Vault has no value for github.pin');
+  });
+
+  test('only fills in an entry for its owner, and on the sites it is for', async () => {
+    await vault.set('github', { password: 's3cret-Pa55' }, { owner: 'bob', origins: ['https://github.com/login'] });
+
+    expect(await vault.list()).toEqual([expect.objectContaining({ name: 'github', owner: 'bob', origins: ['https://github.com'] })]);
+    expect(await vault.resolve('{{vault:github.password}}', { owner: 'bob', origin: 'https://github.com' })).toBe('s3cret-Pa55');
+    await expect(vault.resolve('{{vault:github.password}}', { owner: 'dan', origin: 'https://github.com' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Vault has no value for github.password' });
+    await expect(vault.resolve('{{vault:github.password}}', { owner: 'bob', origin: 'https://github.example.com' }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Vault entry github can\'t be used on https://github.example.com; it\'s for https://github.com' });
+    await expect(vault.set('github', { password: 'x' }, { origins: ['github.com'] })).rejects.toThrow('Not a site address: github.com');
+  });
+
+  test('saves changes made at the same time one after the other', async () => {
+    await Promise.all(['github', 'gitlab', 'bank'].map(name => vault.set(name, { password: `${name}-password` })));
+
+    expect((await vault.list()).map(entry => entry.name)).toEqual(['bank', 'github', 'gitlab']);
+    expect(fs.readdirSync(directory)).toEqual(['vault.json']);
+  });
+
+  test('refuses to open without encryption enabled or with the wrong key', async () => {
+    await vault.set('bank', { pin: '1234' });
+
+    const wrongKey = new Vault({ filePath, enabled: true, masterKey: 'guess' });
+    await expect(wrongKey.resolve('{{vault:bank.pin}}')).rejects.toThrow('Could not decrypt the vault');
+
+    const disabled = new Vault({ filePath, enabled: false, masterKey: 'correct horse battery staple' });
+    await expect(disabled.list()).rejects.toMatchObject({ statusCode: 503 });
+    expect(await disabled.resolve('no references')).toBe('no references');
+  });
+
+  test('rejects names that cannot be referenced and values that are not text', async () => {
+    await expect(vault.set('git hub', { password: 'x' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(vault.set('github', { 'pass.word': 'x' })).rejects.toThrow('Vault field names must be');
+    await expect(vault.set('github', { pin: 1234 })).rejects.toThrow('pin must be a string');
+    await expect(vault.set('github', {})).rejects.toThrow('at least one field');
+  });
+});
+
+describe('Vault references in commands', () => {
+  let directory;
+  let browserController;
+  let page;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-vault-'));
+    const vault = new Vault({ filePath: path.join(directory, 'vault.json'), enabled: true, masterKey: 'key' });
+    await vault.set('github', { password: 's3cret-Pa55' });
+
+    // Stands in for a page; only fillField touches it
+    browserController = new BrowserController({ vault });
+    page = { waitForSelector: jest.fn(), evaluate: jest.fn(), fill: jest.fn(), url: () => 'https://github.com/login' };
+    browserController.browsers.set('page', { page, options: {} });
+    browserController.findBestSelector = jest.fn(async selector => selector);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('types the real value but only ever reports the reference', async () => {
+    const mock = new MockLLMService({ fixturesPath: null });
+    const parser = new CommandParser(browserController, { sessionId: 'page', llmService: mock });
+    mock.addFixture('log in', { action: 'type', selector: '#password', value: '{{vault:github.password}}' });
+    const events = [];
+    const unsubscribe = progressEvents.subscribe({}, event => events.push(event));
+
+    const result = await parser.parseAndExecute('log in');
+    unsubscribe();
+
+    expect(page.fill).toHaveBeenCalledWith('#password', 's3cret-Pa55');
+    expect(JSON.stringify([result, events, mock.prompts])).not.toContain('s3cret');
+    expect(parser.actionLog[0].value).toBe('{{vault:github.password}}');
+  });
+
+  test('only types an entry for the user the command runs for', async () => {
+    await browserController.vault.set('github', { password: 's3cret-Pa55' }, { owner: 'bob' });
+    const mock = new MockLLMService({ fixturesPath: null });
+    mock.addFixture('log in', { action: 'type', selector: '#password', value: '{{vault:github.password}}' });
+
+    const dans = new CommandParser(browserController, { sessionId: 'page', llmService: mock, owner: 'dan' });
+    await expect(dans.parseAndExecute('log in')).rejects.toThrow('Vault has no value for github.password');
+    expect(page.fill).not.toHaveBeenCalled();
+
+    const bobs = new CommandParser(browserController, { sessionId: 'page', llmService: mock, owner: 'bob' });
+    await bobs.parseAndExecute('log in');
+    expect(page.fill).toHaveBeenCalledWith('#password', 's3cret-Pa55');
+  });
+
+  test('fails the step when the reference has no value', async () => {
+    await expect(browserController.fillField('#password', '{{vault:gitlab.password}}', 'page'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Vault has no value for gitlab.password' });
+    expect(page.fill).not.toHaveBeenCalled();
+  });
+});
+
+describeWithBrowser('Vault against fixture pages', () => {
+  let server;
+  let directory;
+  let browserController;
+  let sessionId;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-vault-'));
+    const vault = new Vault({ filePath: path.join(directory, 'vault.json'), enabled: true, masterKey: 'key' });
+    await vault.set('newsletter', { email: 'ada@example.com' });
+
+    browserController = new BrowserController({ vault });
+    ({ sessionId } = await browserController.launchBrowser('chromium', { headless: true }));
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('fills a form field from the vault', async () => {
+    await browserController.navigateTo(server.url('form.html'), sessionId);
+    await browserController.fillField('#email', '{{vault:newsletter.email}}', sessionId);
+
+    const { page } = browserController.getSession(sessionId);
+    expect(await page.inputValue('#email')).toBe('ada@example.com');
+  });
+});
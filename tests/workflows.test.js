@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserController = require('../src/browser/browserController');
+const CommandParser = require('../src/commands/commandParser');
+const WorkflowStore = require('../src/workflows/workflowStore');
+const MockLLMService = require('../src/utils/mockLLMService');
+const { findVariables, renderTemplate, resolveParams } = require('../src/workflows/template');
+const { ActionValidationError, PlanExecutionError } = require('../src/utils/errors');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { describeWithBrowser } = require('./helpers/browser');
+
+describe('Workflow templates', () => {
+  test('finds and fills in variables in nested steps', () => {
+    const steps = [
+      { action: 'navigate', url: 'https://crm.example.com/customers/{{ customerId }}' },
+      { action: 'type', selector: '#note-{{customerId}}', value: 'Hello {{name}}' }
+    ];
+
+    expect(findVariables(steps)).toEqual(['customerId', 'name']);
+    expect(renderTemplate(steps, { customerId: 42, name: 'Ada' })).toEqual([
+      { action: 'navigate', url: 'https://crm.example.com/customers/42' },
+      { action: 'type', selector: '#note-42', value: 'Hello Ada' }
+    ]);
+  });
+
+  test('keeps the type of a value that is a single variable', () => {
+    expect(renderTemplate({ duration: '{{delay}}', headless: '{{headless}}' }, { delay: 500, headless: true }))
+      .toEqual({ duration: 500, headless: true });
+  });
+
+  test('leaves other placeholders such as vault references alone', () => {
+    const step = { action: 'type', selector: '#password', value: '{{vault:github.password}}' };
+
+    expect(findVariables(step)).toEqual([]);
+    expect(renderTemplate(step, {})).toEqual(step);
+  });
+
+  test('applies declared defaults and reports every missing parameter', () => {
+    const workflow = {
+      name: 'search',
+      params: { site: { default: 'example.com' } },
+      steps: [{ action: 'navigate', url: 'https://{{site}}/search?q={{query}}&page={{page}}' }]
+    };
+
+    expect(resolveParams(workflow, { query: 'shoes', page: 2 })).toEqual({ site: 'example.com', query: 'shoes', page: 2 });
+    expect(() => resolveParams(workflow, {})).toThrow('Missing workflow parameters: query, page');
+    expect(resolveParams(workflow, { query: 'shoes' }, ['page'])).toEqual({ site: 'example.com', query: 'shoes' });
+  });
+});
+
+describe('WorkflowStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browsebyme-workflows-'));
+    store = new WorkflowStore(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('loads YAML workflows and lists them with their variables', async () => {
+    fs.writeFileSync(path.join(directory, 'open-customer.yaml'), [
+      'description: Open a customer record',
+      'params:',
+      '  baseUrl: https://crm.example.com',
+      'steps:',
+      '  - action: navigate',
+      '    url: "{{baseUrl}}/customers/{{customerId}}"',
+      '  - action: click',
+      '    selector: "#export"'
+    ].join('\n'));
+
+    const workflow = await store.get('open-customer');
+
+    expect(workflow).toEqual(expect.objectContaining({
+      name: 'open-customer',
+      description: 'Open a customer record',
+      params: { baseUrl: { default: 'https://crm.example.com' } },
+      variables: ['baseUrl', 'customerId']
+    }));
+    expect(await store.list()).toEqual([
+      { name: 'open-customer', description: 'Open a customer record', variables: ['baseUrl', 'customerId'], steps: 2 }
+    ]);
+  });
+
+  test('saves workflows as JSON and deletes them', async () => {
+    await store.save('pause', { params: ['delay'], steps: [{ action: 'wait', duration: '{{delay}}' }] });
+
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'pause.json'), 'utf-8')).params).toEqual({ delay: {} });
+
+    await store.delete('pause');
+    await expect(store.get('pause')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('rejects workflows without usable steps', async () => {
+    await expect(store.save('empty', { steps: [] })).rejects.toMatchObject({ statusCode: 422 });
+    await expect(store.save('unknown', { steps: [{ action: 'teleport' }] })).rejects.toThrow('steps.1: "teleport" is not a supported action');
+    await expect(store.save('../escape', { steps: [{ action: 'wait' }] })).rejects.toMatchObject({ statusCode: 400 });
+
+    fs.writeFileSync(path.join(directory, 'broken.yml'), 'steps: [unclosed');
+    await expect(store.get('broken')).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('does not ask for variables that loops fill in', async () => {
+    const workflow = await store.save('rows', {
+      steps: [{ forEach: '.row', as: 'row', steps: [{ action: 'click', selector: '{{row}} .open' }, { action: 'wait', duration: '{{delay}}' }] }]
+    });
+
+    expect(workflow.variables).toEqual(['delay']);
+  });
+});
+
+describe('WorkflowRunner control flow', () => {
+  let parser;
+  let browserController;
+
+  beforeEach(() => {
+    browserController = new BrowserController();
+    parser = new CommandParser(browserController, { llmService: new MockLLMService({ fixturesPath: null }) });
+
+    // Conditions read the page; these tests stand in for it and only run plain waits
+    parser.activeSession = 'page';
+    browserController.countElements = jest.fn(async () => 0);
+    browserController.markElements = jest.fn(async () => 0);
+    browserController.getElementText = jest.fn(async () => 'Welcome back, Ada');
+    browserController.getSession = () => ({ page: { url: () => 'https://shop.example.com/orders/17' } });
+  });
+
+  const run = (steps, params) => parser.runWorkflow({ name: 'flow', params: {}, steps }, params);
+  const waits = result => result.trace.filter(entry => entry.type === 'step').map(entry => entry.input.duration);
+
+  test('takes the branch that matches the page', async () => {
+    browserController.countElements.mockImplementation(async (sessionId, selector) => (selector === '#cookie-banner' ? 1 : 0));
+
+    const result = await run([
+      { if: { exists: '#cookie-banner' }, then: [{ action: 'wait', duration: 1 }], else: [{ action: 'wait', duration: 2 }] },
+      { if: { text: 'welcome BACK' }, then: [{ action: 'wait', duration: 3 }] },
+      { if: { not: { url: '/orders/\\d+$' } }, then: [{ action: 'wait', duration: 4 }] }
+    ]);
+
+    expect(waits(result)).toEqual([1, 3]);
+    expect(result.trace.filter(entry => entry.type === 'if').map(entry => entry.branch)).toEqual(['then', 'then', null]);
+    expect(result.trace[1].path).toBe('1.then.1');
+  });
+
+  test('runs steps for each matching element with its selector and position', async () => {
+    browserController.markElements.mockImplementation(async (sessionId, selector) => (selector === '.row' ? 3 : 0));
+
+    const result = await run([{
+      forEach: '.row',
+      as: 'row',
+      steps: [
+        { if: { exists: '{{row}} .sold-out' }, then: [{ action: 'wait', duration: 100 }] },
+        { action: 'wait', duration: '{{index}}' }
+      ]
+    }]);
+
+    expect(waits(result)).toEqual([0, 1, 2]);
+    const [, , marker] = browserController.markElements.mock.calls[0];
+    expect(browserController.countElements).toHaveBeenCalledWith('page', `[data-browsebyme-item="${marker}-2"] .sold-out`);
+    expect(result.trace.find(entry => entry.type === 'step').path).toBe('1[0].2');
+  });
+
+  test('repeats steps until a condition holds, and gives up after max passes', async () => {
+    let checks = 0;
+    browserController.countElements.mockImplementation(async () => (++checks >= 3 ? 1 : 0));
+
+    const result = await run([{ repeat: [{ action: 'wait', duration: 1 }], until: { exists: '.loaded' } }]);
+    expect(result.trace[result.trace.length - 1]).toEqual(expect.objectContaining({ type: 'repeat', iterations: 3, passed: true }));
+
+    browserController.countElements.mockImplementation(async () => 0);
+    const error = await run([{ repeat: [{ action: 'wait', duration: 1 }], until: { exists: '.loaded' }, max: 2 }]).catch(e => e);
+    expect(error).toBeInstanceOf(PlanExecutionError);
+    expect(error.message).toBe('Step 1 (repeat) gave up after 2 passes: 0 element(s) match .loaded');
+  });
+
+  test('fails with a clear message when an assertion does not hold', async () => {
+    browserController.countElements.mockImplementation(async () => 2);
+
+    await expect(run([{ assert: { count: '.result', min: 1, max: 5 } }])).resolves.toEqual(expect.objectContaining({ steps: 0 }));
+
+    const error = await run([
+      { action: 'wait', duration: 1 },
+      { assert: { count: '.result', equals: '{{expected}}' }, message: 'Expected {{expected}} results' }
+    ], { expected: 3 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(PlanExecutionError);
+    expect(error.message).toBe('Assertion failed at step 2: Expected 3 results (2 element(s) match .result (expected exactly 3))');
+    expect(error.trace.map(entry => entry.type)).toEqual(['step', 'assert']);
+    expect(error.trace[1].status).toBe('failed');
+  });
+
+  test('reports malformed control flow before anything runs', async () => {
+    const error = await run([
+      { action: 'wait', duration: 1 },
+      { if: { exists: '#a', text: 'b' }, then: [] },
+      { repeat: [{ action: 'teleport' }] }
+    ]).catch(e => e);
+
+    expect(error).toBeInstanceOf(ActionValidationError);
+    expect(error.errors.map(item => item.path)).toEqual(['2.if', '2.then', '3.repeat.1', '3.until']);
+    expect(browserController.countElements).not.toHaveBeenCalled();
+  });
+});
+
+describe('CommandParser workflows', () => {
+  test('runs a workflow with its parameters and without the model', async () => {
+    const mock = new MockLLMService({ fixturesPath: null });
+    const parser = new CommandParser(new BrowserController(), { llmService: mock });
+    const workflow = { name: 'pause', params: {}, steps: [{ action: 'wait', duration: '{{delay}}' }, { action: 'wait', duration: 5 }] };
+
+    const result = await parser.runWorkflow(workflow, { delay: '10' });
+
+    expect(result).toEqual(expect.objectContaining({ action: 'sequence', workflow: 'pause', steps: 2 }));
+    expect(result.trace[0].input).toEqual({ duration: 10 });
+    expect(mock.prompts).toHaveLength(0);
+
+    await expect(parser.runWorkflow(workflow, {})).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describeWithBrowser('Workflow control flow against fixture pages', () => {
+  let server;
+  let browserController;
+  let parser;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserController = new BrowserController();
+    const { sessionId } = await browserController.launchBrowser('chromium', { headless: true });
+    parser = new CommandParser(browserController, { sessionId, llmService: new MockLLMService({ fixturesPath: null }) });
+  });
+
+  afterAll(async () => {
+    await browserController.closeAll();
+    await server.close();
+  });
+
+  test('loops over products and checks the page', async () => {
+    const result = await parser.runWorkflow({
+      name: 'products',
+      params: {},
+      steps: [
+        { action: 'navigate', url: '{{url}}' },
+        { assert: { count: '.product-item', equals: 3 } },
+        { assert: { text: 'Pro laptop', selector: '.product-grid' } },
+        { forEach: '.product-item', as: 'product', steps: [{ action: 'click', selector: '{{product}} .product-title' }] },
+        { assert: { url: '#product-3$' } }
+      ]
+    }, { url: server.url('products.html') });
+
+    expect(result.steps).toBe(4);
+    expect(result.trace.filter(entry => entry.type === 'assert').every(entry => entry.status === 'passed')).toBe(true);
+  });
+});